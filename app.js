@@ -1,6 +1,9 @@
 class ParameterManager {
     constructor() {
         this.parameters = {};
+        this.values = {};
+        this.defaults = {};
+        this.fieldErrors = {};
         this.subscribers = new Map();
         this.initializeParameters();
         this.setupEventListeners();
@@ -8,39 +11,181 @@ class ParameterManager {
     }
 
     initializeParameters() {
-        const paramInputs = document.querySelectorAll('.parameter-panel input, .parameter-panel select');
+        const paramInputs = document.querySelectorAll('.parameter-panel input:not([type="file"]):not(.no-param), .parameter-panel select:not(.no-param)');
         paramInputs.forEach(input => {
-            this.parameters[input.name || input.id] = input.value;
+            const key = input.name || input.id;
+            this.parameters[key] = input.value;
+            this.defaults[key] = input.value;
             
             input.addEventListener('input', (e) => {
-                this.updateParameter(e.target.name || e.target.id, e.target.value);
+                this.updateParameter(key, e.target.value);
             });
         });
+        this.values = this.sanitize(this.parameters, this.defaults).values;
     }
 
     setupRangeSliders() {
         const rangeInputs = document.querySelectorAll('input[type="range"]');
         rangeInputs.forEach(range => {
-            const updateValue = () => {
-                const valueSpan = range.nextElementSibling;
-                if (valueSpan && valueSpan.classList.contains('range-value')) {
-                    valueSpan.textContent = range.value + '°';
-                }
-            };
-            
-            updateValue();
-            range.addEventListener('input', updateValue);
+            this.updateRangeLabel(range);
+            range.addEventListener('input', () => this.updateRangeLabel(range));
         });
     }
 
+    updateRangeLabel(range) {
+        const valueSpan = range.nextElementSibling;
+        if (valueSpan && valueSpan.classList.contains('range-value')) {
+            valueSpan.textContent = range.value + '°';
+        }
+    }
+
+    // Edits are checked against the schema and its cross-field rules: a value
+    // they reject stays in the field with an inline message and is not passed on
     updateParameter(key, value) {
-        const oldValue = this.parameters[key];
-        this.parameters[key] = value;
+        const result = ParameterSchema.coerce(key, value);
+        const error = result.error || this.crossFieldError({ [key]: result.value });
+        if (error) {
+            this.fieldErrors[key] = error;
+            this.showErrors();
+            return false;
+        }
+        
+        const oldValue = this.values[key];
+        this.parameters[key] = String(value);
+        this.values[key] = result.value;
+        delete this.fieldErrors[key];
+        this.showErrors();
+        
+        this.notifySubscribers(key, result.value, oldValue);
+        
+        this.saveToLocalStorage();
+        this.updateURLParams();
+        return true;
+    }
+
+    // Several fields edited together, e.g. by a preset: they are checked as one
+    // change, written into the panel and announced and persisted once. Nothing
+    // is applied when any of them is rejected.
+    setParameters(fields) {
+        const values = {};
+        const errors = {};
+        Object.keys(fields).forEach(key => {
+            const result = ParameterSchema.coerce(key, fields[key]);
+            if (result.error) errors[key] = result.error;
+            else values[key] = result.value;
+        });
+        const keys = Object.keys(values);
+        const crossField = keys.length === Object.keys(fields).length ? this.crossFieldError(values) : null;
+        if (crossField) errors[keys[0]] = crossField;
+        if (Object.keys(errors).length > 0) {
+            Object.assign(this.fieldErrors, errors);
+            this.showErrors();
+            return false;
+        }
+        
+        const previous = { ...this.values };
+        this.setValues(values);
+        keys.forEach(key => { delete this.fieldErrors[key]; });
+        this.showErrors();
+        this.notifyChanges(previous, keys[0]);
+        
+        this.saveToLocalStorage();
+        this.updateURLParams();
+        return true;
+    }
+
+    // First rule that applying `changes` would newly break, or null
+    crossFieldError(changes) {
+        const before = ParameterSchema.crossFieldErrors(this.values);
+        const after = ParameterSchema.crossFieldErrors({ ...this.values, ...changes });
+        const broken = Object.keys(after).find(target => after[target] !== before[target]);
+        return broken ? after[broken] : null;
+    }
+
+    // Untrusted input (URL, localStorage, scenario files) is repaired rather than
+    // rejected: numbers are clamped, unusable values fall back to `base`, and
+    // broken cross-field rules are fixed. Returns typed values and a note per key.
+    sanitize(raw, base) {
+        const values = {};
+        const notes = {};
+        
+        Object.keys(this.defaults).forEach(key => {
+            const given = raw[key] !== undefined ? raw[key] : base[key];
+            let result = ParameterSchema.coerce(key, given, { clamp: true });
+            if (result.error) {
+                notes[key] = `ignored "${given}" (${result.error.toLowerCase()})`;
+                result = ParameterSchema.coerce(key, base[key], { clamp: true });
+                if (result.error) result = ParameterSchema.coerce(key, this.defaults[key], { clamp: true });
+            } else if (result.adjusted) {
+                notes[key] = `"${given}" adjusted to ${result.value} (${ParameterSchema.range(ParameterSchema.spec(key))})`;
+            }
+            values[key] = result.value;
+        });
+        
+        ParameterSchema.fixCrossField(values).forEach(({ key, message }) => {
+            notes[key] = `${message}; adjusted to ${ParameterSchema.format(values[key]) || 'the default'}`;
+        });
+        return { values, notes };
+    }
+
+    // Writes typed values into the panel fields and the raw/typed stores
+    setValues(values) {
+        Object.keys(values).forEach(key => {
+            const raw = ParameterSchema.format(values[key]);
+            const input = document.getElementById(key) || document.querySelector(`[name="${key}"]`);
+            if (input) {
+                input.value = raw;
+                if (input.type === 'range') this.updateRangeLabel(input);
+            }
+            // Free-form selects (slot sources) drop values they have no option for
+            this.parameters[key] = input ? input.value : raw;
+            this.values[key] = input && input.value !== raw ? input.value : values[key];
+        });
+    }
+
+    // Replaces the whole parameter set, e.g. when loading a scenario: keys the
+    // set leaves out return to their panel defaults. Returns the unknown keys
+    // and the keys that had to be adjusted.
+    applyParameters(params) {
+        const previous = { ...this.values };
+        const { values, notes } = this.sanitize(params, this.defaults);
+        this.setValues(values);
+        this.fieldErrors = {};
+        Object.keys(notes).forEach(key => { this.fieldErrors[key] = `Scenario: ${notes[key]}`; });
+        this.showErrors();
         
-        this.notifySubscribers(key, value, oldValue);
+        this.notifyChanges(previous, 'scenario');
         
         this.saveToLocalStorage();
         this.updateURLParams();
+        return {
+            ignored: Object.keys(params).filter(key => !(key in this.defaults)),
+            adjusted: Object.keys(notes)
+        };
+    }
+
+    // Field-level messages plus the cross-field rules the current values break
+    showErrors() {
+        const errors = { ...ParameterSchema.crossFieldErrors(this.values), ...this.fieldErrors };
+        
+        Object.keys(this.defaults).forEach(key => {
+            const input = document.getElementById(key) || document.querySelector(`[name="${key}"]`);
+            if (!input) return;
+            let message = document.getElementById(`${key}-error`);
+            
+            input.classList.toggle('invalid', !!errors[key]);
+            if (!errors[key]) {
+                if (message) message.remove();
+                return;
+            }
+            if (!message) {
+                message = document.createElement('div');
+                message.id = `${key}-error`;
+                message.className = 'param-error';
+                (input.closest('.param-group') || input.parentElement).appendChild(message);
+            }
+            message.textContent = errors[key];
+        });
     }
 
     getParameter(key) {
@@ -51,6 +196,14 @@ class ParameterManager {
         return { ...this.parameters };
     }
 
+    getValue(key) {
+        return this.values[key];
+    }
+
+    getTypedParameters() {
+        return { ...this.values };
+    }
+
     subscribe(key, callback) {
         if (!this.subscribers.has(key)) {
             this.subscribers.set(key, []);
@@ -58,6 +211,14 @@ class ParameterManager {
         this.subscribers.get(key).push(callback);
     }
 
+    // Per-key subscribers see each change since `previous`; '*' subscribers are told once
+    notifyChanges(previous, reason) {
+        Object.keys(this.values).filter(key => this.values[key] !== previous[key]).forEach(key => {
+            (this.subscribers.get(key) || []).forEach(callback => callback(this.values[key], previous[key], key));
+        });
+        (this.subscribers.get('*') || []).forEach(callback => callback(this.getTypedParameters(), reason));
+    }
+
     notifySubscribers(key, newValue, oldValue) {
         if (this.subscribers.has(key)) {
             this.subscribers.get(key).forEach(callback => {
@@ -67,7 +228,7 @@ class ParameterManager {
         
         if (this.subscribers.has('*')) {
             this.subscribers.get('*').forEach(callback => {
-                callback(this.getAllParameters(), key);
+                callback(this.getTypedParameters(), key);
             });
         }
     }
@@ -77,28 +238,29 @@ class ParameterManager {
     }
 
     loadFromLocalStorage() {
-        const saved = localStorage.getItem('ntn-satellite-params');
-        if (saved) {
-            const params = JSON.parse(saved);
-            Object.keys(params).forEach(key => {
-                const input = document.getElementById(key) || document.querySelector(`[name="${key}"]`);
-                if (input) {
-                    input.value = params[key];
-                    this.parameters[key] = params[key];
-                }
-            });
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem('ntn-satellite-params'));
+        } catch (e) {
+            saved = null;
         }
+        if (saved && typeof saved === 'object') this.loadExternal(saved, 'Saved settings');
     }
 
     loadFromURLParams() {
         const urlParams = new URLSearchParams(window.location.search);
-        urlParams.forEach((value, key) => {
-            const input = document.getElementById(key) || document.querySelector(`[name="${key}"]`);
-            if (input) {
-                input.value = value;
-                this.parameters[key] = value;
-            }
-        });
+        this.loadExternal(Object.fromEntries(urlParams), 'URL');
+    }
+
+    // Merges known keys from an untrusted source over the current values; pages
+    // render after loading, so nothing is notified here
+    loadExternal(params, source) {
+        const known = {};
+        Object.keys(params).filter(key => key in this.defaults).forEach(key => { known[key] = params[key]; });
+        const { values, notes } = this.sanitize(known, this.parameters);
+        this.setValues(values);
+        Object.keys(notes).forEach(key => { this.fieldErrors[key] = `${source}: ${notes[key]}`; });
+        this.showErrors();
     }
 
     updateURLParams() {
@@ -126,8 +288,9 @@ class ParameterManager {
 }
 
 class PageManager {
-    constructor(paramManager) {
+    constructor(paramManager, clock) {
         this.paramManager = paramManager;
+        this.clock = clock;
         this.currentPage = 'overview';
         this.pages = {};
         this.initializeNavigation();
@@ -151,15 +314,69 @@ class PageManager {
     }
 
     initializePages() {
-        this.pages.overview = new SystemOverview(this.paramManager);
-        this.pages['satellite-config'] = new SatelliteConfig(this.paramManager);
-        this.pages.trajectory = new TrajectoryAnalysis(this.paramManager);
-        this.pages.coverage = new CoverageAnalysis(this.paramManager);
-        this.pages.performance = new PerformanceMetrics(this.paramManager);
+        this.pages.overview = new SystemOverview(this.paramManager, this.clock);
+        this.pages['satellite-config'] = new SatelliteConfig(this.paramManager, this.clock);
+        this.pages.trajectory = new TrajectoryAnalysis(this.paramManager, this.clock);
+        this.pages.coverage = new CoverageAnalysis(this.paramManager, this.clock);
+        this.pages.performance = new PerformanceMetrics(this.paramManager, this.clock);
+        this.pages.doppler = new ImpairmentPage(this.paramManager, this.clock, {
+            tableId: 'doppler-rows',
+            charts: [
+                { canvasId: 'doppler-shift-chart', value: p => p.dopplerHz / 1000, digits: 1 },
+                { canvasId: 'doppler-rate-chart', value: p => p.dopplerRateHzS, digits: 0 }
+            ],
+            columns: [
+                { value: p => p.dopplerHz / 1000, digits: 2 },
+                { value: p => p.dopplerPpm, digits: 2 },
+                { value: p => p.dopplerRateHzS, digits: 1 }
+            ]
+        });
+        this.pages.delay = new ImpairmentPage(this.paramManager, this.clock, {
+            tableId: 'delay-rows',
+            charts: [
+                { canvasId: 'one-way-delay-chart', value: p => p.oneWayDelayMs, digits: 2, zeroBased: true },
+                { canvasId: 'rtt-chart', value: p => p.rttMs, digits: 1, zeroBased: true }
+            ],
+            columns: [
+                { value: p => p.rangeKm, digits: 0 },
+                { value: p => p.oneWayDelayMs, digits: 2 },
+                { value: p => p.rttMs, digits: 2 }
+            ]
+        });
+        this.pages['timing-advance'] = new ImpairmentPage(this.paramManager, this.clock, {
+            tableId: 'timing-advance-rows',
+            charts: [
+                { canvasId: 'ue-ta-chart', value: p => p.ueSpecificTaMs, digits: 2, zeroBased: true },
+                { canvasId: 'common-ta-chart', value: p => p.commonTaMs, digits: 2, zeroBased: true }
+            ],
+            columns: [
+                { value: p => p.ueSpecificTaMs, digits: 3 },
+                { value: p => p.commonTaMs, digits: 3 },
+                { value: p => p.ueSpecificTaMs + (p.commonTaMs || 0), digits: 3 }
+            ]
+        });
+        this.pages.sweep = new ParameterSweepPage(this.paramManager, this.clock);
+        this.pages.residual = new ImpairmentPage(this.paramManager, this.clock, {
+            tableId: 'residual-rows',
+            charts: [
+                { canvasId: 'residual-ta-chart', value: p => p.residualTaUs, digits: 3, zeroBased: true,
+                    limit: p => p.timingLimitUs, limitLabel: 'Te (TS 38.133, 15 kHz SCS)' },
+                { canvasId: 'residual-doppler-chart', value: p => p.residualDopplerHz, digits: 1, zeroBased: true,
+                    limit: p => p.frequencyLimitHz, limitLabel: '±0.1 ppm (TS 38.101-5)' }
+            ],
+            columns: [
+                { value: p => p.residualTaUs, digits: 3 },
+                { value: p => p.residualDopplerHz, digits: 1 },
+                { value: p => p.residualDopplerHz / p.frequencyLimitHz * 100, digits: 0 }
+            ]
+        });
+        this.pages['protocol-timers'] = new ProtocolTimerPage(this.paramManager, this.clock);
+        this.pages.monitoring = new Monitoring(this.paramManager, this.clock);
     }
 
     openDetailPage(url) {
         const params = this.paramManager.getAllParameters();
+        params['sim-time'] = new Date(this.clock.currentTime).toISOString();
         const paramString = new URLSearchParams(params).toString();
         const fullUrl = `${url}?${paramString}`;
         window.open(fullUrl, '_blank');
@@ -177,21 +394,58 @@ class PageManager {
         document.getElementById(pageName).classList.add('active');
 
         if (this.pages[this.currentPage]) {
+            this.pages[this.currentPage].isActive = false;
             this.pages[this.currentPage].onPageExit();
         }
 
         this.currentPage = pageName;
         
         if (this.pages[pageName]) {
+            this.pages[pageName].isActive = true;
             this.pages[pageName].onPageEnter();
         }
     }
 }
 
+// Propagator and whole-window runs of the current parameters, shared by every
+// page so a parameter change builds each of them once
+class ScenarioCache {
+    constructor() {
+        this.propagator = null;
+        this.runs = {};
+    }
+
+    // Rebuilt only when parameters or the imported catalog change, so clock ticks stay cheap
+    getPropagator(params) {
+        const catalog = ElementCatalog.load();
+        const key = JSON.stringify(params);
+        
+        if (!this.propagator || this.propagator.key !== key || this.propagator.catalog !== catalog) {
+            this.propagator = { key, catalog, value: OrbitPropagator.fromParameters(params, { catalog }) };
+        }
+        return this.propagator.value;
+    }
+
+    // Result of `compute` over the clock window, reused until the scenario changes
+    getRun(name, propagator, durationSec, compute) {
+        const run = this.runs[name];
+        
+        if (!run || run.propagator !== propagator || run.durationSec !== durationSec) {
+            this.runs[name] = { propagator, durationSec, result: compute() };
+        }
+        return this.runs[name].result;
+    }
+}
+
+const scenarioCache = new ScenarioCache();
+
 class BasePage {
-    constructor(paramManager) {
+    constructor(paramManager, clock) {
         this.paramManager = paramManager;
+        this.clock = clock;
+        this.isActive = false;
         this.setupParameterSubscriptions();
+        this.setupClockSubscription();
     }
 
     setupParameterSubscriptions() {
@@ -200,6 +454,13 @@ class BasePage {
         });
     }
 
+    setupClockSubscription() {
+        if (!this.clock) return;
+        this.clock.subscribe((timeMs, reason) => {
+            this.onTimeChanged(timeMs, reason);
+        });
+    }
+
     onPageEnter() {
         this.refresh();
     }
@@ -210,9 +471,31 @@ class BasePage {
     onParametersChanged(params) {
     }
 
+    onTimeChanged(timeMs, reason) {
+    }
+
     refresh() {
     }
 
+    getSimulationTime() {
+        return this.clock ? this.clock.currentTime : this.getPropagator().epoch;
+    }
+
+    getPropagator() {
+        return scenarioCache.getPropagator(this.paramManager.getTypedParameters());
+    }
+
+    // Whole-window run shared with the other pages
+    getSharedRun(name, compute) {
+        const durationSec = this.clock ? this.clock.durationSec : undefined;
+        return scenarioCache.getRun(name, this.getPropagator(), durationSec, () => compute(durationSec));
+    }
+
+    getHandoverResult() {
+        return this.getSharedRun('handover', (durationSec) =>
+            HandoverSimulator.run(this.getPropagator(), this.paramManager.getTypedParameters(), { durationSec }));
+    }
+
     updateDisplay(elementId, value) {
         const element = document.getElementById(elementId);
         if (element) {
@@ -225,55 +508,84 @@ class SystemOverview extends BasePage {
     onPageEnter() {
         super.onPageEnter();
         this.updateSatelliteInfo();
+        this.calculateElevations(this.paramManager.getTypedParameters());
         this.updateGroundAssets();
     }
 
     onParametersChanged(params) {
         this.updateSatelliteInfo();
         this.calculateElevations(params);
+        this.updateGroundAssets();
+    }
+
+    onTimeChanged() {
+        this.calculateElevations(this.paramManager.getTypedParameters());
+        this.updateGroundAssets();
     }
 
     updateSatelliteInfo() {
-        const params = this.paramManager.getAllParameters();
-        const numSats = parseInt(params['num-satellites']) || 4;
-        const altitudeModel = params['altitude-model'] || 'LE600';
+        const params = this.paramManager.getTypedParameters();
+        const numSats = params['num-satellites'];
         
         for (let i = 1; i <= 4; i++) {
             const satInfo = document.querySelector(`[data-sat="${i}"]`);
-            const statusElement = satInfo?.querySelector('.sat-status');
-            
-            if (i <= numSats) {
-                satInfo?.style.setProperty('display', 'block');
-                if (statusElement) {
-                    statusElement.className = 'sat-status active';
-                    statusElement.textContent = 'Active';
-                }
-            } else {
-                satInfo?.style.setProperty('display', 'none');
-            }
+            satInfo?.style.setProperty('display', i <= numSats ? 'block' : 'none');
         }
+        
+        this.getPropagator().satellites.forEach(sat => {
+            this.updateDisplay(`sat${sat.id}-orbit-type`, OrbitPropagator.orbitLabel(sat));
+        });
     }
 
     calculateElevations(params) {
-        const startElevation = parseFloat(params['start-elevation']) || 30;
-        const elevationSpread = [0, 22, -8, -15]; // Offsets for each satellite
+        const propagator = this.getPropagator();
+        const handheld = propagator.sites['handheld-device'];
         
-        for (let i = 1; i <= 4; i++) {
-            const elevation = startElevation + elevationSpread[i-1];
-            const elevationElement = document.getElementById(`sat${i}-elevation`);
-            if (elevationElement) {
-                elevationElement.textContent = `${Math.max(15, elevation)}°`;
+        propagator.getAllStates(this.getSimulationTime()).forEach(state => {
+            const elevation = state.look['handheld-device'].elevation;
+            const satInfo = document.querySelector(`.satellite-info[data-sat="${state.id}"]`);
+            const statusElement = satInfo?.querySelector('.sat-status');
+            
+            this.updateDisplay(`sat${state.id}-elevation`, `${elevation.toFixed(1)}°`);
+            
+            if (statusElement) {
+                if (OrbitPropagator.isVisible(params, handheld, state.look['handheld-device'])) {
+                    statusElement.className = 'sat-status active';
+                    statusElement.textContent = 'Active';
+                } else if (elevation >= 0) {
+                    statusElement.className = 'sat-status standby';
+                    statusElement.textContent = 'Standby';
+                } else {
+                    statusElement.className = 'sat-status inactive';
+                    statusElement.textContent = 'Out of Range';
+                }
             }
-        }
+        });
     }
 
+    // Location of each asset and how many satellites clear its mask and horizon
     updateGroundAssets() {
-        // Ground assets are fixed in Northern Taiwan as per requirements
-        const gsElement = document.querySelector('.ground-assets .asset-info:first-child .status');
-        const hdElement = document.querySelector('.ground-assets .asset-info:last-child .status');
+        const params = this.paramManager.getTypedParameters();
+        const propagator = this.getPropagator();
+        const states = propagator.getAllStates(this.getSimulationTime());
+        const assets = [
+            { key: 'ground-station', element: document.querySelector('.ground-assets .asset-info:first-child'), online: 'Online' },
+            { key: 'handheld-device', element: document.querySelector('.ground-assets .asset-info:last-child'), online: 'Connected' }
+        ];
         
-        if (gsElement) gsElement.textContent = 'Online';
-        if (hdElement) hdElement.textContent = 'Connected';
+        assets.forEach(({ key, element, online }) => {
+            if (!element) return;
+            const site = propagator.sites[key];
+            const inView = states.filter(state => OrbitPropagator.isVisible(params, site, state.look[key])).length;
+            const location = element.querySelector('.location');
+            const status = element.querySelector('.status');
+            
+            if (location) location.textContent = `${site.location} (${formatLatLon(site, 4)}, ${Math.round(site.altKm * 1000)} m)`;
+            if (status) {
+                status.className = `status ${inView > 0 ? 'online' : 'offline'}`;
+                status.textContent = inView > 0 ? `${online} (${inView} in view)` : 'No satellite in view';
+            }
+        });
     }
 }
 
@@ -285,64 +597,59 @@ class SatelliteConfig extends BasePage {
 
     onParametersChanged(params) {
         this.updateSatelliteCards();
-        this.updateAltitudeInfo(params);
     }
 
-    updateSatelliteCards() {
-        const params = this.paramManager.getAllParameters();
-        const altitudeModel = params['altitude-model'] || 'LE600';
-        const altitudes = {
-            'LE350': 350,
-            'LE600': 600,
-            'LEO1200': 1200,
-            'GEO': 35786
-        };
-        
-        const altitude = altitudes[altitudeModel];
-        const velocity = altitude < 2000 ? 7.56 : 3.07; // km/s
-        
-        for (let i = 1; i <= 4; i++) {
-            const altElement = document.getElementById(`sat${i}-altitude`);
-            const velElement = document.getElementById(`sat${i}-velocity`);
-            
-            if (altElement) altElement.textContent = `${altitude} km`;
-            if (velElement) velElement.textContent = `${velocity} km/s`;
-        }
+    onTimeChanged() {
+        if (this.isActive) this.updateSatelliteCards();
     }
 
-    updateAltitudeInfo(params) {
-        const altitudeModel = params['altitude-model'] || 'LE600';
-        const positions = [
-            { lat: 45.2, lon: 121.8 },
-            { lat: 47.1, lon: 119.2 },
-            { lat: 42.8, lon: 124.1 },
-            { lat: 39.5, lon: 126.8 }
-        ];
+    updateSatelliteCards() {
+        const propagator = this.getPropagator();
+        const states = propagator.getAllStates(this.getSimulationTime());
         
-        for (let i = 1; i <= 4; i++) {
-            const posElement = document.getElementById(`sat${i}-position`);
-            if (posElement) {
-                posElement.textContent = `${positions[i-1].lat}°N, ${positions[i-1].lon}°E`;
+        states.forEach((state, i) => {
+            const sat = propagator.satellites[i];
+            const lon = state.subPoint.lon;
+            let track = `${sat.direction === 'descending' ? 'southbound' : 'northbound'} pass`;
+            if (sat.source !== 'preset') track = sat.name;
+            else if (sat.altitudeModel === 'GEO') track = `GEO slot ${Math.abs(lon).toFixed(1)}°${lon >= 0 ? 'E' : 'W'}`;
+            this.updateDisplay(`sat${state.id}-altitude-value`, `${Math.round(state.altitudeKm).toLocaleString()} km`);
+            this.updateDisplay(`sat${state.id}-orbit-summary`, `${state.inclinationDeg.toFixed(1)}° incl., ${track}`);
+            this.updateDisplay(`sat${state.id}-position`, formatLatLon(state.subPoint, 1));
+            this.updateDisplay(`sat${state.id}-velocity`, `${state.velocityKmS.toFixed(2)} km/s`);
+            
+            const note = document.getElementById(`sat${state.id}-note`);
+            if (note) {
+                const warnings = propagator.warnings.filter(w => w.satelliteId === state.id);
+                note.textContent = warnings.map(w => w.message).join('\n');
+                note.hidden = warnings.length === 0;
             }
-        }
+        });
     }
 }
 
 class TrajectoryAnalysis extends BasePage {
-    constructor(paramManager) {
-        super(paramManager);
-        this.simulationRunning = false;
-        this.simulationTime = 0;
+    constructor(paramManager, clock) {
+        super(paramManager, clock);
+        this.curveCache = null;
+        this.setupTrajectoryControls();
     }
 
     onPageEnter() {
         super.onPageEnter();
         this.drawTrajectoryChart();
-        this.setupTrajectoryControls();
+        this.drawSkyPlots();
     }
 
     onParametersChanged(params) {
         this.drawTrajectoryChart();
+        this.drawSkyPlots();
+    }
+
+    onTimeChanged() {
+        if (!this.isActive) return;
+        this.drawTrajectoryChart();
+        this.drawSkyPlots();
     }
 
     setupTrajectoryControls() {
@@ -358,10 +665,38 @@ class TrajectoryAnalysis extends BasePage {
             speedSlider.addEventListener('input', (e) => {
                 const speedValue = document.querySelector('.speed-value');
                 if (speedValue) speedValue.textContent = `${e.target.value}x`;
+                if (this.clock) this.clock.setSpeed(parseFloat(e.target.value));
             });
         }
     }
 
+    getWindow(propagator) {
+        if (this.clock) {
+            return { start: this.clock.epoch, durationMs: this.clock.durationSec * 1000 };
+        }
+        return { start: propagator.epoch, durationMs: this.paramManager.getValue('window-duration') * 60000 };
+    }
+
+    // Elevation samples are reused across clock ticks until the scenario changes
+    getElevationCurves(propagator, window, samples) {
+        if (this.curveCache && this.curveCache.propagator === propagator &&
+            this.curveCache.start === window.start && this.curveCache.durationMs === window.durationMs) {
+            return this.curveCache.curves;
+        }
+        
+        const curves = propagator.satellites.map((sat, index) => {
+            const points = [];
+            for (let i = 0; i <= samples; i++) {
+                const time = window.start + (i / samples) * window.durationMs;
+                points.push(propagator.getSatelliteState(index, time).look['handheld-device'].elevation);
+            }
+            return points;
+        });
+        
+        this.curveCache = { propagator, start: window.start, durationMs: window.durationMs, curves };
+        return curves;
+    }
+
     drawTrajectoryChart() {
         const canvas = document.getElementById('trajectory-canvas');
         if (!canvas) return;
@@ -369,42 +704,47 @@ class TrajectoryAnalysis extends BasePage {
         const ctx = canvas.getContext('2d');
         ctx.clearRect(0, 0, canvas.width, canvas.height);
         
-        const params = this.paramManager.getAllParameters();
-        const startElevation = parseFloat(params['start-elevation']) || 30;
-        const maxElevation = parseFloat(params['max-elevation']) || 90;
+        const propagator = this.getPropagator();
+        const window = this.getWindow(propagator);
+        const samples = Math.round(canvas.width / 5);
+        const curves = this.getElevationCurves(propagator, window, samples);
+        const toY = (elevation) => canvas.height - (elevation / 90) * canvas.height;
         
-        // Draw trajectory curves for each satellite
+        // Draw elevation curves for each satellite over the analysis window
         const colors = ['#ff6b6b', '#4ecdc4', '#45b7d1', '#96ceb4'];
         
-        for (let sat = 0; sat < 4; sat++) {
-            ctx.strokeStyle = colors[sat];
+        propagator.satellites.forEach((sat, index) => {
+            ctx.strokeStyle = colors[index];
             ctx.lineWidth = 3;
             ctx.beginPath();
             
-            for (let x = 0; x < canvas.width; x += 5) {
-                const time = (x / canvas.width) * 120; // 2 hours
-                const elevation = startElevation + Math.sin((time + sat * 30) * Math.PI / 60) * (maxElevation - startElevation) / 2;
-                const y = canvas.height - (elevation / 180) * canvas.height;
+            let penDown = false;
+            curves[index].forEach((elevation, i) => {
+                const x = (i / samples) * canvas.width;
+                const y = toY(elevation);
                 
-                if (x === 0) {
+                if (elevation < 0) {
+                    penDown = false;
+                } else if (!penDown) {
                     ctx.moveTo(x, y);
+                    penDown = true;
                 } else {
                     ctx.lineTo(x, y);
                 }
-            }
+            });
             ctx.stroke();
             
             // Label
-            ctx.fillStyle = colors[sat];
+            ctx.fillStyle = colors[index];
             ctx.font = '12px Arial';
-            ctx.fillText(`Sat ${sat + 1}`, 10, 20 + sat * 15);
-        }
+            ctx.fillText(sat.source === 'preset' ? `Sat ${sat.id}` : `Sat ${sat.id}: ${sat.name}`, canvas.width - 160, 20 + index * 15);
+        });
         
         // Draw elevation grid
         ctx.strokeStyle = '#e0e0e0';
         ctx.lineWidth = 1;
-        for (let elev = 0; elev <= 180; elev += 30) {
-            const y = canvas.height - (elev / 180) * canvas.height;
+        for (let elev = 0; elev <= 90; elev += 15) {
+            const y = toY(elev);
             ctx.beginPath();
             ctx.moveTo(0, y);
             ctx.lineTo(canvas.width, y);
@@ -413,20 +753,99 @@ class TrajectoryAnalysis extends BasePage {
             ctx.fillStyle = '#666';
             ctx.fillText(`${elev}°`, 5, y - 3);
         }
+        
+        this.drawTimeCursor(ctx, canvas, propagator, window, colors, toY);
+    }
+
+    // Current-time cursor with a marker at each satellite's live elevation
+    drawTimeCursor(ctx, canvas, propagator, window, colors, toY) {
+        const time = this.getSimulationTime();
+        const x = (time - window.start) / window.durationMs * canvas.width;
+        
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, canvas.height);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        propagator.getAllStates(time).forEach((state, index) => {
+            const elevation = state.look['handheld-device'].elevation;
+            if (elevation < 0) return;
+            
+            ctx.fillStyle = colors[index];
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(x, toY(elevation), 6, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.stroke();
+        });
+    }
+
+    // Pass tracks over the window, reused across clock ticks like the elevation curves
+    getSkyTracks(propagator, window) {
+        if (!this.skyCache || this.skyCache.propagator !== propagator ||
+            this.skyCache.start !== window.start || this.skyCache.durationMs !== window.durationMs) {
+            const stepMs = Math.max(30000, window.durationMs / 480);
+            this.skyCache = { propagator, start: window.start, durationMs: window.durationMs, tracks: {} };
+            Object.keys(GROUND_ASSETS).forEach(asset => {
+                this.skyCache.tracks[asset] = SkyPlot.tracks(propagator, asset, window.start, window.durationMs, stepMs);
+            });
+        }
+        return this.skyCache.tracks;
+    }
+
+    drawSkyPlots() {
+        const params = this.paramManager.getTypedParameters();
+        const propagator = this.getPropagator();
+        const window = this.getWindow(propagator);
+        const tracks = this.getSkyTracks(propagator, window);
+        const states = propagator.getAllStates(this.getSimulationTime());
+        const colors = ['#ff6b6b', '#4ecdc4', '#45b7d1', '#96ceb4'];
+        
+        Object.keys(GROUND_ASSETS).forEach(asset => {
+            const canvas = document.getElementById(`sky-plot-${asset}`);
+            if (!canvas) return;
+            const ctx = canvas.getContext('2d');
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            
+            const site = propagator.sites[asset];
+            const plot = new SkyPlot(canvas);
+            plot.drawMask(ctx, az => OrbitPropagator.siteMask(params, site, az));
+            plot.drawGrid(ctx);
+            plot.drawTracks(ctx, tracks[asset], colors, window.start);
+            plot.drawMarkers(ctx, states.map(state => ({ id: state.id, look: state.look[asset] })), colors);
+            
+            ctx.fillStyle = '#666';
+            ctx.font = '11px Arial';
+            ctx.fillText(site.location, 5, 14);
+        });
+        
+        const tbody = document.getElementById('sky-plot-rows');
+        if (!tbody) return;
+        const cells = (look) => look.elevation < 0
+            ? '<td>Below horizon</td><td>—</td>'
+            : `<td>${look.azimuth.toFixed(1)}° / ${look.elevation.toFixed(1)}°</td><td>${SkyPlot.passAngle(look).toFixed(1)}°</td>`;
+        tbody.innerHTML = states.map(state => `<tr>
+            <td>Sat ${state.id}</td>
+            ${cells(state.look['handheld-device'])}
+            ${cells(state.look['ground-station'])}
+        </tr>`).join('');
     }
 
     startSimulation() {
-        this.simulationRunning = true;
-        // Implementation for animation would go here
+        if (this.clock) this.clock.play();
     }
 
     pauseSimulation() {
-        this.simulationRunning = false;
+        if (this.clock) this.clock.pause();
     }
 
     resetSimulation() {
-        this.simulationRunning = false;
-        this.simulationTime = 0;
+        if (this.clock) this.clock.reset();
         this.drawTrajectoryChart();
     }
 }
@@ -439,135 +858,217 @@ class CoverageAnalysis extends BasePage {
     }
 
     onParametersChanged(params) {
+        this.drawCoverageMap();
+        if (this.isActive) this.updateCoverageMetrics();
+    }
+
+    onTimeChanged() {
+        if (!this.isActive) return;
         this.drawCoverageMap();
         this.updateCoverageMetrics();
     }
 
     drawCoverageMap() {
         const canvas = document.getElementById('coverage-canvas');
-        if (!canvas) return;
-        
-        const ctx = canvas.getContext('2d');
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        
-        const params = this.paramManager.getAllParameters();
-        const numSats = parseInt(params['num-satellites']) || 4;
-        const altitudeModel = params['altitude-model'] || 'LE600';
-        
-        // Draw Taiwan outline
-        ctx.strokeStyle = '#333';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.ellipse(canvas.width/2, canvas.height/2, 80, 120, 0, 0, 2 * Math.PI);
-        ctx.stroke();
-        
-        // Draw coverage areas
-        const coverageRadius = altitudeModel === 'GEO' ? 200 : 100;
-        const positions = [
-            { x: canvas.width * 0.3, y: canvas.height * 0.3 },
-            { x: canvas.width * 0.7, y: canvas.height * 0.3 },
-            { x: canvas.width * 0.3, y: canvas.height * 0.7 },
-            { x: canvas.width * 0.7, y: canvas.height * 0.7 }
-        ];
+        if (canvas) CoverageMap.draw(canvas, this.getPropagator(), this.paramManager.getTypedParameters(), this.getSimulationTime());
+    }
+
+    // Window statistics are reused until the scenario or region changes
+    getWindowMetrics() {
+        const propagator = this.getPropagator();
+        const durationSec = this.clock ? this.clock.durationSec : undefined;
         
-        for (let i = 0; i < numSats; i++) {
-            ctx.fillStyle = `rgba(42, 82, 152, ${0.3 - i * 0.05})`;
-            ctx.beginPath();
-            ctx.arc(positions[i].x, positions[i].y, coverageRadius, 0, 2 * Math.PI);
-            ctx.fill();
+        if (!this.windowCache || this.windowCache.propagator !== propagator || this.windowCache.durationSec !== durationSec) {
+            const params = this.paramManager.getTypedParameters();
+            this.windowCache = { propagator, durationSec, metrics: CoverageMetrics.overWindow(propagator, params, { durationSec }) };
         }
-        
-        // Mark ground station and handheld device
-        ctx.fillStyle = '#ff0000';
-        ctx.beginPath();
-        ctx.arc(canvas.width/2 - 10, canvas.height/2 + 20, 5, 0, 2 * Math.PI);
-        ctx.fill();
-        
-        ctx.fillStyle = '#00ff00';
-        ctx.beginPath();
-        ctx.arc(canvas.width/2 + 10, canvas.height/2 + 25, 5, 0, 2 * Math.PI);
-        ctx.fill();
+        return this.windowCache.metrics;
     }
 
     updateCoverageMetrics() {
-        const params = this.paramManager.getAllParameters();
-        const numSats = parseInt(params['num-satellites']) || 4;
-        const altitudeModel = params['altitude-model'] || 'LE600';
-        
-        const baseCoverage = altitudeModel === 'GEO' ? 15000 : 2847;
-        const totalCoverage = baseCoverage * numSats * 0.7; // Account for overlap
+        const params = this.paramManager.getTypedParameters();
+        const snapshot = CoverageMetrics.snapshot(this.getPropagator(), params, this.getSimulationTime());
+        const window = this.getWindowMetrics();
+        const region = snapshot.region;
+        const minutes = (sec) => `${(sec / 60).toFixed(1)} min`;
         
-        this.updateDisplay('total-coverage', `${Math.round(totalCoverage).toLocaleString()} km²`);
-        this.updateDisplay('overlap-regions', `${Math.round(15 * numSats / 4)}%`);
-        this.updateDisplay('coverage-efficiency', `${Math.round(87 + numSats * 2)}%`);
+        this.updateDisplay('coverage-region', `Lat ${region.latMin}° to ${region.latMax}°, lon ${region.lonMin}° to ${region.lonMax}°, ` +
+            `${snapshot.cellCount} cells of ${+region.resolutionDeg.toFixed(3)}°, ${Math.round(snapshot.totalAreaKm2).toLocaleString()} km²`);
+        this.updateDisplay('total-coverage', `${Math.round(snapshot.coveredAreaKm2).toLocaleString()} km² (${(snapshot.coveredFraction * 100).toFixed(0)}%)`);
+        this.updateDisplay('overlap-regions', `${(snapshot.multiCoverageFraction * 100).toFixed(0)}%`);
+        this.updateDisplay('coverage-efficiency', `${(window.availability * 100).toFixed(1)}%`);
+        this.updateDisplay('coverage-min-availability', `${(window.minCellAvailability * 100).toFixed(1)}%`);
+        this.updateDisplay('coverage-max-gap', minutes(window.maxGapSec));
+        this.updateDisplay('coverage-revisit', window.meanRevisitSec === null ? '—' : minutes(window.meanRevisitSec));
     }
 }
 
 class PerformanceMetrics extends BasePage {
-    constructor(paramManager) {
-        super(paramManager);
+    constructor(paramManager, clock) {
+        super(paramManager, clock);
         this.performanceData = [];
         this.maxDataPoints = 60;
+        this.pointCache = null;
     }
 
     onPageEnter() {
         super.onPageEnter();
         this.updateMetrics();
-        this.drawPerformanceChart();
-        this.startMetricsUpdate();
+        this.updateRealTimeMetrics(this.getSimulationTime());
     }
 
-    onPageExit() {
-        this.stopMetricsUpdate();
+    onParametersChanged(params) {
+        if (!this.isActive) return;
+        this.updateMetrics();
+        this.updateRealTimeMetrics(this.getSimulationTime());
     }
 
-    onParametersChanged(params) {
+    onTimeChanged(timeMs, reason) {
+        if (!this.isActive) return;
+        this.updateRealTimeMetrics(timeMs);
         this.updateMetrics();
     }
 
+    // Handheld downlink quality from the satellite the handover policy is serving at the given time
+    calculateLinkQuality(timeMs, options) {
+        const servingId = HandoverSimulator.servingAt(this.getHandoverResult(), timeMs);
+        return EndToEndLink.servingLink(this.getPropagator(), this.paramManager.getTypedParameters(), timeMs, servingId, options);
+    }
+
+    // Feeder availability over the clock window
+    getFeederTimeline() {
+        return this.getSharedRun('feeder', (durationSec) =>
+            EndToEndLink.timeline(this.getPropagator(), this.paramManager.getTypedParameters(), { durationSec }));
+    }
+
+    updateEndToEnd(link) {
+        const params = this.paramManager.getTypedParameters();
+        const timeline = this.getFeederTimeline();
+        const e2e = link.endToEnd;
+        const db = (value) => value === null ? '—' : `${value.toFixed(1)} dB`;
+        const ms = (value) => value === null ? '—' : `${value.toFixed(1)} ms`;
+        const track = e2e && timeline.satellites.find(s => s.id === link.satelliteId);
+        const mean = timeline.satellites.reduce((sum, s) => sum + s.availability, 0) / Math.max(1, timeline.satellites.length);
+        
+        this.updateDisplay('e2e-architecture', PAYLOAD_ARCHITECTURES[EndToEndLink.options(params).architecture]);
+        if (!e2e) {
+            ['e2e-gateway', 'e2e-feeder', 'e2e-cn', 'e2e-latency', 'e2e-rtt'].forEach(id => this.updateDisplay(id, '—'));
+        } else {
+            this.updateDisplay('e2e-gateway', e2e.gateway ? `${e2e.gateway}${e2e.switched ? ' (switched)' : ''}` : 'No gateway in view');
+            this.updateDisplay('e2e-feeder', e2e.feeder ? `${db(e2e.feeder.uplink.cnDb)} / ${db(e2e.feeder.downlink.cnDb)}` : 'Unavailable');
+            this.updateDisplay('e2e-cn', e2e.forwardCnDb === null ? 'No service' : `${db(e2e.forwardCnDb)} / ${db(e2e.returnCnDb)}`);
+            this.updateDisplay('e2e-latency', e2e.oneWayLatencyMs === null ? 'No backhaul' : ms(e2e.oneWayLatencyMs));
+            this.updateDisplay('e2e-rtt', ms(e2e.harqRttMs));
+        }
+        this.updateDisplay('e2e-availability', `${track ? `Sat ${track.id} ${(track.availability * 100).toFixed(1)}%, ` : ''}mean ${(mean * 100).toFixed(1)}% · ${timeline.switchCount} gateway switches`);
+    }
+
     updateMetrics() {
-        const params = this.paramManager.getAllParameters();
-        const frequency = parseFloat(params.frequency) || 2100;
-        const altitude = params['altitude-model'] || 'LE600';
+        const link = this.calculateLinkQuality(this.getSimulationTime());
+        
+        if (link.serving) {
+            const { rate } = link;
+            this.updateDisplay('current-snr', `${link.snr.toFixed(1)} dB (Sat ${link.satelliteId})`);
+            this.updateDisplay('current-sinr', `${link.sinr.toFixed(1)} dB`);
+            this.updateDisplay('current-rsrp', `${link.rsrp.toFixed(1)} dBm`);
+            this.updateDisplay('current-mcs', `MCS ${rate.mcs} / CQI ${rate.cqi} (${['', '', 'QPSK', '', '16QAM', '', '64QAM'][rate.qm]} ${rate.codeRate.toFixed(2)})`);
+            this.updateDisplay('current-harq', rate.harq.processesNeeded === 0
+                ? `BLER ${(rate.bler * 100).toFixed(1)}%, feedback disabled`
+                : `BLER ${(rate.bler * 100).toFixed(1)}%, ${(rate.harq.stallFactor * 100).toFixed(0)}% of slots (${rate.harq.processesNeeded} processes needed)`);
+            this.updateDisplay('current-throughput', `${link.throughput.toFixed(1)} Mbps`);
+        } else {
+            this.updateDisplay('current-snr', 'No service');
+            this.updateDisplay('current-sinr', 'No service');
+            this.updateDisplay('current-rsrp', 'No service');
+            this.updateDisplay('current-mcs', '—');
+            this.updateDisplay('current-harq', '—');
+            this.updateDisplay('current-throughput', '0.0 Mbps');
+        }
+        this.updateEndToEnd(link);
+        this.updateLinkBudgetTable(link.budgets);
+        this.updateHandoverStats(this.getHandoverResult(), link);
+    }
+
+    updateHandoverStats(result, link) {
+        this.updateDisplay('handover-success', result.successRate === null ? '—' : `${(result.successRate * 100).toFixed(1)}%`);
+        this.updateDisplay('handover-duration', result.handoverCount > 0 ? `${result.meanInterruptionMs.toFixed(1)} ms` : '—');
+        this.updateDisplay('total-handovers', result.handoverCount.toLocaleString());
+        this.updateDisplay('handover-pingpong', result.pingPongCount.toLocaleString());
+        this.updateDisplay('handover-outage', `${(result.outageSec / 60).toFixed(1)} min`);
+        this.updateDisplay('handover-serving', link.serving ? `Sat ${link.satelliteId}` : 'None');
         
-        // Calculate performance based on parameters
-        const snr = Math.max(15, 30 - Math.abs(frequency - 2100) / 100);
-        const rsrp = Math.max(-110, -85 - Math.abs(frequency - 2100) / 200);
-        const throughput = Math.min(100, snr * 2);
+        const serviceTimes = Object.keys(result.serviceTimeSec)
+            .map(id => `Sat ${id}: ${(result.serviceTimeSec[id] / 60).toFixed(1)} min`)
+            .join(' · ');
+        this.updateDisplay('service-times', `${HANDOVER_POLICIES[result.policy]} — service time ${serviceTimes}`);
         
-        this.updateDisplay('current-snr', `${snr.toFixed(1)} dB`);
-        this.updateDisplay('current-rsrp', `${rsrp.toFixed(1)} dBm`);
-        this.updateDisplay('current-throughput', `${throughput.toFixed(1)} Mbps`);
+        const tbody = document.getElementById('handover-rows');
+        if (!tbody) return;
         
-        // Update handover stats
-        this.updateDisplay('handover-success', '96.8%');
-        this.updateDisplay('handover-duration', '127 ms');
-        this.updateDisplay('total-handovers', '1,247');
+        tbody.innerHTML = HandoverSimulator.eventRowsHtml(result.events);
     }
 
-    startMetricsUpdate() {
-        this.metricsInterval = setInterval(() => {
-            this.updateRealTimeMetrics();
-        }, 2000);
+    updateLinkBudgetTable(budgets) {
+        const tbody = document.getElementById('link-budget-rows');
+        if (!tbody) return;
+        
+        const format = (link, field, digits = 1) => link.available ? link[field].toFixed(digits) : '—';
+        tbody.innerHTML = budgets.map(({ state, links }) => {
+            const hh = links['handheld-device'];
+            const gs = links['ground-station'];
+            return `<tr>
+                <td>Sat ${state.id}</td>
+                <td>${hh.downlink.elevation.toFixed(1)}°</td>
+                <td>${Math.round(hh.downlink.rangeKm).toLocaleString()}</td>
+                <td>${format(hh.downlink, 'fsplDb')}</td>
+                <td>${format(hh.downlink, 'cnDb')}</td>
+                <td>${format(hh.downlink, 'rsrpDbm')}</td>
+                <td>${format(hh.uplink, 'cnDb')}</td>
+                <td>${format(gs.downlink, 'cnDb')}</td>
+                <td>${format(gs.uplink, 'cnDb')}</td>
+                <td>${format(hh.downlink, 'marginDb')}</td>
+            </tr>`;
+        }).join('');
     }
 
-    stopMetricsUpdate() {
-        if (this.metricsInterval) {
-            clearInterval(this.metricsInterval);
+    // The last `maxDataPoints` clock steps up to `timeMs` through the seeded
+    // fading channel; points are cached per scenario so a tick only evaluates
+    // the newest one
+    updateRealTimeMetrics(timeMs) {
+        const handover = this.getHandoverResult();
+        if (!this.pointCache || this.pointCache.handover !== handover) {
+            this.pointCache = { handover, points: new Map() };
         }
-    }
-
-    updateRealTimeMetrics() {
-        const timestamp = new Date();
-        const snr = 23.5 + (Math.random() - 0.5) * 5;
-        const throughput = 45.2 + (Math.random() - 0.5) * 10;
         
-        this.performanceData.push({ timestamp, snr, throughput });
-        
-        if (this.performanceData.length > this.maxDataPoints) {
-            this.performanceData.shift();
+        const stepMs = (this.clock ? this.clock.stepSec : 10) * 1000;
+        const startTime = this.clock ? this.clock.epoch : this.getPropagator().epoch;
+        this.performanceData = [];
+        for (let k = this.maxDataPoints - 1; k >= 0; k--) {
+            const t = timeMs - k * stepMs;
+            if (t < startTime) continue;
+            if (!this.pointCache.points.has(t)) {
+                const link = this.calculateLinkQuality(t, { channel: true });
+                this.pointCache.points.set(t, {
+                    timestamp: new Date(t),
+                    sinr: link.serving ? link.sinr : null,
+                    throughput: link.serving ? link.throughput : 0,
+                    channel: link.serving ? link.channel : null
+                });
+            }
+            this.performanceData.push(this.pointCache.points.get(t));
         }
+        // Only the visible history is kept, so scrubbing does not grow the cache
+        const first = timeMs - (this.maxDataPoints - 1) * stepMs;
+        this.pointCache.points.forEach((point, t) => {
+            if (t < first || t > timeMs) this.pointCache.points.delete(t);
+        });
         
+        const latest = this.performanceData[this.performanceData.length - 1];
+        const channel = latest && latest.timestamp.getTime() === timeMs ? latest.channel : null;
+        this.updateDisplay('current-channel', channel
+            ? `${channel.los ? 'LOS' : 'NLOS'} ${channel.profile}${channel.kFactorDb !== null ? ` (K ${channel.kFactorDb.toFixed(1)} dB)` : ''}, ` +
+                `shadowing ${channel.shadowFadingDb.toFixed(1)} dB${channel.los ? '' : `, clutter ${channel.clutterLossDb.toFixed(1)} dB`}, fading ${channel.fastFadingDb.toFixed(1)} dB`
+            : '—');
         this.drawPerformanceChart();
     }
 
@@ -581,18 +1082,29 @@ class PerformanceMetrics extends BasePage {
         if (this.performanceData.length < 2) return;
         
         const stepX = canvas.width / (this.maxDataPoints - 1);
+        const sinrMin = -10;
+        const sinrMax = 30;
+        // Throughput axis up to the top MCS rate of the configured carrier
+        const maxRate = Throughput.compute(sinrMax, 0, Throughput.options(this.paramManager.getTypedParameters())).peakMbps;
         
-        // Draw SNR line
+        // Draw SINR line, broken while there is no service
         ctx.strokeStyle = '#2196f3';
         ctx.lineWidth = 2;
         ctx.beginPath();
         
+        let penDown = false;
         this.performanceData.forEach((point, index) => {
+            if (point.sinr === null) {
+                penDown = false;
+                return;
+            }
             const x = index * stepX;
-            const y = canvas.height - (point.snr / 50 * canvas.height);
+            const sinr = Math.max(sinrMin, Math.min(sinrMax, point.sinr));
+            const y = canvas.height - ((sinr - sinrMin) / (sinrMax - sinrMin) * canvas.height);
             
-            if (index === 0) {
+            if (!penDown) {
                 ctx.moveTo(x, y);
+                penDown = true;
             } else {
                 ctx.lineTo(x, y);
             }
@@ -606,7 +1118,7 @@ class PerformanceMetrics extends BasePage {
         
         this.performanceData.forEach((point, index) => {
             const x = index * stepX;
-            const y = canvas.height - (point.throughput / 100 * canvas.height);
+            const y = canvas.height - (point.throughput / maxRate * canvas.height);
             
             if (index === 0) {
                 ctx.moveTo(x, y);
@@ -619,91 +1131,1453 @@ class PerformanceMetrics extends BasePage {
         // Labels
         ctx.fillStyle = '#666';
         ctx.font = '12px Arial';
-        ctx.fillText('SNR (dB)', 10, 20);
+        ctx.fillText(`SINR (${sinrMin} to ${sinrMax} dB), ${ChannelModel.label(ChannelModel.options(this.paramManager.getTypedParameters()))}`, 10, 20);
         ctx.fillStyle = '#ff9800';
-        ctx.fillText('Throughput (Mbps)', 10, 35);
+        ctx.fillText(`Throughput (0 to ${maxRate.toFixed(0)} Mbps)`, 10, 35);
     }
 }
 
-class Monitoring extends BasePage {
-    constructor(paramManager) {
-        super(paramManager);
-        this.chartData = [];
-        this.maxDataPoints = 50;
+// Time-series chart page for the Doppler, delay, timing-advance and residual-error views
+class ImpairmentPage extends BasePage {
+    constructor(paramManager, clock, { tableId, charts, columns }) {
+        super(paramManager, clock);
+        this.tableId = tableId;
+        this.charts = charts;
+        this.columns = columns;
+        this.seriesCache = null;
     }
 
     onPageEnter() {
         super.onPageEnter();
-        this.startMonitoring();
-        this.drawLatencyChart();
+        this.render();
     }
 
-    onPageExit() {
-        super.onPageExit();
-        this.stopMonitoring();
+    onParametersChanged() {
+        if (this.isActive) this.render();
     }
 
-    startMonitoring() {
-        this.monitoringInterval = setInterval(() => {
-            this.updateMetrics();
-        }, 2000);
+    onTimeChanged() {
+        if (this.isActive) this.render();
     }
 
-    stopMonitoring() {
-        if (this.monitoringInterval) {
-            clearInterval(this.monitoringInterval);
+    getSeries(propagator, samples) {
+        const params = this.paramManager.getTypedParameters();
+        const start = this.clock.epoch;
+        const durationMs = this.clock.durationSec * 1000;
+        const key = JSON.stringify(DopplerDelay.options(params));
+        
+        if (!this.seriesCache || this.seriesCache.propagator !== propagator || this.seriesCache.key !== key ||
+            this.seriesCache.start !== start || this.seriesCache.durationMs !== durationMs) {
+            this.seriesCache = { propagator, key, start, durationMs, series: DopplerDelay.series(propagator, params, start, durationMs, samples) };
         }
+        return this.seriesCache;
     }
 
-    updateMetrics() {
-        const params = this.paramManager.getAllParameters();
-        const latency = 20 + Math.random() * 10;
-        
-        this.chartData.push({
-            timestamp: new Date(),
-            latency: latency
-        });
-        
-        if (this.chartData.length > this.maxDataPoints) {
-            this.chartData.shift();
-        }
+    render() {
+        const propagator = this.getPropagator();
+        const cache = this.getSeries(propagator, 200);
+        const options = DopplerDelay.options(this.paramManager.getTypedParameters());
+        const current = propagator.satellites.map((sat, index) => DopplerDelay.compute(propagator, index, this.getSimulationTime(), options));
         
-        this.drawLatencyChart();
+        this.charts.forEach(chart => this.drawChart(chart, cache, current));
+        this.updateTable(current);
     }
 
-    drawLatencyChart() {
-        const canvas = document.getElementById('latency-chart');
-        if (!canvas) return;
-        
-        const ctx = canvas.getContext('2d');
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+    drawChart(chart, cache, current) {
+        const canvas = document.getElementById(chart.canvasId);
+        if (canvas) SeriesChart.draw(canvas, chart, cache, current, this.getSimulationTime());
+    }
+
+    updateTable(current) {
+        const tbody = document.getElementById(this.tableId);
+        if (!tbody) return;
         
-        ctx.strokeStyle = '#2196f3';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
+        tbody.innerHTML = current.map(p => `<tr>
+            <td>Sat ${p.id}</td>
+            <td>${p.elevation.toFixed(1)}°</td>
+            ${this.columns.map(column => {
+                const v = column.value(p);
+                return `<td>${p.visible && v !== null ? v.toFixed(column.digits) : '—'}</td>`;
+            }).join('')}
+        </tr>`).join('');
+    }
+}
+
+class ProtocolTimerPage extends BasePage {
+    constructor(paramManager, clock) {
+        super(paramManager, clock);
+        this.windowCache = null;
+    }
+
+    onPageEnter() {
+        super.onPageEnter();
+        this.render();
+    }
+
+    onParametersChanged() {
+        if (this.isActive) this.render();
+    }
+
+    onTimeChanged() {
+        if (this.isActive) this.render();
+    }
+
+    // Round trips over the clock window, reused until the scenario changes
+    getWindow(propagator) {
+        const params = this.paramManager.getTypedParameters();
+        const start = this.clock.epoch;
+        const durationSec = this.clock.durationSec;
         
-        const stepX = canvas.width / (this.maxDataPoints - 1);
+        if (!this.windowCache || this.windowCache.propagator !== propagator ||
+            this.windowCache.start !== start || this.windowCache.durationSec !== durationSec) {
+            this.windowCache = { propagator, start, durationSec, result: ProtocolTimers.overWindow(propagator, params, { startTime: start, durationSec }) };
+        }
+        return this.windowCache.result;
+    }
+
+    render() {
+        const params = this.paramManager.getTypedParameters();
+        const propagator = this.getPropagator();
+        const simTime = this.getSimulationTime();
+        const result = this.getWindow(propagator);
+        const current = ProtocolTimers.current(propagator, params, simTime);
         
-        this.chartData.forEach((point, index) => {
-            const x = index * stepX;
-            const y = canvas.height - (point.latency / 50 * canvas.height);
+        const rttCanvas = document.getElementById('protocol-rtt-chart');
+        if (rttCanvas) {
+            SeriesChart.draw(rttCanvas, { value: p => p.rttMs, digits: 1, zeroBased: true,
+                limit: () => PROTOCOL_TIMERS['contention-resolution'].typical(), limitLabel: 'ra-ContentionResolutionTimer 64 ms (without RTT offset)' },
+                result, current, simTime);
+        }
+        const differentialCanvas = document.getElementById('protocol-differential-chart');
+        if (differentialCanvas) {
+            SeriesChart.draw(differentialCanvas, { value: p => p.differentialMs, digits: 2, zeroBased: true }, result, current, simTime);
+        }
+        
+        this.renderWorstCase(result);
+        this.renderSatellites(result, current);
+        this.renderAltitudeModels(ProtocolTimers.byAltitudeModel(params));
+    }
+
+    renderWorstCase(result) {
+        const served = result.series.filter(s => s.maxRttMs !== null);
+        const worst = served.reduce((a, b) => (b.maxRttMs > a.maxRttMs ? b : a), served[0]);
+        const tbody = document.getElementById('protocol-timer-rows');
+        if (!tbody) return;
+        
+        if (!worst) {
+            this.updateDisplay('protocol-summary', 'No satellite serves the handheld in the simulation window.');
+            tbody.innerHTML = '';
+            return;
+        }
+        const kOffset = Math.max(...served.map(s => s.kOffsetSlots));
+        const cellKOffset = Math.max(...served.map(s => s.cellKOffsetSlots));
+        this.updateDisplay('protocol-summary',
+            `Worst UE–gNB round trip ${worst.maxRttMs.toFixed(1)} ms (Sat ${worst.id}, ${result.options.transparent ? 'transparent' : 'regenerative'} payload, ` +
+            `${result.options.scsKhz} kHz SCS). Minimum UE-specific K_offset ${kOffset} slots; cell-specific Koffset ${cellKOffset} slots.`);
+        
+        tbody.innerHTML = worst.checks.map(c => `<tr class="${c.typicalOk ? '' : 'failed'}">
+            <td>${c.label}</td>
+            <td>${c.spec}</td>
+            <td>${ProtocolTimers.formatValue(c.required, c.unit)}</td>
+            <td>${ProtocolTimers.formatValue(c.typical, c.unit)} ${c.typicalOk ? '✓' : '✗'}</td>
+            <td>${c.minimum === null ? 'None' : ProtocolTimers.formatValue(c.minimum, c.unit)}</td>
+            <td>${c.rel17}</td>
+        </tr>`).join('');
+    }
+
+    renderSatellites(result, current) {
+        const tbody = document.getElementById('protocol-satellite-rows');
+        if (!tbody) return;
+        
+        const value = (v, digits) => (v === null ? '—' : v.toFixed(digits));
+        tbody.innerHTML = result.series.map((s, index) => {
+            const failing = s.checks ? s.checks.filter(c => !c.typicalOk).map(c => c.label) : [];
+            return `<tr>
+                <td>Sat ${s.id}</td>
+                <td>${value(current[index].rttMs, 2)}</td>
+                <td>${value(s.maxRttMs, 2)}</td>
+                <td>${value(current[index].differentialMs, 3)}</td>
+                <td>${value(s.maxDifferentialMs, 3)}</td>
+                <td>${s.kOffsetSlots === null ? '—' : s.kOffsetSlots}</td>
+                <td>${s.cellKOffsetSlots === null ? '—' : s.cellKOffsetSlots}</td>
+                <td>${s.checks ? (failing.join(', ') || 'None') : 'Not served'}</td>
+            </tr>`;
+        }).join('');
+    }
+
+    renderAltitudeModels(models) {
+        const head = document.getElementById('protocol-model-head');
+        const tbody = document.getElementById('protocol-model-rows');
+        if (!head || !tbody) return;
+        
+        head.innerHTML = `<tr><th>At the Elevation Mask</th>${models.map(m => `<th>${m.model} (${m.altitudeKm} km)</th>`).join('')}</tr>`;
+        const rows = [
+            `<tr><td>UE–gNB Round Trip</td>${models.map(m => `<td>${m.rttMs.toFixed(1)} ms</td>`).join('')}</tr>`,
+            `<tr><td>Differential Delay</td>${models.map(m => `<td>${m.differentialMs.toFixed(2)} ms</td>`).join('')}</tr>`,
+            `<tr><td>Cell-Specific Koffset</td>${models.map(m => `<td>${m.kOffsetSlots} slots</td>`).join('')}</tr>`
+        ];
+        models[0].checks.forEach((check, i) => {
+            rows.push(`<tr><td>${check.label}</td>${models.map(m => {
+                const c = m.checks[i];
+                const minimum = c.minimum === null ? 'none sufficient' : `min ${ProtocolTimers.formatValue(c.minimum, c.unit)}`;
+                return `<td class="${c.typicalOk ? '' : 'failed'}">${c.typicalOk ? '✓' : '✗'} needs ${ProtocolTimers.formatValue(c.required, c.unit)}, ${minimum}</td>`;
+            }).join('')}</tr>`);
+        });
+        tbody.innerHTML = rows.join('');
+    }
+}
+
+class ParameterSweepPage extends BasePage {
+    constructor(paramManager, clock) {
+        super(paramManager, clock);
+        this.sweep = null;
+        this.worker = null;
+        this.pending = null;
+        this.evaluation = null;
+        this.setupControls();
+    }
+
+    setupControls() {
+        const fill = (id, entries, blank) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            select.innerHTML = (blank ? `<option value="">${blank}</option>` : '') +
+                entries.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        };
+        fill('sweep-x', Object.entries(SWEEP_PARAMETERS));
+        fill('sweep-y', Object.entries(SWEEP_PARAMETERS), '(none)');
+        fill('sweep-kpi', Object.entries(SWEEP_KPIS).map(([key, kpi]) => [key, kpi.label]));
+        
+        const actions = {
+            'sweep-run': () => this.start(),
+            'sweep-cancel': () => this.cancel('Cancelled')
+        };
+        Object.keys(actions).forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.addEventListener('click', actions[id]);
+        });
+        const kpi = document.getElementById('sweep-kpi');
+        if (kpi) kpi.addEventListener('change', () => this.renderCharts());
+    }
+
+    onParametersChanged() {
+        if (this.sweep && !this.isRunning()) this.showStatus('The parameters changed after this sweep; run it again to update the results');
+    }
+
+    refresh() {
+        this.render();
+    }
+
+    isRunning() {
+        return !!(this.worker || this.pending);
+    }
+
+    readAxis(name) {
+        const key = document.getElementById(`sweep-${name}`).value;
+        if (!key) return null;
+        return { key, label: SWEEP_PARAMETERS[key], values: ParameterSweep.parseValues(key, document.getElementById(`sweep-${name}-values`).value) };
+    }
+
+    // Combinations start from the panel parameters and are repaired like scenario
+    // files, so every job is a consistent parameter set
+    start() {
+        try {
+            this.cancel();
+            const x = this.readAxis('x');
+            const y = this.readAxis('y');
+            if (y && y.key === x.key) throw new Error('Choose two different parameters');
             
-            if (index === 0) {
-                ctx.moveTo(x, y);
+            const base = this.paramManager.getAllParameters();
+            const jobs = ParameterSweep.combinations(base, y ? [x, y] : [x], (params) => this.paramManager.sanitize(params, base).values);
+            this.sweep = { x, y, jobs, results: new Array(jobs.length).fill(null), completed: 0, startedAt: Date.now() };
+            this.setRunning(true);
+            this.showStatus(`Running ${jobs.length} combinations…`);
+            this.render();
+            this.runInWorker();
+        } catch (e) {
+            this.showStatus(e.message, true);
+        }
+    }
+
+    runInWorker() {
+        try {
+            this.worker = new Worker('js/sweep-worker.js');
+        } catch (e) {
+            // Workers are refused for pages opened from file:// in some browsers
+            this.worker = null;
+        }
+        if (!this.worker) {
+            this.runInPage();
+            return;
+        }
+        
+        this.worker.onmessage = (e) => {
+            if (e.data.type === 'result') this.record(e.data.index, e.data);
+            else if (e.data.type === 'done') this.finish();
+        };
+        this.worker.onerror = (e) => {
+            e.preventDefault();
+            this.worker.terminate();
+            this.worker = null;
+            this.runInPage();
+        };
+        this.worker.postMessage({ jobs: this.sweep.jobs, catalog: ElementCatalog.load() });
+    }
+
+    // Combinations are advanced in short slices, one per task, so the page
+    // keeps repainting and the cancel button stays responsive
+    runInPage() {
+        if (this.sweep.completed >= this.sweep.jobs.length) {
+            this.finish();
+            return;
+        }
+        this.pending = setTimeout(() => {
+            this.pending = null;
+            const index = this.sweep.completed;
+            let result;
+            try {
+                if (!this.evaluation) this.evaluation = ParameterSweep.begin(this.sweep.jobs[index].params, ElementCatalog.load());
+                if (!ParameterSweep.advance(this.evaluation, SWEEP_SLICE_MS)) {
+                    this.runInPage();
+                    return;
+                }
+                result = { kpis: this.evaluation.kpis };
+            } catch (e) {
+                result = { error: e.message };
+            }
+            this.evaluation = null;
+            this.record(index, result);
+            this.runInPage();
+        }, 0);
+    }
+
+    record(index, result) {
+        this.sweep.results[index] = result;
+        this.sweep.completed = index + 1;
+        this.showStatus(`Running ${this.sweep.completed} of ${this.sweep.jobs.length} combinations…`);
+        this.render();
+    }
+
+    finish() {
+        const failed = this.sweep.results.filter(r => r && r.error).length;
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.setRunning(false);
+        this.showStatus(`${this.sweep.jobs.length} combinations in ${((Date.now() - this.sweep.startedAt) / 1000).toFixed(1)} s` +
+            (failed ? `; ${failed} failed` : ''), failed > 0);
+    }
+
+    cancel(message) {
+        if (this.worker) this.worker.terminate();
+        if (this.pending) clearTimeout(this.pending);
+        const wasRunning = this.isRunning();
+        this.worker = null;
+        this.pending = null;
+        this.evaluation = null;
+        this.setRunning(false);
+        if (message && wasRunning) this.showStatus(`${message} after ${this.sweep.completed} of ${this.sweep.jobs.length} combinations`);
+    }
+
+    setRunning(running) {
+        const run = document.getElementById('sweep-run');
+        const cancel = document.getElementById('sweep-cancel');
+        if (run) run.disabled = running;
+        if (cancel) cancel.disabled = !running;
+    }
+
+    selectedKpi() {
+        const select = document.getElementById('sweep-kpi');
+        return select && SWEEP_KPIS[select.value] ? select.value : 'availability';
+    }
+
+    formatKpi(key, value) {
+        return value === null || value === undefined ? '—' : value.toFixed(SWEEP_KPIS[key].digits);
+    }
+
+    render() {
+        this.renderTable();
+        this.renderCharts();
+    }
+
+    renderTable() {
+        const head = document.getElementById('sweep-head');
+        const tbody = document.getElementById('sweep-rows');
+        if (!head || !tbody) return;
+        if (!this.sweep) {
+            head.innerHTML = '';
+            tbody.innerHTML = '<tr><td>Choose the parameters to vary and press Run Sweep</td></tr>';
+            return;
+        }
+        
+        const { x, y, jobs, results } = this.sweep;
+        const kpiKeys = Object.keys(SWEEP_KPIS);
+        const unit = (kpi) => kpi.unit ? ` (${kpi.unit})` : '';
+        head.innerHTML = `<tr><th>${x.label}</th>${y ? `<th>${y.label}</th>` : ''}${kpiKeys.map(k => `<th>${SWEEP_KPIS[k].label}${unit(SWEEP_KPIS[k])}</th>`).join('')}</tr>`;
+        tbody.innerHTML = jobs.map((job, i) => {
+            const result = results[i];
+            const cells = !result
+                ? `<td colspan="${kpiKeys.length}">Pending</td>`
+                : result.error
+                    ? `<td colspan="${kpiKeys.length}">Failed: ${result.error}</td>`
+                    : kpiKeys.map(k => `<td>${this.formatKpi(k, result.kpis[k])}</td>`).join('');
+            return `<tr><td>${job.xValue}</td>${y ? `<td>${job.yValue}</td>` : ''}${cells}</tr>`;
+        }).join('');
+    }
+
+    // KPI value of each X (columns) and Y (rows) combination, null while missing
+    kpiGrid(kpi) {
+        const { x, y, jobs, results } = this.sweep;
+        const grid = (y ? y.values : [null]).map(() => x.values.map(() => null));
+        jobs.forEach((job, i) => {
+            const result = results[i];
+            if (result && result.kpis && result.kpis[kpi] !== null) grid[job.yi][job.xi] = result.kpis[kpi];
+        });
+        return grid;
+    }
+
+    renderCharts() {
+        const line = document.getElementById('sweep-line-chart');
+        const heatmap = document.getElementById('sweep-heatmap');
+        [line, heatmap].forEach(canvas => {
+            if (canvas) canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+        });
+        if (!this.sweep) return;
+        
+        const kpi = this.selectedKpi();
+        const grid = this.kpiGrid(kpi);
+        if (line) this.drawLineChart(line, kpi, grid);
+        if (heatmap) this.drawHeatmap(heatmap, kpi, grid);
+    }
+
+    // One line per Y value across the X values, spaced evenly
+    drawLineChart(canvas, kpi, grid) {
+        const ctx = canvas.getContext('2d');
+        const { x, y } = this.sweep;
+        const spec = SWEEP_KPIS[kpi];
+        const left = 60;
+        const top = 15;
+        const width = canvas.width - left - 150;
+        const height = canvas.height - top - 40;
+        const colors = ['#ff6b6b', '#4ecdc4', '#45b7d1', '#96ceb4', '#ff9800', '#9c27b0', '#3f51b5', '#795548', '#607d8b', '#e91e63', '#8bc34a', '#00bcd4'];
+        
+        const values = grid.flat().filter(v => v !== null);
+        if (values.length === 0) {
+            ctx.fillStyle = '#666';
+            ctx.font = '14px Arial';
+            ctx.fillText('No results yet', left, canvas.height / 2);
+            return;
+        }
+        let min = Math.min(...values, 0);
+        let max = Math.max(...values);
+        if (max - min < 1e-9) max = min + 1;
+        const toX = (i) => left + (x.values.length > 1 ? i / (x.values.length - 1) : 0.5) * width;
+        const toY = (v) => top + (max - v) / (max - min) * height;
+        
+        ctx.strokeStyle = '#e0e0e0';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = '#666';
+        ctx.font = '11px Arial';
+        for (let i = 0; i <= 4; i++) {
+            const v = min + (max - min) * i / 4;
+            ctx.beginPath();
+            ctx.moveTo(left, toY(v));
+            ctx.lineTo(left + width, toY(v));
+            ctx.stroke();
+            ctx.fillText(v.toFixed(spec.digits), 5, toY(v) + 4);
+        }
+        x.values.forEach((value, i) => ctx.fillText(String(value), toX(i) - 12, top + height + 15));
+        ctx.fillText(`${x.label} — ${spec.label}${spec.unit ? ` (${spec.unit})` : ''}`, left, canvas.height - 5);
+        
+        grid.forEach((row, yi) => {
+            const color = colors[yi % colors.length];
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            let penDown = false;
+            row.forEach((v, xi) => {
+                if (v === null) {
+                    penDown = false;
+                    return;
+                }
+                if (penDown) ctx.lineTo(toX(xi), toY(v));
+                else ctx.moveTo(toX(xi), toY(v));
+                penDown = true;
+            });
+            ctx.stroke();
+            row.forEach((v, xi) => {
+                if (v === null) return;
+                ctx.beginPath();
+                ctx.arc(toX(xi), toY(v), 3, 0, 2 * Math.PI);
+                ctx.fill();
+            });
+            if (y) ctx.fillText(`${y.label}: ${y.values[yi]}`, left + width + 15, top + 12 + yi * 14);
+        });
+    }
+
+    // Cells coloured from red (worst) to green (best) over the swept range
+    drawHeatmap(canvas, kpi, grid) {
+        const ctx = canvas.getContext('2d');
+        const { x, y } = this.sweep;
+        const spec = SWEEP_KPIS[kpi];
+        ctx.fillStyle = '#666';
+        ctx.font = '14px Arial';
+        if (!y) {
+            ctx.fillText('Choose a Y parameter to plot a heatmap', 60, canvas.height / 2);
+            return;
+        }
+        
+        const left = 120;
+        const top = 10;
+        const cellW = (canvas.width - left - 10) / x.values.length;
+        const cellH = (canvas.height - top - 40) / y.values.length;
+        const values = grid.flat().filter(v => v !== null);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'center';
+        grid.forEach((row, yi) => row.forEach((v, xi) => {
+            const cx = left + xi * cellW;
+            const cy = top + yi * cellH;
+            if (v === null) {
+                ctx.fillStyle = '#f0f0f0';
             } else {
-                ctx.lineTo(x, y);
+                const score = max - min < 1e-9 ? 1 : (v - min) / (max - min);
+                ctx.fillStyle = `hsl(${(spec.better === 'lower' ? 1 - score : score) * 120}, 70%, 60%)`;
             }
+            ctx.fillRect(cx + 1, cy + 1, cellW - 2, cellH - 2);
+            ctx.fillStyle = '#222';
+            ctx.fillText(this.formatKpi(kpi, v), cx + cellW / 2, cy + cellH / 2 + 4);
+        }));
+        
+        ctx.fillStyle = '#666';
+        x.values.forEach((value, xi) => ctx.fillText(String(value), left + (xi + 0.5) * cellW, top + y.values.length * cellH + 15));
+        ctx.fillText(`${x.label} — ${spec.label}${spec.unit ? ` (${spec.unit})` : ''}`, left + (canvas.width - left) / 2, canvas.height - 5);
+        ctx.textAlign = 'right';
+        y.values.forEach((value, yi) => ctx.fillText(String(value), left - 6, top + (yi + 0.5) * cellH + 4));
+        ctx.save();
+        ctx.translate(14, top + y.values.length * cellH / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'center';
+        ctx.fillText(y.label, 0, 0);
+        ctx.restore();
+        ctx.textAlign = 'left';
+    }
+
+    showStatus(message, isError) {
+        const status = document.getElementById('sweep-status');
+        if (status) {
+            status.textContent = message;
+            status.classList.toggle('error', !!isError);
+        }
+    }
+}
+
+class Monitoring extends BasePage {
+    constructor(paramManager, clock) {
+        super(paramManager, clock);
+        this.samples = [];
+        this.sampleBefore = null;
+        this.maxDataPoints = 120;
+        this.sampleCache = null;
+        this.log = new Map();
+        this.logThresholds = null;
+    }
+
+    thresholds() {
+        const params = this.paramManager.getTypedParameters();
+        return {
+            latencyMs: params['monitor-latency-threshold'],
+            marginDb: params['monitor-margin-threshold']
+        };
+    }
+
+    onPageEnter() {
+        super.onPageEnter();
+        this.render();
+    }
+
+    onParametersChanged() {
+        if (this.isActive) this.render();
+    }
+
+    onTimeChanged() {
+        if (this.isActive) this.render();
+    }
+
+    // The last `maxDataPoints` clock steps up to now, and the step before them
+    // for the alerts; samples are cached per scenario so a tick only evaluates
+    // the newest one
+    updateSamples(timeMs) {
+        const handover = this.getHandoverResult();
+        const stepMs = this.clock.stepSec * 1000;
+        // The RRC state of a sample covers the step that ends at it
+        if (!this.sampleCache || this.sampleCache.handover !== handover || this.sampleCache.stepMs !== stepMs) {
+            this.sampleCache = { handover, stepMs, samples: new Map() };
+            this.log.clear();
+        }
+        
+        const params = this.paramManager.getTypedParameters();
+        const propagator = this.getPropagator();
+        const sampleAt = (t) => {
+            if (t < this.clock.epoch) return null;
+            if (!this.sampleCache.samples.has(t)) {
+                const link = EndToEndLink.servingLink(propagator, params, t, HandoverSimulator.servingAt(handover, t), { channel: true });
+                this.sampleCache.samples.set(t, LinkMonitor.sample(link, handover, t, stepMs));
+            }
+            return this.sampleCache.samples.get(t);
+        };
+        this.samples = [];
+        for (let k = this.maxDataPoints - 1; k >= 0; k--) {
+            const sample = sampleAt(timeMs - k * stepMs);
+            if (sample) this.samples.push(sample);
+        }
+        this.sampleBefore = sampleAt(this.samples[0].timeMs - stepMs);
+        
+        // Only the visible history and the step before it are kept
+        const first = timeMs - this.maxDataPoints * stepMs;
+        this.sampleCache.samples.forEach((sample, t) => {
+            if (t < first || t > timeMs) this.sampleCache.samples.delete(t);
         });
+    }
+
+    render() {
+        const timeMs = this.getSimulationTime();
+        this.updateSamples(timeMs);
+        const thresholds = this.thresholds();
+        const latest = this.samples[this.samples.length - 1];
+        
+        this.updateDisplay('monitor-latency', latest.latencyMs === null ? '—' : `${latest.latencyMs.toFixed(1)} ms`);
+        this.updateDisplay('monitor-serving', latest.satelliteId === null ? 'None' : `Sat ${latest.satelliteId}`);
+        this.updateDisplay('monitor-margin', latest.marginDb === null ? '—' : `${latest.marginDb.toFixed(1)} dB`);
+        this.updateDisplay('monitor-rrc', RRC_STATES[latest.rrcState]);
+        
+        this.drawLatencyChart(thresholds);
+        this.drawLine('monitor-margin-chart', s => s.marginDb, { label: 'Link Margin', unit: 'dB', threshold: thresholds.marginDb, color: '#4caf50' });
+        const satellites = this.getPropagator().satellites;
+        this.drawStates('monitor-serving-chart', [null, ...satellites.map(sat => sat.id)], s => s.satelliteId,
+            id => (id === null ? 'None' : `Sat ${id}`), id => (id === null ? '#bdbdbd' : SERIES_COLORS[(id - 1) % SERIES_COLORS.length]));
+        const rrcColors = { connected: '#4caf50', handover: '#2196f3', reestablishment: '#ff9800', idle: '#f44336' };
+        this.drawStates('monitor-rrc-chart', Object.keys(RRC_STATES), s => s.rrcState, state => RRC_STATES[state], state => rrcColors[state]);
+        this.updateLog(timeMs, thresholds);
+    }
+
+    drawLatencyChart(thresholds) {
+        this.drawLine('latency-chart', s => s.latencyMs, { label: 'End-to-End Latency', unit: 'ms', threshold: thresholds.latencyMs, color: '#2196f3' });
+    }
+
+    // Line of one KPI over the history with its alert threshold, broken while it has no value
+    drawLine(canvasId, value, { label, unit, threshold, color }) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return;
+        
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        const left = 60;
+        const top = 15;
+        const width = canvas.width - left - 10;
+        const height = canvas.height - top - 25;
+        
+        const values = this.samples.map(value).filter(v => v !== null);
+        let min = Math.min(...values, threshold);
+        let max = Math.max(...values, threshold);
+        if (max - min < 1e-9) {
+            min -= 1;
+            max += 1;
+        }
+        const stepX = width / (this.maxDataPoints - 1);
+        const offset = this.maxDataPoints - this.samples.length;
+        const toY = (v) => top + (max - v) / (max - min) * height;
+        
+        ctx.strokeStyle = '#e0e0e0';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = '#666';
+        ctx.font = '11px Arial';
+        for (let i = 0; i <= 4; i++) {
+            const v = min + (max - min) * i / 4;
+            ctx.beginPath();
+            ctx.moveTo(left, toY(v));
+            ctx.lineTo(left + width, toY(v));
+            ctx.stroke();
+            ctx.fillText(v.toFixed(1), 5, toY(v) + 4);
+        }
+        this.drawTimeAxis(ctx, left, width, canvas.height);
+        
+        ctx.strokeStyle = '#f44336';
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.moveTo(left, toY(threshold));
+        ctx.lineTo(left + width, toY(threshold));
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#f44336';
+        ctx.fillText(`Alert threshold ${threshold} ${unit}`, left + 5, toY(threshold) - 4);
         
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        let penDown = false;
+        this.samples.forEach((sample, index) => {
+            const v = value(sample);
+            if (v === null) {
+                penDown = false;
+                return;
+            }
+            const x = left + (offset + index) * stepX;
+            if (!penDown) {
+                ctx.moveTo(x, toY(v));
+                penDown = true;
+            } else {
+                ctx.lineTo(x, toY(v));
+            }
+        });
         ctx.stroke();
         
+        const latest = value(this.samples[this.samples.length - 1]);
         ctx.fillStyle = '#666';
         ctx.font = '12px Arial';
-        ctx.fillText('Latency (ms)', 10, 20);
+        ctx.fillText(`${label} (${unit})${latest === null ? '' : `, current ${latest.toFixed(1)} ${unit}`}`, left + width - 260, top + 12);
+    }
+
+    // One lane per state, filled where the history is in that state
+    drawStates(canvasId, states, stateOf, labelOf, colorOf) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return;
+        
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        const left = 110;
+        const top = 10;
+        const width = canvas.width - left - 10;
+        const laneHeight = (canvas.height - top - 25) / states.length;
+        const stepX = width / (this.maxDataPoints - 1);
+        const offset = this.maxDataPoints - this.samples.length;
+        
+        ctx.font = '11px Arial';
+        states.forEach((state, lane) => {
+            ctx.fillStyle = '#666';
+            ctx.fillText(labelOf(state), 5, top + (lane + 0.5) * laneHeight + 4);
+            ctx.strokeStyle = '#e0e0e0';
+            ctx.strokeRect(left, top + lane * laneHeight, width, laneHeight);
+        });
+        this.samples.forEach((sample, index) => {
+            const lane = states.indexOf(stateOf(sample));
+            if (lane < 0) return;
+            ctx.fillStyle = colorOf(stateOf(sample));
+            ctx.fillRect(left + (offset + index - 0.5) * stepX, top + lane * laneHeight + 2, stepX + 0.5, laneHeight - 4);
+        });
+        this.drawTimeAxis(ctx, left, width, canvas.height);
+    }
+
+    drawTimeAxis(ctx, left, width, canvasHeight) {
+        const stepMs = this.clock.stepSec * 1000;
+        const end = this.samples[this.samples.length - 1].timeMs;
+        const start = end - (this.maxDataPoints - 1) * stepMs;
+        const utc = (ms) => new Date(ms).toISOString().slice(11, 19);
+        ctx.fillStyle = '#666';
+        ctx.font = '11px Arial';
+        ctx.fillText(utc(start), left, canvasHeight - 5);
+        ctx.fillText(`${utc(end)} UTC`, left + width - 75, canvasHeight - 5);
+    }
+
+    // Crossings found in the history are kept while the clock moves on, and
+    // dropped again when it is moved back before them
+    updateLog(timeMs, thresholds) {
+        // Alerts raised against other thresholds no longer apply
+        const key = `${thresholds.latencyMs}|${thresholds.marginDb}`;
+        if (this.logThresholds !== key) {
+            this.log.clear();
+            this.logThresholds = key;
+        }
+        LinkMonitor.events(this.samples, thresholds, this.sampleBefore).forEach(event => {
+            this.log.set(`${event.timeMs}|${event.kpi}`, event);
+        });
+        [...this.log.keys()].forEach(key => {
+            if (this.log.get(key).timeMs > timeMs) this.log.delete(key);
+        });
+        
+        const container = document.getElementById('monitor-events');
+        if (!container) return;
+        
+        const events = [...this.log.values()].sort((a, b) => b.timeMs - a.timeMs);
+        this.updateDisplay('monitor-event-count', `${events.length} event${events.length === 1 ? '' : 's'}`);
+        container.innerHTML = events.length === 0
+            ? '<div class="alert-item info"><span class="alert-msg">No threshold crossings or state changes yet</span></div>'
+            : events.map(event => `<div class="alert-item ${event.level}">
+                <span class="alert-time">${new Date(event.timeMs).toISOString().slice(11, 19)}</span>
+                <span class="alert-msg">${event.message}</span>
+            </div>`).join('');
+    }
+}
+
+class SimulationControls {
+    constructor(paramManager, clock) {
+        this.paramManager = paramManager;
+        this.clock = clock;
+        this.setupControls();
+        this.configureFromParameters();
+        
+        this.paramManager.subscribe('*', () => this.configureFromParameters());
+        this.clock.subscribe(() => this.updateTimeDisplay());
+        this.updateTimeDisplay();
+    }
+
+    configureFromParameters() {
+        const params = this.paramManager.getTypedParameters();
+        this.clock.configure({
+            epoch: OrbitPropagator.parseUtc(params['window-start']) || DEFAULT_EPOCH,
+            durationSec: params['window-duration'] * 60,
+            stepSec: params['sim-step']
+        });
+        this.updateTimeDisplay();
+    }
+
+    setupControls() {
+        const actions = {
+            'sim-play': () => this.clock.play(),
+            'sim-pause': () => this.clock.pause(),
+            'sim-reset': () => this.clock.reset(),
+            'sim-step-forward': () => this.clock.step(1),
+            'sim-step-back': () => this.clock.step(-1)
+        };
+        
+        Object.keys(actions).forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) btn.addEventListener('click', actions[id]);
+        });
+        
+        const scrubber = document.getElementById('sim-scrubber');
+        if (scrubber) {
+            scrubber.addEventListener('input', (e) => {
+                const fraction = parseFloat(e.target.value) / parseFloat(e.target.max);
+                this.clock.seek(this.clock.epoch + fraction * this.clock.durationSec * 1000);
+            });
+        }
+    }
+
+    updateTimeDisplay() {
+        const elapsed = Math.round(this.clock.elapsedSec);
+        const minutes = Math.floor(elapsed / 60);
+        const seconds = String(elapsed % 60).padStart(2, '0');
+        const utc = new Date(this.clock.currentTime).toISOString().replace('T', ' ').slice(0, 19);
+        
+        const timeElement = document.getElementById('sim-time');
+        if (timeElement) timeElement.textContent = `${utc} UTC (T+${minutes}:${seconds})`;
+        
+        const scrubber = document.getElementById('sim-scrubber');
+        if (scrubber && document.activeElement !== scrubber) {
+            scrubber.value = Math.round(this.clock.elapsedSec / this.clock.durationSec * parseFloat(scrubber.max));
+        }
+        
+        const playBtn = document.getElementById('sim-play');
+        if (playBtn) playBtn.classList.toggle('active', this.clock.running);
+    }
+}
+
+class RfProfilePanel {
+    constructor(paramManager) {
+        this.paramManager = paramManager;
+        
+        const gsProfile = document.getElementById('gs-profile');
+        if (gsProfile) gsProfile.addEventListener('change', (e) => this.applyGroundStationPreset(e.target.value));
+        
+        this.paramManager.subscribe('*', () => this.updateSummary());
+        this.paramManager.subscribe('elements-catalog', () => this.updateSummary());
+    }
+
+    // Choosing a terminal class fills the editable fields with that preset
+    applyGroundStationPreset(name) {
+        const preset = GROUND_STATION_PRESETS[name];
+        if (!preset) return;
+        
+        const fields = {
+            'gs-dish-diameter': preset.dishDiameterM,
+            'gs-dish-efficiency': preset.dishEfficiency,
+            'gs-noise-figure': preset.noiseFigureDb,
+            'gs-tx-power': preset.txPowerDbm,
+            'gs-gt': ''
+        };
+        this.paramManager.setParameters(fields);
+    }
+
+    updateSummary() {
+        const params = this.paramManager.getTypedParameters();
+        const frequencyMHz = params.frequency;
+        const terminals = RfProfiles.terminals(params);
+        const describe = (terminal) => {
+            const rf = LinkBudget.terminalRf(terminal, frequencyMHz);
+            return `EIRP ${(rf.eirpDbw + 30).toFixed(1)} dBm, G/T ${rf.gOverTDbK.toFixed(1)} dB/K @ ${frequencyMHz} MHz`;
+        };
+        
+        const ueSummary = document.getElementById('ue-rf-summary');
+        const gsSummary = document.getElementById('gs-rf-summary');
+        if (ueSummary) ueSummary.textContent = describe(terminals['handheld-device']);
+        if (gsSummary) gsSummary.textContent = describe(terminals['ground-station']);
+        
+        // Show each slot's TR 38.821 defaults as placeholders for the blank fields
+        scenarioCache.getPropagator(params).satellites.forEach(sat => {
+            const defaults = RfProfiles.payloadDefaults(sat.orbit.altitudeKm, frequencyMHz);
+            const eirp = document.getElementById(`sat${sat.id}-eirp-density`);
+            const gt = document.getElementById(`sat${sat.id}-gt`);
+            if (eirp) eirp.placeholder = defaults.eirpDensityDbwMhz;
+            if (gt) gt.placeholder = defaults.gOverTDbK;
+        });
+    }
+}
+
+class GroundAssetPanel {
+    constructor(paramManager) {
+        this.paramManager = paramManager;
+        
+        document.querySelectorAll('.ground-site').forEach(group => {
+            const asset = group.dataset.asset;
+            const preset = document.getElementById(`${asset}-site`);
+            if (preset) preset.addEventListener('change', (e) => this.applySitePreset(asset, e.target.value));
+            
+            // Typing coordinates by hand leaves the named site behind
+            group.querySelectorAll('.site-coordinate').forEach(input => {
+                input.addEventListener('input', () => {
+                    if (!preset || preset.value === 'custom') return;
+                    preset.value = 'custom';
+                    this.paramManager.updateParameter(`${asset}-site`, 'custom');
+                });
+            });
+        });
+    }
+
+    // Choosing a named site fills that asset's coordinate fields
+    applySitePreset(asset, name) {
+        const site = GROUND_SITE_PRESETS[name];
+        if (!site) return;
+        
+        const fields = {
+            [`${asset}-lat`]: site.lat.toFixed(4),
+            [`${asset}-lon`]: site.lon.toFixed(4),
+            [`${asset}-alt`]: String(Math.round(site.altKm * 1000))
+        };
+        this.paramManager.setParameters(fields);
+    }
+}
+
+class ElementImporter {
+    constructor(paramManager) {
+        this.paramManager = paramManager;
+        this.slotSelects = document.querySelectorAll('.slot-source');
+        this.populateSlotOptions();
+        this.setupImportControls();
+        this.showCatalog();
+        
+        this.paramManager.subscribe('window-start', () => this.showCatalog());
+    }
+
+    setupImportControls() {
+        const importBtn = document.getElementById('import-elements');
+        const clearBtn = document.getElementById('clear-elements');
+        const fileInput = document.getElementById('elements-file');
+        
+        if (importBtn) importBtn.addEventListener('click', () => {
+            this.importText(document.getElementById('elements-input').value);
+        });
+        if (clearBtn) clearBtn.addEventListener('click', () => this.clearCatalog());
+        if (fileInput) fileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) file.text().then(text => this.importText(text));
+            e.target.value = '';
+        });
+    }
+
+    importText(text) {
+        try {
+            const objects = OrbitalElementsParser.parse(text);
+            const { rejected } = ElementCatalog.add(objects);
+            this.populateSlotOptions();
+            this.showCatalog(rejected.length ? `Catalog full (max ${MAX_IMPORTED_OBJECTS}); skipped ${rejected.join(', ')}` : null);
+            this.paramManager.notifySubscribers('elements-catalog');
+        } catch (e) {
+            this.showStatus(e.message, true);
+        }
+    }
+
+    clearCatalog() {
+        ElementCatalog.clear();
+        this.populateSlotOptions();
+        this.showCatalog();
+        this.paramManager.notifySubscribers('elements-catalog');
+    }
+
+    populateSlotOptions() {
+        const catalog = ElementCatalog.load();
+        
+        this.slotSelects.forEach(select => {
+            const current = select.value;
+            select.innerHTML = '<option value="preset">Preset (altitude model)</option>';
+            Object.values(catalog).forEach(elements => {
+                const option = document.createElement('option');
+                option.value = elements.id;
+                option.textContent = `${elements.name} (${elements.format})`;
+                select.appendChild(option);
+            });
+            
+            if (catalog[current]) {
+                select.value = current;
+            } else if (current && current !== 'preset') {
+                this.paramManager.updateParameter(select.name, 'preset');
+            }
+        });
+    }
+
+    showCatalog(warning) {
+        const catalog = ElementCatalog.load();
+        const windowStart = OrbitPropagator.parseUtc(this.paramManager.getParameter('window-start')) || DEFAULT_EPOCH;
+        const warnings = [];
+        const lines = Object.values(catalog).map(elements => {
+            const ageDays = Math.abs(windowStart - elements.epochMs) / 86400000;
+            const age = ageDays > 14 ? ` — ${Math.round(ageDays)} days from window start` : '';
+            const sat = OrbitPropagator.importedSatellite(0, elements, windowStart, warnings);
+            let note = '';
+            if (!sat) note = ' — cannot be propagated, slots use the preset orbit';
+            else if (sat.orbit.deepSpace) note = ' — deep space: no SDP4 lunar-solar/resonance terms, positions approximate';
+            return `${elements.name}: epoch ${new Date(elements.epochMs).toISOString().slice(0, 16)}Z, ${elements.meanMotionRevDay.toFixed(4)} rev/day${age}${note}`;
+        });
+        
+        if (warning) lines.push(warning);
+        this.showStatus(lines.length ? lines.join('\n') : 'No objects imported', !!warning || warnings.length > 0);
+    }
+
+    showStatus(message, isError) {
+        const status = document.getElementById('elements-status');
+        if (status) {
+            status.textContent = message;
+            status.classList.toggle('error', !!isError);
+        }
+    }
+}
+
+class ScenarioPanel {
+    constructor(paramManager, elementImporter) {
+        this.paramManager = paramManager;
+        this.elementImporter = elementImporter;
+        this.select = document.getElementById('scenario-select');
+        if (!this.select) return;
+        
+        const actions = {
+            'scenario-load': () => this.loadSelected(),
+            'scenario-save': () => this.saveAs(),
+            'scenario-update': () => this.overwrite(),
+            'scenario-duplicate': () => this.duplicate(),
+            'scenario-rename': () => this.rename(),
+            'scenario-delete': () => this.remove(),
+            'scenario-diff': () => this.showDiff(),
+            'scenario-export': () => this.exportSelected()
+        };
+        Object.keys(actions).forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.addEventListener('click', () => this.run(actions[id]));
+        });
+        
+        const fileInput = document.getElementById('scenario-file');
+        if (fileInput) fileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) file.text().then(text => this.run(() => this.importText(text)));
+            e.target.value = '';
+        });
         
-        if (this.chartData.length > 0) {
-            const latest = this.chartData[this.chartData.length - 1];
-            ctx.fillText(`Current: ${latest.latency.toFixed(1)}ms`, 10, canvas.height - 10);
+        this.populate();
+    }
+
+    // Library errors surface in the status line instead of escaping the click handler
+    run(action) {
+        try {
+            action();
+        } catch (e) {
+            this.showStatus(e.message, true);
+        }
+    }
+
+    populate(selectedId = this.select.value) {
+        const scenarios = ScenarioLibrary.list();
+        this.select.innerHTML = '';
+        [['3GPP presets', scenarios.filter(s => s.builtIn)], ['Saved scenarios', scenarios.filter(s => !s.builtIn)]].forEach(([label, items]) => {
+            if (items.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            items.forEach(scenario => {
+                const option = document.createElement('option');
+                option.value = scenario.id;
+                option.textContent = scenario.name;
+                group.appendChild(option);
+            });
+            this.select.appendChild(group);
+        });
+        if (ScenarioLibrary.get(selectedId)) this.select.value = selectedId;
+    }
+
+    selected() {
+        const scenario = ScenarioLibrary.get(this.select.value);
+        if (!scenario) throw new Error('Select a scenario first');
+        return scenario;
+    }
+
+    loadSelected() {
+        const scenario = this.selected();
+        this.restoreElements(scenario.elements || {});
+        const { ignored, adjusted } = this.paramManager.applyParameters(scenario.parameters);
+        const notes = [`Loaded "${scenario.name}"`];
+        if (adjusted.length) notes.push(`adjusted out-of-range values: ${adjusted.join(', ')}`);
+        if (ignored.length) notes.push(`ignored unknown parameters: ${ignored.join(', ')}`);
+        this.showStatus(notes.join('; '), adjusted.length > 0);
+    }
+
+    saveAs() {
+        const name = window.prompt('Scenario name:', 'New scenario');
+        if (name === null) return;
+        const params = this.paramManager.getAllParameters();
+        const scenario = ScenarioLibrary.create(name, params, ScenarioLibrary.referencedElements(params, ElementCatalog.load()));
+        this.populate(scenario.id);
+        this.showStatus(`Saved "${scenario.name}"`);
+    }
+
+    overwrite() {
+        const params = this.paramManager.getAllParameters();
+        const scenario = ScenarioLibrary.update(this.selected().id, params, ScenarioLibrary.referencedElements(params, ElementCatalog.load()));
+        this.showStatus(`Updated "${scenario.name}" with the current parameters`);
+    }
+
+    duplicate() {
+        const scenario = ScenarioLibrary.duplicate(this.selected().id);
+        this.populate(scenario.id);
+        this.showStatus(`Created "${scenario.name}"`);
+    }
+
+    rename() {
+        const current = this.selected();
+        if (current.builtIn) throw new Error('Built-in presets cannot be renamed');
+        const name = window.prompt('New name:', current.name);
+        if (name === null) return;
+        const scenario = ScenarioLibrary.rename(current.id, name);
+        this.populate(scenario.id);
+        this.showStatus(`Renamed to "${scenario.name}"`);
+    }
+
+    remove() {
+        const scenario = this.selected();
+        if (scenario.builtIn) throw new Error('Built-in presets cannot be deleted');
+        if (!window.confirm(`Delete scenario "${scenario.name}"?`)) return;
+        ScenarioLibrary.remove(scenario.id);
+        this.populate();
+        this.showStatus(`Deleted "${scenario.name}"`);
+    }
+
+    // Differences between the selected scenario and the parameters currently in the panel
+    showDiff() {
+        const scenario = this.selected();
+        const changes = ScenarioLibrary.diff(scenario.parameters, this.paramManager.getAllParameters(), this.paramManager.defaults);
+        const shown = (value) => value === '' ? '(blank)' : value;
+        this.showStatus(changes.length === 0
+            ? `Current parameters match "${scenario.name}"`
+            : [`Current parameters vs "${scenario.name}":`, ...changes.map(c => `${c.key}: ${shown(c.from)} → ${shown(c.to)}`)].join('\n'));
+    }
+
+    exportSelected() {
+        const scenario = this.selected();
+        ResultExport.download(JSON.stringify(ScenarioLibrary.toDocument(scenario, ElementCatalog.load()), null, 2),
+            `${scenario.name.replace(/[^\w.-]+/g, '_')}.json`, 'application/json');
+    }
+
+    importText(text) {
+        const { name, parameters, elements } = ScenarioLibrary.fromDocument(text);
+        const referenced = ScenarioLibrary.referencedElements(parameters, { ...ElementCatalog.load(), ...elements });
+        this.restoreElements(referenced);
+        const scenario = ScenarioLibrary.create(name, parameters, referenced);
+        this.populate(scenario.id);
+        const count = Object.keys(referenced).length;
+        this.showStatus(`Imported "${scenario.name}"${count ? ` with ${count} orbital element set${count === 1 ? '' : 's'}` : ''}; press Load to apply it`);
+    }
+
+    // Puts the element sets a scenario's slots use into the catalog, replacing
+    // entries of the same object so the scenario's orbits are reproduced
+    restoreElements(elements) {
+        const list = Object.values(elements);
+        if (list.length === 0) return;
+        const catalog = ElementCatalog.load();
+        const added = list.filter(e => !catalog[e.id]);
+        if (Object.keys(catalog).length + added.length > MAX_IMPORTED_OBJECTS) {
+            throw new Error(`Element catalog is full (max ${MAX_IMPORTED_OBJECTS}); clear it to restore ${added.map(e => e.name).join(', ')}`);
+        }
+        
+        ElementCatalog.add(list);
+        if (this.elementImporter) {
+            this.elementImporter.populateSlotOptions();
+            this.elementImporter.showCatalog();
+        }
+        this.paramManager.notifySubscribers('elements-catalog');
+    }
+
+    showStatus(message, isError) {
+        const status = document.getElementById('scenario-status');
+        if (status) {
+            status.textContent = message;
+            status.classList.toggle('error', !!isError);
+        }
+    }
+}
+
+class ExportPanel {
+    constructor(paramManager, clock, pageManager) {
+        this.paramManager = paramManager;
+        this.clock = clock;
+        this.pageManager = pageManager;
+        
+        const actions = {
+            'export-series-csv': () => this.exportTimeSeries('csv'),
+            'export-series-json': () => this.exportTimeSeries('json'),
+            'export-handovers-csv': () => this.exportHandovers('csv'),
+            'export-handovers-json': () => this.exportHandovers('json'),
+            'export-report': () => this.openReport()
+        };
+        Object.keys(actions).forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.addEventListener('click', () => this.run(actions[id]));
+        });
+        
+        ResultExport.attachChartButtons(document.querySelector('.content-area') || document, () => this.clock.epoch);
+    }
+
+    run(action) {
+        try {
+            action();
+        } catch (e) {
+            this.showStatus(e.message, true);
+        }
+    }
+
+    // Results come from the performance page so exports match what it shows
+    get performance() {
+        return this.pageManager.pages.performance;
+    }
+
+    // Serving link and per-satellite geometry at every step of the clock window
+    collectTimeSeries() {
+        const params = this.paramManager.getTypedParameters();
+        const propagator = this.performance.getPropagator();
+        const impairmentOptions = DopplerDelay.options(params);
+        const { times, stepSec } = ResultExport.sampleTimes(this.clock.epoch, this.clock.durationSec, this.clock.stepSec);
+        
+        const samples = times.map(timeMs => {
+            const link = this.performance.calculateLinkQuality(timeMs);
+            return {
+                time: new Date(timeMs).toISOString(),
+                servingId: link.serving ? link.satelliteId : null,
+                sinrDb: link.serving ? link.sinr : null,
+                throughputMbps: link.serving ? link.throughput : 0,
+                satellites: link.budgets.map(({ state, links }, index) => {
+                    const downlink = links['handheld-device'].downlink;
+                    const impairments = DopplerDelay.compute(propagator, index, timeMs, impairmentOptions);
+                    return {
+                        id: state.id,
+                        elevation: downlink.elevation,
+                        azimuth: downlink.azimuth,
+                        rangeKm: downlink.rangeKm,
+                        dopplerHz: impairments.dopplerHz,
+                        oneWayDelayMs: impairments.oneWayDelayMs,
+                        snrDb: downlink.available ? downlink.snrDb : null
+                    };
+                })
+            };
+        });
+        return { stepSec, samples };
+    }
+
+    exportTimeSeries(format) {
+        const { stepSec, samples } = this.collectTimeSeries();
+        const fileName = ResultExport.fileName('time-series', this.clock.epoch, format);
+        if (format === 'csv') {
+            ResultExport.download(ResultExport.toCsv(ResultExport.timeSeriesRows(samples), TIME_SERIES_COLUMNS), fileName, 'text/csv');
+        } else {
+            ResultExport.download(ResultExport.toJson({
+                parameters: this.paramManager.getAllParameters(),
+                startTime: new Date(this.clock.epoch).toISOString(),
+                stepSec,
+                samples
+            }), fileName, 'application/json');
+        }
+        this.showStatus(`Exported ${samples.length} time steps every ${stepSec} s`);
+    }
+
+    exportHandovers(format) {
+        const result = this.performance.getHandoverResult();
+        const fileName = ResultExport.fileName('handovers', this.clock.epoch, format);
+        if (format === 'csv') {
+            ResultExport.download(ResultExport.toCsv(ResultExport.handoverRows(result.events), HANDOVER_COLUMNS), fileName, 'text/csv');
+        } else {
+            ResultExport.download(ResultExport.toJson({
+                parameters: this.paramManager.getAllParameters(),
+                ...result,
+                startTime: new Date(result.startTime).toISOString(),
+                endTime: new Date(result.endTime).toISOString(),
+                events: ResultExport.handoverRows(result.events)
+            }), fileName, 'application/json');
+        }
+        this.showStatus(`Exported ${result.events.length} handover events`);
+    }
+
+    // Printable summary of the scenario, the link at the current time, the
+    // handover run and every chart drawn so far
+    openReport() {
+        const params = this.paramManager.getTypedParameters();
+        const propagator = this.performance.getPropagator();
+        const handover = this.performance.getHandoverResult();
+        const timeMs = this.clock.currentTime;
+        const link = this.performance.calculateLinkQuality(timeMs);
+        const utc = (ms) => new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+        const site = (asset) => {
+            const s = propagator.sites[asset];
+            return `${s.location} (${s.lat.toFixed(4)}°, ${s.lon.toFixed(4)}°, ${Math.round((s.altKm || 0) * 1000)} m)`;
+        };
+        
+        const sections = [
+            { title: 'Scenario', rows: [
+                ['Window', `${utc(this.clock.epoch)} UTC, ${(this.clock.durationSec / 60).toFixed(0)} min`],
+                ...propagator.satellites.map(sat => [`Satellite ${sat.id}`, OrbitPropagator.orbitLabel(sat)]),
+                ['Carrier', `${params.frequency} MHz, ${params.bandwidth} MHz bandwidth`],
+                ['Payload', PAYLOAD_ARCHITECTURES[EndToEndLink.options(params).architecture]],
+                ['Atmospheric losses exceeded', `${ItuPropagation.exceedance(params)}% of the year`],
+                ['Channel', ChannelModel.label(ChannelModel.options(params))],
+                ['Ground station', site('ground-station')],
+                ['Handheld device', site('handheld-device')]
+            ] },
+            { title: `Serving Link at ${utc(timeMs)} UTC`, rows: link.serving ? [
+                ['Serving satellite', `Sat ${link.satelliteId}`],
+                ['SNR / SINR', `${link.snr.toFixed(1)} dB / ${link.sinr.toFixed(1)} dB`],
+                ['RSRP', `${link.rsrp.toFixed(1)} dBm`],
+                ['MCS / CQI', `${link.rate.mcs} / ${link.rate.cqi}`],
+                ['HARQ round trip', `${link.endToEnd.harqRttMs.toFixed(1)} ms`],
+                ['Throughput', `${link.throughput.toFixed(1)} Mbps`]
+            ] : [['Serving satellite', 'No service']] },
+            { title: 'Handover Summary', rows: [
+                ['Policy', HANDOVER_POLICIES[handover.policy]],
+                ['Handovers', handover.handoverCount],
+                ['Success rate', handover.successRate === null ? '—' : `${(handover.successRate * 100).toFixed(1)}%`],
+                ['Ping-pong', handover.pingPongCount],
+                ['Outage', `${(handover.outageSec / 60).toFixed(1)} min`],
+                ['Mean service time', `${(handover.meanServiceTimeSec / 60).toFixed(1)} min`]
+            ] },
+            { title: 'Parameters', rows: Object.entries(this.paramManager.getAllParameters()).sort().map(([key, value]) => [key, value]) }
+        ];
+        
+        const charts = [...document.querySelectorAll('.content-area canvas')]
+            .filter(canvas => !ResultExport.isBlank(canvas))
+            .map(canvas => ({ title: ResultExport.chartTitle(canvas), dataUrl: ResultExport.pngFromCanvas(canvas) }));
+        
+        const tables = [{
+            title: 'Handover Events',
+            headers: ['Time (UTC)', 'From → To', 'Reason', 'Elevation src/tgt (°)', 'Interruption (ms)', 'Result'],
+            rows: handover.events.map(e => [
+                utc(e.timeMs),
+                `Sat ${e.fromId} → Sat ${e.toId}`,
+                e.reason,
+                `${e.sourceElevation.toFixed(1)} / ${e.targetElevation.toFixed(1)}`,
+                e.interruptionMs.toFixed(1),
+                `${e.success ? 'Success' : 'Failure'}${e.pingPong ? ' (ping-pong)' : ''}`
+            ])
+        }];
+        
+        const html = ResultExport.reportHtml({ title: 'NR-NTN Scenario Report', generatedAt: Date.now(), sections, tables, charts });
+        const report = window.open('', '_blank');
+        if (report) {
+            report.document.write(html);
+            report.document.close();
+        } else {
+            // Popup blocked: save the report instead
+            ResultExport.download(html, ResultExport.fileName('report', this.clock.epoch, 'html'), 'text/html');
+        }
+        this.showStatus(`Report covers ${charts.length} charts and ${handover.events.length} handovers`);
+    }
+
+    showStatus(message, isError) {
+        const status = document.getElementById('export-status');
+        if (status) {
+            status.textContent = message;
+            status.classList.toggle('error', !!isError);
+        }
+    }
+}
+
+// Main-window end of the sync bus: publishes every parameter change and clock
+// tick, answers detail windows that join late and applies the edits and clock
+// commands they push back
+class WindowSync {
+    constructor(paramManager, clock, bus) {
+        this.paramManager = paramManager;
+        this.clock = clock;
+        this.bus = bus;
+        if (!this.bus.available) return;
+
+        this.paramManager.subscribe('*', () => this.publishParameters());
+        this.clock.subscribe((timeMs, reason) => this.publishClock(reason));
+        this.bus.on('hello', () => this.publishState());
+        this.bus.on('set-parameters', (message) => this.applyRemoteParameters(message));
+        this.bus.on('clock-command', (message) => this.applyClockCommand(message));
+
+        // Detail windows that outlived a reload of this one pick up the restored state
+        window.addEventListener('load', () => this.publishState());
+        window.addEventListener('pagehide', () => this.bus.post('closed'));
+    }
+
+    publishState() {
+        this.publishParameters();
+        this.publishClock('sync');
+    }
+
+    publishParameters() {
+        this.bus.post('parameters', { params: this.paramManager.getAllParameters() });
+    }
+
+    publishClock(reason) {
+        this.bus.post('clock', {
+            currentTime: this.clock.currentTime,
+            epoch: this.clock.epoch,
+            durationSec: this.clock.durationSec,
+            stepSec: this.clock.stepSec,
+            running: this.clock.running,
+            reason
+        });
+    }
+
+    // Remote edits go through the same schema checks as the panel; a rejected
+    // value is reported to its sender and leaves the panel untouched
+    applyRemoteParameters({ from, params }) {
+        if (!params || typeof params !== 'object') return;
+        Object.keys(params).forEach(key => {
+            if (!(key in this.paramManager.defaults)) {
+                this.bus.post('rejected', { to: from, key, message: 'Unknown parameter' });
+                return;
+            }
+            const value = String(params[key]);
+            const result = ParameterSchema.coerce(key, value);
+            const error = result.error || this.paramManager.crossFieldError({ [key]: result.value });
+            if (error) {
+                this.bus.post('rejected', { to: from, key, message: error });
+                return;
+            }
+            const input = document.getElementById(key) || document.querySelector(`[name="${key}"]`);
+            if (input) {
+                input.value = value;
+                if (input.type === 'range') this.paramManager.updateRangeLabel(input);
+            }
+            this.paramManager.updateParameter(key, value);
+        });
+    }
+
+    applyClockCommand({ action, timeMs, steps }) {
+        if (!SYNC_CLOCK_ACTIONS.includes(action)) return;
+        if (action === 'seek') {
+            if (isFinite(timeMs)) this.clock.seek(timeMs);
+        } else if (action === 'step') {
+            this.clock.step(steps < 0 ? -1 : 1);
+        } else {
+            this.clock[action]();
         }
     }
 }
@@ -711,6 +2585,7 @@ class Monitoring extends BasePage {
 // Global function to open detail pages with parameters
 function openDetailPage(type, id) {
     const params = window.paramManager.getAllParameters();
+    params['sim-time'] = new Date(window.simulationClock.currentTime).toISOString();
     params['detail-type'] = type;
     if (id) params['detail-id'] = id;
     
@@ -721,8 +2596,28 @@ function openDetailPage(type, id) {
 
 document.addEventListener('DOMContentLoaded', () => {
     const paramManager = new ParameterManager();
-    const pageManager = new PageManager(paramManager);
+    const clock = new SimulationClock();
+    const pageManager = new PageManager(paramManager, clock);
+    const simulationControls = new SimulationControls(paramManager, clock);
+    const elementImporter = new ElementImporter(paramManager);
+    const rfProfilePanel = new RfProfilePanel(paramManager);
+    const groundAssetPanel = new GroundAssetPanel(paramManager);
+    const scenarioPanel = new ScenarioPanel(paramManager, elementImporter);
+    const exportPanel = new ExportPanel(paramManager, clock, pageManager);
+    const windowSync = new WindowSync(paramManager, clock, new SyncBus('main'));
+    
+    // Render the initial page once saved/URL parameters have been applied
+    window.addEventListener('load', () => {
+        simulationControls.configureFromParameters();
+        rfProfilePanel.updateSummary();
+        pageManager.switchPage(pageManager.currentPage);
+    });
     
     window.paramManager = paramManager;
     window.pageManager = pageManager;
+    window.simulationClock = clock;
+    window.elementImporter = elementImporter;
+    window.scenarioPanel = scenarioPanel;
+    window.exportPanel = exportPanel;
+    window.windowSync = windowSync;
 });
\ No newline at end of file
@@ -0,0 +1,159 @@
+// Multi-beam payload layouts: spot beams on a hexagonal grid in the satellite's
+// angular (UV) plane, adjacent beams crossing at their half-power contours
+// (TR 38.821 §6.1.1). The cluster is steered at the service area while it is
+// above the horizon and falls back to nadir otherwise. Beams are coloured for
+// frequency reuse 1, 3 or 4; same-colour beams of every satellite interfere.
+
+const BEAM_CLUSTER_SITE = 'ground-station';
+const hexLatticeCache = new Map();
+
+class BeamLayout {
+    // Half-power half-width of a uniformly illuminated circular aperture
+    static halfPowerDeg(apertureM, frequencyMHz) {
+        const wavelengthM = SPEED_OF_LIGHT * 1000 / (frequencyMHz * 1e6);
+        return Math.asin(Math.min(1, 1.6163 * wavelengthM / (Math.PI * apertureM))) / DEG;
+    }
+
+    // First `count` positions of a hexagonal lattice (unit spacing), ring by ring
+    static hexLattice(count) {
+        if (hexLatticeCache.has(count)) return hexLatticeCache.get(count);
+        const cells = [];
+        for (let ring = 0; cells.length < count; ring++) {
+            for (let q = -ring; q <= ring; q++) {
+                for (let r = Math.max(-ring, -q - ring); r <= Math.min(ring, -q + ring); r++) {
+                    if (Math.max(Math.abs(q), Math.abs(r), Math.abs(q + r)) !== ring) continue;
+                    cells.push({ q, r, x: q + r / 2, y: r * Math.sqrt(3) / 2, ring });
+                }
+            }
+        }
+        const lattice = cells
+            .sort((a, b) => a.ring - b.ring || Math.atan2(a.y, a.x) - Math.atan2(b.y, b.x))
+            .slice(0, count);
+        hexLatticeCache.set(count, lattice);
+        return lattice;
+    }
+
+    // Reuse colour of a lattice cell in axial coordinates
+    static colour(q, r, reuseFactor) {
+        if (reuseFactor === 3) return (((q - r) % 3) + 3) % 3;
+        if (reuseFactor === 4) return (((q % 2) + 2) % 2) + 2 * (((r % 2) + 2) % 2);
+        return 0;
+    }
+
+    static unit(v) {
+        const n = OrbitMath.norm(v);
+        return [v[0] / n, v[1] / n, v[2] / n];
+    }
+
+    static forSatellite(state, payload, frequencyMHz, clusterSite = GROUND_ASSETS[BEAM_CLUSTER_SITE]) {
+        const sat = state.ecef.r;
+        const halfPowerDeg = BeamLayout.halfPowerDeg(payload.apertureM, frequencyMHz);
+        const spacingDeg = Math.sqrt(3) * halfPowerDeg;
+
+        const centre = OrbitMath.geodeticToEcef(clusterSite.lat, clusterSite.lon, clusterSite.altKm || 0);
+        const steered = OrbitMath.lookAngles(state.ecef, clusterSite).elevation >= 0;
+        const w = BeamLayout.unit(steered
+            ? [centre[0] - sat[0], centre[1] - sat[1], centre[2] - sat[2]]
+            : [-sat[0], -sat[1], -sat[2]]);
+
+        // UV axes perpendicular to the cluster boresight
+        const reference = Math.abs(w[2]) > 0.99 ? [1, 0, 0] : [0, 0, 1];
+        const e1 = BeamLayout.unit(OrbitMath.cross(w, reference));
+        const e2 = OrbitMath.cross(w, e1);
+
+        const beams = BeamLayout.hexLattice(payload.beamCount).map((cell, index) => {
+            const u = Math.tan(cell.x * spacingDeg * DEG);
+            const v = Math.tan(cell.y * spacingDeg * DEG);
+            return {
+                index,
+                q: cell.q,
+                r: cell.r,
+                colour: BeamLayout.colour(cell.q, cell.r, payload.reuseFactor),
+                direction: BeamLayout.unit([w[0] + u * e1[0] + v * e2[0], w[1] + u * e1[1] + v * e2[1], w[2] + u * e1[2] + v * e2[2]])
+            };
+        });
+
+        return { satellite: sat, halfPowerDeg, pattern: payload.antennaPattern, steered, beams };
+    }
+
+    static forStates(propagator, states, params, clusterSite = propagator.sites[BEAM_CLUSTER_SITE]) {
+        const frequencyMHz = params.frequency;
+        return states.map((state, i) =>
+            BeamLayout.forSatellite(state, RfProfiles.payload(params, propagator.satellites[i], frequencyMHz), frequencyMHz, clusterSite));
+    }
+
+    // Relative gain (dB) of every beam towards an ECEF point
+    static gainsTowards(layout, pointEcef) {
+        const sat = layout.satellite;
+        const d = BeamLayout.unit([pointEcef[0] - sat[0], pointEcef[1] - sat[1], pointEcef[2] - sat[2]]);
+        return layout.beams.map(beam => {
+            const offAxisDeg = Math.acos(Math.max(-1, Math.min(1, OrbitMath.dot(d, beam.direction)))) / DEG;
+            return LinkBudget.patternGainDb(layout.pattern, offAxisDeg, layout.halfPowerDeg);
+        });
+    }
+
+    // Gain (dB) of the beam whose boresight is closest to an ECEF point
+    static nearestBeamGainDb(layout, pointEcef) {
+        const sat = layout.satellite;
+        const d = BeamLayout.unit([pointEcef[0] - sat[0], pointEcef[1] - sat[1], pointEcef[2] - sat[2]]);
+        const cosOffAxis = Math.max(...layout.beams.map(beam => OrbitMath.dot(d, beam.direction)));
+        return LinkBudget.patternGainDb(layout.pattern, Math.acos(Math.max(-1, Math.min(1, cosOffAxis))) / DEG, layout.halfPowerDeg);
+    }
+
+    // Where a beam boresight meets the Earth (spherical), or null if it misses
+    static groundPoint(layout, beam) {
+        const s = layout.satellite;
+        const d = beam.direction;
+        const b = OrbitMath.dot(s, d);
+        const disc = b * b - (OrbitMath.dot(s, s) - EARTH.radiusKm ** 2);
+        if (disc < 0) return null;
+        const t = -b - Math.sqrt(disc);
+        const p = [s[0] + t * d[0], s[1] + t * d[1], s[2] + t * d[2]];
+        return {
+            lat: Math.asin(p[2] / OrbitMath.norm(p)) / DEG,
+            lon: Math.atan2(p[1], p[0]) / DEG
+        };
+    }
+
+    // Downlink SINR at a ground site: the strongest beam of a satellite above the
+    // site's mask and horizon (or of `servingId` when given) serves, every other
+    // beam sharing its colour interferes
+    static sinrAt(propagator, states, layouts, params, site, servingId = null) {
+        const pointEcef = OrbitMath.geodeticToEcef(site.lat, site.lon, site.altKm || 0);
+        const contributions = [];
+        let noisePowerDbw = null;
+
+        states.forEach((state, i) => {
+            const link = LinkBudget.downlinkAt(state, propagator.satellites[i], params, site, 0);
+            if (!link.available) return;
+            noisePowerDbw = link.noisePowerDbw;
+            BeamLayout.gainsTowards(layouts[i], pointEcef).forEach((gainDb, b) => {
+                contributions.push({
+                    satelliteId: state.id,
+                    beam: b,
+                    colour: layouts[i].beams[b].colour,
+                    powerDbw: link.rxPowerDbw + gainDb,
+                    servable: OrbitPropagator.isVisible(params, site, link)
+                });
+            });
+        });
+
+        const candidates = contributions.filter(c => servingId === null ? c.servable : c.satelliteId === servingId);
+        if (candidates.length === 0) return null;
+
+        const serving = candidates.reduce((best, c) => c.powerDbw > best.powerDbw ? c : best, candidates[0]);
+        const interferenceW = contributions
+            .filter(c => c !== serving && c.colour === serving.colour)
+            .reduce((sum, c) => sum + 10 ** (c.powerDbw / 10), 0);
+        const noiseW = 10 ** (noisePowerDbw / 10);
+
+        return {
+            satelliteId: serving.satelliteId,
+            beam: serving.beam,
+            signalDbw: serving.powerDbw,
+            interferenceDbw: interferenceW > 0 ? 10 * Math.log10(interferenceW) : -Infinity,
+            snrDb: serving.powerDbw - noisePowerDbw,
+            sinrDb: serving.powerDbw - 10 * Math.log10(noiseW + interferenceW)
+        };
+    }
+}
@@ -0,0 +1,226 @@
+// TR 38.811 NTN channel of the handheld downlink: elevation-dependent line-of-
+// sight probability (§6.6.1), shadow fading and clutter loss (§6.6.2) for dense
+// urban, urban, suburban and rural surroundings, and small-scale fading from
+// the NTN-TDL or NTN-CDL profiles (§6.9.2), Rician in line of sight.
+//
+// Draws do not come from one running stream: each is seeded by the scenario
+// seed, the satellite and a time index, so a sample does not depend on the
+// order the charts evaluate the timeline in, and the same scenario and seed
+// always give the same time series.
+
+const CHANNEL_ENVIRONMENTS = {
+    'dense-urban': 'Dense Urban',
+    urban: 'Urban',
+    suburban: 'Suburban',
+    rural: 'Rural'
+};
+
+const CHANNEL_PROFILES = { tdl: 'NTN-TDL', cdl: 'NTN-CDL' };
+
+const CHANNEL_STATE_SEC = 30; // LOS state and shadowing are drawn on this grid
+const CHANNEL_UE_SPEED_KMH = 3;
+const CHANNEL_RAYS = 20;
+const CHANNEL_FREQUENCY_POINTS = 16; // fading is averaged over the carrier at these offsets
+const CDL_CLUSTER_ASA_DEG = 15; // assumed cluster angle spread at the handheld
+
+// Table 6.6.1-1, LOS probability (%) at elevations 10°, 20°, ... 90°
+const LOS_PROBABILITY = {
+    'dense-urban': [28.2, 33.1, 39.8, 46.8, 53.7, 61.2, 73.8, 82.0, 98.1],
+    urban: [24.6, 38.6, 49.3, 61.3, 72.6, 80.5, 91.9, 96.8, 99.2],
+    suburban: [78.2, 86.9, 91.9, 92.9, 93.5, 94.0, 94.9, 95.2, 99.8],
+    rural: [78.2, 86.9, 91.9, 92.9, 93.5, 94.0, 94.9, 95.2, 99.8]
+};
+
+// Tables 6.6.2-1/2/3: shadow fading std-dev (dB) in LOS and NLOS, and the
+// clutter loss (dB) added in NLOS, per band
+const SUBURBAN_RURAL_SHADOWING = {
+    S: {
+        los: SHADOW_FADING_SIGMA.S,
+        nlos: [8.93, 9.08, 8.78, 10.25, 10.56, 10.74, 10.17, 11.52, 11.52],
+        clutter: [19.52, 18.17, 18.42, 18.28, 18.63, 17.68, 16.50, 16.30, 16.30]
+    },
+    Ka: {
+        los: SHADOW_FADING_SIGMA.Ka,
+        nlos: [10.7, 10.0, 11.2, 11.6, 11.8, 10.8, 10.8, 10.8, 10.8],
+        clutter: [29.5, 24.6, 21.9, 20.0, 18.7, 17.8, 17.2, 16.9, 16.8]
+    }
+};
+
+const CHANNEL_SHADOWING = {
+    'dense-urban': {
+        S: {
+            los: [3.5, 3.4, 2.9, 3.0, 3.1, 2.7, 2.5, 2.3, 1.2],
+            nlos: [15.5, 13.9, 12.4, 11.7, 10.6, 10.5, 10.1, 9.2, 9.2],
+            clutter: [34.3, 30.9, 29.0, 27.7, 26.8, 26.2, 25.8, 25.5, 25.5]
+        },
+        Ka: {
+            los: [2.9, 2.4, 2.7, 2.4, 2.4, 2.7, 2.6, 2.8, 0.6],
+            nlos: [17.1, 17.1, 15.6, 14.6, 14.2, 12.6, 12.1, 12.3, 12.3],
+            clutter: [44.3, 39.9, 37.5, 35.8, 34.6, 33.8, 33.3, 33.0, 32.9]
+        }
+    },
+    urban: {
+        S: {
+            los: Array(9).fill(4),
+            nlos: Array(9).fill(6),
+            clutter: [34.3, 30.9, 29.0, 27.7, 26.8, 26.2, 25.8, 25.5, 25.5]
+        },
+        Ka: {
+            los: Array(9).fill(4),
+            nlos: Array(9).fill(6),
+            clutter: [44.3, 39.9, 37.5, 35.8, 34.6, 33.8, 33.3, 33.0, 32.9]
+        }
+    },
+    suburban: SUBURBAN_RURAL_SHADOWING,
+    rural: SUBURBAN_RURAL_SHADOWING
+};
+
+// Tables 6.9.2-1…4: [normalised delay, power dB] per tap (NTN-TDL) or cluster
+// (NTN-CDL); in C and D the first entry is the specular LOS path
+const NTN_FADING_PROFILES = {
+    A: { taps: [[0, 0], [1.0811, -4.675], [2.8416, -6.482]] },
+    B: { taps: [[0, 0], [0.7249, -1.973], [0.7410, -4.332], [5.7392, -11.914]] },
+    C: { kFactorDb: 10.224, taps: [[0, -0.394], [0, -10.618], [14.8124, -23.373]] },
+    D: { kFactorDb: 11.707, taps: [[0, -0.284], [0, -11.991], [0.5596, -9.887], [7.3340, -16.771]] }
+};
+
+// NLOS and LOS profile, and the delay spread (ns) the delays are scaled by
+const CHANNEL_PROFILE_MAP = {
+    'dense-urban': { nlos: 'A', los: 'C', delaySpreadNs: 300 },
+    urban: { nlos: 'A', los: 'C', delaySpreadNs: 100 },
+    suburban: { nlos: 'B', los: 'D', delaySpreadNs: 30 },
+    rural: { nlos: 'B', los: 'D', delaySpreadNs: 10 }
+};
+
+// TR 38.901 Table 7.5-3 ray offsets within a cluster, in units of its angle spread
+const CDL_RAY_OFFSETS = [0.0447, 0.1413, 0.2492, 0.3715, 0.5129, 0.6797, 0.8844, 1.1481, 1.5195, 2.1551]
+    .flatMap(a => [a, -a]);
+
+// Mulberry32 seeded from an FNV-1a hash of the keys
+class SeededRandom {
+    constructor(...keys) {
+        let hash = 2166136261;
+        keys.join('|').split('').forEach(ch => {
+            hash = Math.imul(hash ^ ch.charCodeAt(0), 16777619);
+        });
+        this.state = hash >>> 0;
+    }
+
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Standard normal (Box-Muller)
+    normal() {
+        const u = 1 - this.next();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * this.next());
+    }
+}
+
+class ChannelModel {
+    static options(params) {
+        return {
+            environment: params['channel-environment'],
+            profile: params['channel-profile'],
+            seed: params['channel-seed'],
+            frequencyMHz: params.frequency,
+            bandwidthMHz: params.bandwidth
+        };
+    }
+
+    static label(options) {
+        return `${CHANNEL_ENVIRONMENTS[options.environment]} ${CHANNEL_PROFILES[options.profile]}, seed ${options.seed}`;
+    }
+
+    // Uniform draw for the LOS state and normal draw for the shadowing at one grid node
+    static node(options, satelliteId, index) {
+        const random = new SeededRandom(options.seed, satelliteId, index, 'state');
+        return { u: random.next(), z: random.normal() };
+    }
+
+    // Channel seen by the handheld from `satelliteId` at `elevationDeg`. `lossDb`
+    // is the loss of this realisation: shadowing plus clutter, less the fading gain
+    static sample(options, satelliteId, elevationDeg, timeMs) {
+        const position = timeMs / (CHANNEL_STATE_SEC * 1000);
+        const index = Math.floor(position);
+        const w = position - index;
+        const current = ChannelModel.node(options, satelliteId, index);
+        const next = ChannelModel.node(options, satelliteId, index + 1);
+
+        const losProbability = LinkBudget.byElevation(LOS_PROBABILITY[options.environment], elevationDeg) / 100;
+        const los = current.u < losProbability;
+        const shadowing = CHANNEL_SHADOWING[options.environment][RfProfiles.band(options.frequencyMHz)];
+        // Shadowing interpolated between the nodes, rescaled to keep its variance
+        const z = ((1 - w) * current.z + w * next.z) / Math.sqrt((1 - w) ** 2 + w ** 2);
+        const shadowFadingDb = LinkBudget.byElevation(los ? shadowing.los : shadowing.nlos, elevationDeg) * z;
+        const clutterLossDb = los ? 0 : LinkBudget.byElevation(shadowing.clutter, elevationDeg);
+
+        const map = CHANNEL_PROFILE_MAP[options.environment];
+        const name = los ? map.los : map.nlos;
+        const profile = NTN_FADING_PROFILES[name];
+        const fastFadingDb = ChannelModel.fastFading(options, profile, map.delaySpreadNs, satelliteId, index, (timeMs - index * CHANNEL_STATE_SEC * 1000) / 1000);
+
+        return {
+            environment: options.environment,
+            los,
+            losProbability,
+            profile: `${CHANNEL_PROFILES[options.profile]}-${name}`,
+            kFactorDb: profile.kFactorDb === undefined ? null : profile.kFactorDb,
+            shadowFadingDb,
+            clutterLossDb,
+            fastFadingDb,
+            lossDb: shadowFadingDb + clutterLossDb - fastFadingDb
+        };
+    }
+
+    // Power gain (dB) of one profile realisation averaged over the carrier. Each
+    // diffuse tap is a sum of rays Doppler-shifted by the handheld's motion:
+    // arriving from all around with NTN-TDL, around each cluster's arrival
+    // azimuth with NTN-CDL
+    static fastFading(options, profile, delaySpreadNs, satelliteId, index, tSec) {
+        const random = new SeededRandom(options.seed, satelliteId, index, 'fading');
+        const wavelengthM = SPEED_OF_LIGHT * 1000 / (options.frequencyMHz * 1e6);
+        const maxDopplerHz = CHANNEL_UE_SPEED_KMH / 3.6 / wavelengthM;
+        const totalPower = profile.taps.reduce((sum, [, powerDb]) => sum + 10 ** (powerDb / 10), 0);
+        const rayPhase = (angle) => random.next() * 2 * Math.PI + 2 * Math.PI * maxDopplerHz * Math.cos(angle) * tSec;
+
+        const taps = profile.taps.map(([delay, powerDb], i) => {
+            const amplitude = Math.sqrt(10 ** (powerDb / 10) / totalPower);
+            const tap = { delaySec: delay * delaySpreadNs * 1e-9, re: 0, im: 0 };
+            if (profile.kFactorDb !== undefined && i === 0) {
+                const phase = rayPhase(random.next() * 2 * Math.PI);
+                tap.re = amplitude * Math.cos(phase);
+                tap.im = amplitude * Math.sin(phase);
+                return tap;
+            }
+            const clusterAzimuth = random.next() * 2 * Math.PI;
+            for (let r = 0; r < CHANNEL_RAYS; r++) {
+                const angle = options.profile === 'cdl'
+                    ? clusterAzimuth + CDL_RAY_OFFSETS[r] * CDL_CLUSTER_ASA_DEG * DEG
+                    : random.next() * 2 * Math.PI;
+                const phase = rayPhase(angle);
+                tap.re += amplitude / Math.sqrt(CHANNEL_RAYS) * Math.cos(phase);
+                tap.im += amplitude / Math.sqrt(CHANNEL_RAYS) * Math.sin(phase);
+            }
+            return tap;
+        });
+
+        let power = 0;
+        for (let n = 0; n < CHANNEL_FREQUENCY_POINTS; n++) {
+            const offsetHz = ((n + 0.5) / CHANNEL_FREQUENCY_POINTS - 0.5) * options.bandwidthMHz * 1e6;
+            let re = 0;
+            let im = 0;
+            taps.forEach(tap => {
+                const phase = -2 * Math.PI * offsetHz * tap.delaySec;
+                re += tap.re * Math.cos(phase) - tap.im * Math.sin(phase);
+                im += tap.re * Math.sin(phase) + tap.im * Math.cos(phase);
+            });
+            power += re * re + im * im;
+        }
+        return 10 * Math.log10(Math.max(power / CHANNEL_FREQUENCY_POINTS, 1e-6));
+    }
+}
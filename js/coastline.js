@@ -0,0 +1,108 @@
+// Simplified coastline polygons bundled for offline use, as [lon, lat] pairs.
+// Taiwan is digitised at roughly 10 km resolution; the surrounding East Asian
+// coasts are coarse and only meant to give the map its geographic context.
+
+const COASTLINES = [
+    {
+        name: 'Taiwan',
+        detail: true,
+        points: [
+            [121.54, 25.30], [121.65, 25.22], [121.74, 25.15], [121.85, 25.11], [121.94, 25.01],
+            [121.84, 24.85], [121.82, 24.70], [121.87, 24.59], [121.80, 24.45], [121.73, 24.35],
+            [121.66, 24.15], [121.62, 23.98], [121.55, 23.78], [121.50, 23.60], [121.45, 23.40],
+            [121.37, 23.10], [121.27, 22.92], [121.17, 22.76], [121.03, 22.58], [120.95, 22.42],
+            [120.90, 22.30], [120.87, 22.10], [120.85, 21.90], [120.73, 21.93], [120.70, 22.05],
+            [120.65, 22.25], [120.59, 22.37], [120.45, 22.46], [120.35, 22.55], [120.27, 22.62],
+            [120.20, 22.85], [120.10, 23.00], [120.08, 23.15], [120.13, 23.38], [120.15, 23.55],
+            [120.15, 23.70], [120.25, 23.85], [120.32, 23.93], [120.40, 24.05], [120.45, 24.17],
+            [120.50, 24.28], [120.58, 24.45], [120.62, 24.55], [120.72, 24.65], [120.90, 24.82],
+            [120.95, 24.92], [121.03, 25.05], [121.18, 25.10], [121.35, 25.15], [121.41, 25.18]
+        ]
+    },
+    {
+        name: 'Penghu',
+        detail: true,
+        points: [[119.52, 23.68], [119.68, 23.62], [119.62, 23.52], [119.55, 23.52], [119.49, 23.58]]
+    },
+    {
+        name: 'Green Island',
+        detail: true,
+        points: [[121.47, 22.68], [121.51, 22.68], [121.51, 22.64], [121.47, 22.64]]
+    },
+    {
+        name: 'Orchid Island',
+        detail: true,
+        points: [[121.50, 22.08], [121.59, 22.08], [121.59, 22.00], [121.50, 22.00]]
+    },
+    {
+        name: 'Asian mainland and Korea',
+        points: [
+            [130.7, 42.3], [129.7, 41.0], [128.4, 40.0], [127.5, 39.2], [128.4, 38.6], [129.4, 37.1],
+            [129.4, 36.0], [129.1, 35.1], [127.7, 34.7], [126.4, 34.6], [126.5, 35.6], [126.1, 36.7],
+            [126.6, 37.5], [125.2, 37.9], [125.1, 38.6], [124.7, 39.6], [124.3, 40.0], [123.0, 39.6],
+            [121.6, 38.9], [121.2, 38.8], [121.6, 39.5], [122.2, 40.5], [121.0, 40.8], [119.6, 39.9],
+            [118.5, 39.1], [117.7, 38.9], [118.0, 38.0], [119.0, 37.2], [120.7, 37.8], [122.6, 37.4],
+            [121.5, 36.8], [120.4, 36.1], [119.4, 35.2], [119.5, 34.5], [120.3, 33.5], [120.9, 32.5],
+            [121.9, 31.7], [121.9, 30.9], [121.0, 30.5], [121.9, 29.9], [121.6, 28.9], [120.8, 27.9],
+            [120.3, 27.1], [119.7, 26.3], [119.6, 25.6], [119.1, 25.2], [118.7, 24.9], [118.1, 24.45],
+            [117.6, 24.0], [116.7, 23.35], [115.8, 22.8], [114.2, 22.3], [113.6, 22.2], [112.8, 21.8],
+            [111.5, 21.5], [110.4, 21.2], [110.2, 20.3], [109.7, 21.4], [108.6, 21.6], [108.0, 21.5],
+            [106.8, 20.8], [106.0, 19.9], [105.8, 18.7], [106.5, 17.6], [107.6, 16.5], [108.2, 16.05],
+            [108.9, 15.2], [109.2, 13.8], [109.3, 12.5], [109.0, 11.4], [107.1, 10.35], [106.6, 9.6],
+            [104.8, 8.6], [104.5, 10.4], [103.5, 10.6], [103.0, 11.6], [102.5, 12.2], [100.9, 12.7],
+            [100.5, 13.5], [99.95, 12.6], [99.2, 10.3], [100.0, 8.4], [101.3, 6.9], [102.2, 6.2],
+            [103.4, 4.2], [104.2, 1.4], [103.5, 1.3], [101.4, 2.8], [100.3, 5.4], [100.2, 6.5],
+            [98.5, 8.3], [98.2, 12.5], [97.6, 16.5], [96.2, 16.8], [94.3, 16.0], [94.2, 19.0],
+            [92.3, 20.8], [91.8, 22.3], [88.5, 22.0], [80.0, 16.0], [78.0, 30.0], [78.0, 52.0],
+            [140.0, 52.0], [140.3, 48.5], [136.0, 44.5], [133.0, 42.8], [131.9, 43.1]
+        ]
+    },
+    {
+        name: 'Hainan',
+        points: [[108.6, 19.1], [109.2, 20.0], [110.3, 20.05], [111.0, 19.6], [110.5, 18.7], [109.5, 18.2], [108.7, 18.5]]
+    },
+    {
+        name: 'Kyushu',
+        points: [
+            [130.4, 33.6], [131.0, 33.9], [131.7, 33.3], [131.5, 32.0], [131.1, 31.3], [130.6, 31.0],
+            [130.2, 31.3], [130.2, 32.1], [130.6, 32.7], [129.8, 32.7], [129.6, 33.3]
+        ]
+    },
+    {
+        name: 'Shikoku',
+        points: [[132.5, 33.2], [133.0, 32.7], [134.2, 33.3], [134.6, 34.1], [133.5, 34.3], [132.7, 33.9]]
+    },
+    {
+        name: 'Honshu',
+        points: [
+            [130.9, 34.0], [132.4, 34.3], [133.9, 34.6], [135.2, 34.7], [135.1, 33.9], [135.8, 33.45],
+            [136.9, 34.3], [137.0, 34.7], [138.2, 34.6], [139.1, 35.1], [139.8, 35.0], [140.9, 35.7],
+            [140.7, 36.8], [141.0, 38.3], [141.9, 39.5], [141.4, 41.4], [140.3, 41.2], [139.9, 40.0],
+            [139.5, 38.5], [139.0, 37.9], [137.3, 37.5], [136.7, 36.9], [136.0, 35.7], [134.5, 35.6],
+            [133.0, 35.5], [132.0, 35.3], [131.0, 34.4]
+        ]
+    },
+    {
+        name: 'Hokkaido',
+        points: [
+            [140.0, 41.5], [141.2, 41.8], [143.2, 41.9], [144.5, 42.9], [145.8, 43.4], [144.3, 44.0],
+            [141.9, 45.5], [141.4, 43.2], [140.5, 43.3], [139.8, 42.3]
+        ]
+    },
+    {
+        name: 'Okinawa',
+        points: [[127.65, 26.08], [128.30, 26.85], [127.90, 26.60], [127.70, 26.40]]
+    },
+    {
+        name: 'Miyako and Yaeyama',
+        points: [[124.05, 24.45], [124.30, 24.45], [124.30, 24.30], [124.05, 24.30]]
+    },
+    {
+        name: 'Luzon',
+        points: [
+            [120.6, 18.5], [122.2, 18.5], [122.3, 17.1], [121.6, 15.9], [122.0, 14.0], [124.0, 13.0],
+            [123.3, 13.8], [121.9, 13.9], [120.9, 13.8], [120.6, 14.4], [120.0, 14.8], [119.8, 16.3],
+            [120.4, 16.6]
+        ]
+    }
+];
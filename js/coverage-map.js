@@ -0,0 +1,71 @@
+// Footprint map of the constellation around the ground station: each
+// satellite's footprint at the elevation mask (highlighted while it sees the
+// handheld), the coverage region of interest and both ground sites.
+
+class CoverageMap {
+    static draw(canvas, propagator, params, timeMs) {
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        const states = propagator.getAllStates(timeMs);
+        const mask = OrbitPropagator.elevationMask(params);
+        const gs = propagator.sites['ground-station'];
+        const hd = propagator.sites['handheld-device'];
+
+        // Footprint from each satellite's current orbit radius and the elevation mask
+        const footprints = states.map(state => GeoMap.footprintRadiusKm(OrbitMath.norm(state.eci.r), mask));
+        const map = GeoMap.forFootprints(gs, footprints, canvas.width, canvas.height);
+
+        ctx.fillStyle = '#f5f9ff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        map.drawGraticule(ctx);
+        map.drawCoastlines(ctx);
+
+        const colors = ['#ff6b6b', '#4ecdc4', '#45b7d1', '#96ceb4'];
+        states.forEach((state, i) => {
+            const outline = map.footprintPath(state.subPoint, footprints[i]);
+            const serving = OrbitPropagator.isVisible(params, hd, state.look['handheld-device']);
+
+            ctx.beginPath();
+            map.tracePath(ctx, outline);
+            ctx.closePath();
+            ctx.fillStyle = serving ? 'rgba(42, 82, 152, 0.18)' : 'rgba(42, 82, 152, 0.06)';
+            ctx.fill();
+            ctx.strokeStyle = colors[i % colors.length];
+            ctx.lineWidth = serving ? 2 : 1;
+            ctx.stroke();
+
+            const center = map.project(state.subPoint.lat, state.subPoint.lon);
+            ctx.fillStyle = colors[i % colors.length];
+            ctx.beginPath();
+            ctx.arc(center.x, center.y, 4, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.font = '12px Arial';
+            ctx.fillText(`Sat ${state.id}`, center.x + 6, center.y - 6);
+        });
+
+        // Region of interest used for the coverage statistics
+        const region = CoverageMetrics.region(params);
+        const edge = [];
+        for (let i = 0; i <= 10; i++) edge.push(map.project(region.latMin, region.lonMin + (region.lonMax - region.lonMin) * i / 10));
+        for (let i = 0; i <= 10; i++) edge.push(map.project(region.latMin + (region.latMax - region.latMin) * i / 10, region.lonMax));
+        for (let i = 10; i >= 0; i--) edge.push(map.project(region.latMax, region.lonMin + (region.lonMax - region.lonMin) * i / 10));
+        for (let i = 10; i >= 0; i--) edge.push(map.project(region.latMin + (region.latMax - region.latMin) * i / 10, region.lonMin));
+        ctx.strokeStyle = '#ff9800';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([5, 3]);
+        ctx.beginPath();
+        map.tracePath(ctx, edge);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Ground station and handheld at their surveyed coordinates
+        map.drawSite(ctx, gs, '#ff0000', gs.name);
+        map.drawSite(ctx, hd, '#00aa00', hd.name, 14);
+        map.drawScaleBar(ctx);
+
+        ctx.fillStyle = '#666';
+        ctx.font = '11px Arial';
+        ctx.fillText(`Footprints at ${mask}° elevation mask`, canvas.width - 190, canvas.height - 8);
+    }
+}
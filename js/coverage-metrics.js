@@ -0,0 +1,136 @@
+// Coverage statistics over a lat/lon grid covering the region of interest. A
+// grid cell is covered when at least one satellite is above the elevation mask
+// as seen from the cell centre.
+
+const MAX_COVERAGE_SAMPLES = 720;
+const MAX_COVERAGE_CELLS = 2500;
+const MAX_COVERAGE_EVALUATIONS = 100000; // cell-samples per window run
+
+class CoverageMetrics {
+    // Region of interest; the corners may be entered in either order
+    static region(params) {
+        const latA = params['roi-lat-min'];
+        const latB = params['roi-lat-max'];
+        const lonA = params['roi-lon-min'];
+        const lonB = params['roi-lon-max'];
+
+        const region = {
+            latMin: Math.min(latA, latB),
+            latMax: Math.max(latA, latB),
+            lonMin: Math.min(lonA, lonB),
+            lonMax: Math.max(lonA, lonB),
+            resolutionDeg: params['roi-resolution']
+        };
+
+        // Coarsen the grid rather than let a large region stall the page
+        const cells = () => Math.ceil((region.latMax - region.latMin) / region.resolutionDeg) *
+            Math.ceil((region.lonMax - region.lonMin) / region.resolutionDeg);
+        while (cells() > MAX_COVERAGE_CELLS) region.resolutionDeg *= 1.5;
+        return region;
+    }
+
+    static grid(region) {
+        const cells = [];
+        const step = region.resolutionDeg;
+        for (let lat = region.latMin; lat < region.latMax - 1e-9; lat += step) {
+            const latTop = Math.min(region.latMax, lat + step);
+            for (let lon = region.lonMin; lon < region.lonMax - 1e-9; lon += step) {
+                const lonRight = Math.min(region.lonMax, lon + step);
+                const site = { lat: (lat + latTop) / 2, lon: (lon + lonRight) / 2, altKm: 0 };
+                cells.push({
+                    site,
+                    ecef: OrbitMath.geodeticToEcef(site.lat, site.lon, 0),
+                    up: [Math.cos(site.lat * DEG) * Math.cos(site.lon * DEG), Math.cos(site.lat * DEG) * Math.sin(site.lon * DEG), Math.sin(site.lat * DEG)],
+                    // Exact area of a lat/lon cell on the sphere
+                    areaKm2: EARTH.radiusKm ** 2 * (lonRight - lon) * DEG * Math.abs(Math.sin(latTop * DEG) - Math.sin(lat * DEG))
+                });
+            }
+        }
+        return cells;
+    }
+
+    // Number of satellites above the mask as seen from each cell; compares
+    // sin(elevation) directly instead of building full look angles
+    static visibleCounts(states, cells, mask) {
+        const sinMask = Math.sin(mask * DEG);
+        return cells.map(cell => states.filter(state => {
+            const rho = [state.ecef.r[0] - cell.ecef[0], state.ecef.r[1] - cell.ecef[1], state.ecef.r[2] - cell.ecef[2]];
+            return OrbitMath.dot(rho, cell.up) >= sinMask * OrbitMath.norm(rho);
+        }).length);
+    }
+
+    // Covered area and multiple coverage at one instant
+    static snapshot(propagator, params, timeMs) {
+        const region = CoverageMetrics.region(params);
+        const cells = CoverageMetrics.grid(region);
+        const counts = CoverageMetrics.visibleCounts(propagator.getAllStates(timeMs), cells, OrbitPropagator.elevationMask(params));
+
+        const totalAreaKm2 = cells.reduce((sum, cell) => sum + cell.areaKm2, 0);
+        const coveredAreaKm2 = cells.reduce((sum, cell, i) => sum + (counts[i] > 0 ? cell.areaKm2 : 0), 0);
+        const multiAreaKm2 = cells.reduce((sum, cell, i) => sum + (counts[i] > 1 ? cell.areaKm2 : 0), 0);
+
+        return {
+            region,
+            cellCount: cells.length,
+            totalAreaKm2,
+            coveredAreaKm2,
+            coveredFraction: totalAreaKm2 > 0 ? coveredAreaKm2 / totalAreaKm2 : 0,
+            multiCoverageFraction: coveredAreaKm2 > 0 ? multiAreaKm2 / coveredAreaKm2 : 0
+        };
+    }
+
+    // Availability, gaps and revisit over the simulation window
+    static overWindow(propagator, params, { startTime = propagator.epoch, durationSec } = {}) {
+        const windowSec = durationSec || params['window-duration'] * 60;
+        const region = CoverageMetrics.region(params);
+        const cells = CoverageMetrics.grid(region);
+        const samples = Math.max(60, Math.min(MAX_COVERAGE_SAMPLES, Math.floor(MAX_COVERAGE_EVALUATIONS / cells.length)));
+        const stepSec = Math.max(1, windowSec / samples);
+        const count = Math.floor(windowSec / stepSec) + 1;
+        const mask = OrbitPropagator.elevationMask(params);
+
+        const coveredSamples = new Array(cells.length).fill(0);
+        const gapStart = new Array(cells.length).fill(null);
+        const seenCoverage = new Array(cells.length).fill(false);
+        const longestGapSec = new Array(cells.length).fill(0);
+        const revisits = [];
+
+        for (let k = 0; k < count; k++) {
+            const timeMs = startTime + k * stepSec * 1000;
+            const counts = CoverageMetrics.visibleCounts(propagator.getAllStates(timeMs), cells, mask);
+
+            counts.forEach((n, i) => {
+                if (n > 0) {
+                    coveredSamples[i]++;
+                    if (gapStart[i] !== null) {
+                        const gapSec = (timeMs - gapStart[i]) / 1000;
+                        longestGapSec[i] = Math.max(longestGapSec[i], gapSec);
+                        // Only gaps bounded by coverage on both sides count as revisits
+                        if (seenCoverage[i]) revisits.push(gapSec);
+                        gapStart[i] = null;
+                    }
+                    seenCoverage[i] = true;
+                } else if (gapStart[i] === null) {
+                    gapStart[i] = timeMs;
+                }
+            });
+        }
+
+        const endTime = startTime + (count - 1) * stepSec * 1000;
+        gapStart.forEach((start, i) => {
+            if (start !== null) longestGapSec[i] = Math.max(longestGapSec[i], (endTime - start) / 1000);
+        });
+
+        const totalAreaKm2 = cells.reduce((sum, cell) => sum + cell.areaKm2, 0);
+        const availability = cells.reduce((sum, cell, i) => sum + cell.areaKm2 * coveredSamples[i] / count, 0) / totalAreaKm2;
+
+        return {
+            region,
+            stepSec,
+            availability,
+            minCellAvailability: Math.min(...coveredSamples) / count,
+            maxGapSec: Math.max(...longestGapSec),
+            meanRevisitSec: revisits.length > 0 ? revisits.reduce((a, b) => a + b, 0) / revisits.length : null
+        };
+    }
+}
@@ -0,0 +1,137 @@
+// Coverage detail page: constellation footprints over the region of interest,
+// the beam SINR heat map around the beam cluster site and the coverage
+// statistics now and over the window.
+
+DetailRuntime.register('coverage', {
+    label: 'Coverage',
+    description: 'footprints, beam SINR heat map and coverage statistics of the region of interest',
+    title: 'Coverage Analysis',
+
+    markup() {
+        return `<div class="section">
+            <h2>Satellite Footprints</h2>
+            <canvas id="detail-coverage-map" width="800" height="500"></canvas>
+        </div>
+
+        <div class="section">
+            <h2>Coverage Statistics</h2>
+            <table class="data-table">
+                <tbody id="detail-coverage-rows"></tbody>
+            </table>
+        </div>
+
+        <div class="section">
+            <h2>Beam SINR Heat Map</h2>
+            <div class="coverage-heatmap">
+                <canvas id="coverage-heatmap" width="800" height="500"></canvas>
+                <div class="heatmap-legend">
+                    <h4>Handheld downlink SINR, serving beam (dB)</h4>
+                    <div class="legend-scale">
+                        <span class="legend-item" style="background: #ff0000">&lt; -5</span>
+                        <span class="legend-item" style="background: #ff8800">-5</span>
+                        <span class="legend-item" style="background: #ffff00">0</span>
+                        <span class="legend-item" style="background: #88ff00">5</span>
+                        <span class="legend-item" style="background: #00ff00">10</span>
+                    </div>
+                </div>
+            </div>
+        </div>`;
+    },
+
+    render(runtime) {
+        const params = runtime.values;
+        const propagator = runtime.getPropagator();
+        const simTime = runtime.getSimulationTime();
+        const snapshot = CoverageMetrics.snapshot(propagator, params, simTime);
+        const window = runtime.cached('coverage-window', () => CoverageMetrics.overWindow(propagator, params, {
+            startTime: runtime.getWindow().start,
+            durationSec: runtime.getWindow().durationMs / 1000
+        }));
+        const region = snapshot.region;
+        const minutes = (sec) => `${(sec / 60).toFixed(1)} min`;
+
+        const rows = [
+            ['Region of Interest', `Lat ${region.latMin}° to ${region.latMax}°, lon ${region.lonMin}° to ${region.lonMax}°`],
+            ['Grid', `${snapshot.cellCount} cells of ${+region.resolutionDeg.toFixed(3)}°, ${Math.round(snapshot.totalAreaKm2).toLocaleString()} km²`],
+            ['Covered Area (now)', `${Math.round(snapshot.coveredAreaKm2).toLocaleString()} km² (${(snapshot.coveredFraction * 100).toFixed(0)}%)`],
+            ['Multi-Coverage (now)', `${(snapshot.multiCoverageFraction * 100).toFixed(0)}%`],
+            ['Availability (window)', `${(window.availability * 100).toFixed(1)}%`],
+            ['Worst-Cell Availability', `${(window.minCellAvailability * 100).toFixed(1)}%`],
+            ['Max Coverage Gap', minutes(window.maxGapSec)],
+            ['Mean Revisit Time', window.meanRevisitSec === null ? '—' : minutes(window.meanRevisitSec)]
+        ];
+        document.getElementById('detail-coverage-rows').innerHTML = rows.map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`).join('');
+
+        CoverageMap.draw(document.getElementById('detail-coverage-map'), propagator, params, simTime);
+        drawCoverageHeatmap(propagator, params, simTime);
+    }
+});
+
+// Downlink SINR over the beam cluster, with inter-beam and inter-satellite
+// co-channel interference from the reuse plan
+function drawCoverageHeatmap(propagator, params, simTime) {
+    const canvas = document.getElementById('coverage-heatmap');
+    const ctx = canvas.getContext('2d');
+    const states = propagator.getAllStates(simTime);
+    const mask = OrbitPropagator.elevationMask(params);
+    const center = propagator.sites[BEAM_CLUSTER_SITE];
+    const layouts = BeamLayout.forStates(propagator, states, params);
+    const cell = 8;
+    
+    // Zoom to the beams of the satellites serving the cluster site
+    const centres = [];
+    layouts.forEach((layout, i) => {
+        if (!layout.steered || !OrbitPropagator.isVisible(params, center, states[i].look[BEAM_CLUSTER_SITE])) return;
+        layout.beams.forEach(beam => {
+            const point = BeamLayout.groundPoint(layout, beam);
+            if (point) centres.push({ ...point, colour: beam.colour });
+        });
+    });
+    const extentKm = Math.max(0, ...centres.map(p => OrbitMath.groundDistanceKm(center, p)));
+    const map = centres.length > 0
+        ? new GeoMap({ center, radiusKm: Math.max(50, 1.3 * extentKm), width: canvas.width, height: canvas.height })
+        : GeoMap.forFootprints(center, states.map(state => GeoMap.footprintRadiusKm(OrbitMath.norm(state.eci.r), mask)), canvas.width, canvas.height);
+    
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#f5f9ff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    map.drawCoastlines(ctx);
+    
+    for (let y = 0; y < canvas.height; y += cell) {
+        for (let x = 0; x < canvas.width; x += cell) {
+            const point = map.unproject(x + cell / 2, y + cell / 2);
+            const sinr = BeamLayout.sinrAt(propagator, states, layouts, params, { ...point, altKm: 0 });
+            if (!sinr) continue;
+            
+            ctx.fillStyle = heatmapColor(sinr.sinrDb);
+            ctx.fillRect(x, y, cell, cell);
+        }
+    }
+    
+    map.drawCoastlines(ctx, { fill: null, stroke: '#000' });
+    centres.forEach(p => {
+        const { x, y } = map.project(p.lat, p.lon);
+        ctx.fillStyle = BEAM_COLOURS[p.colour];
+        ctx.strokeStyle = '#000';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(x, y, 3, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.stroke();
+    });
+    map.drawSite(ctx, propagator.sites['ground-station'], '#ff0000', 'Ground Station');
+    map.drawSite(ctx, propagator.sites['handheld-device'], '#00aa00', 'Handheld Device', 14);
+    map.drawScaleBar(ctx);
+}
+
+// Beam centre markers, one per reuse colour
+const BEAM_COLOURS = ['#ffffff', '#3366ff', '#cc33cc', '#333333'];
+
+// Legend bands, SINR in dB
+function heatmapColor(sinrDb) {
+    if (sinrDb >= 10) return 'rgba(0, 255, 0, 0.7)';
+    if (sinrDb >= 5) return 'rgba(136, 255, 0, 0.7)';
+    if (sinrDb >= 0) return 'rgba(255, 255, 0, 0.7)';
+    if (sinrDb >= -5) return 'rgba(255, 136, 0, 0.7)';
+    return 'rgba(255, 0, 0, 0.7)';
+}
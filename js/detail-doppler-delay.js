@@ -0,0 +1,80 @@
+// Doppler and delay detail page: Doppler shift and rate, service-link delay
+// and round trip to the gateway for every satellite over the window, with the
+// current values and the residual errors after pre-compensation.
+
+const DETAIL_IMPAIRMENT_CHARTS = [
+    { canvasId: 'detail-doppler-chart', title: 'Downlink Doppler Shift at the Handheld (kHz)', value: p => p.dopplerHz / 1000, digits: 1 },
+    { canvasId: 'detail-doppler-rate-chart', title: 'Doppler Rate (Hz/s)', value: p => p.dopplerRateHzS, digits: 0 },
+    { canvasId: 'detail-delay-chart', title: 'Service Link One-Way Delay (ms)', value: p => p.oneWayDelayMs, digits: 2, zeroBased: true },
+    { canvasId: 'detail-rtt-chart', title: 'Round-Trip Delay, Handheld to Gateway (ms)', value: p => p.rttMs, digits: 1, zeroBased: true }
+];
+
+DetailRuntime.register('doppler-delay', {
+    label: 'Doppler / Delay',
+    description: 'Doppler shift and rate, propagation delay, timing advance and residual errors',
+    title: 'Doppler and Delay Analysis',
+
+    markup() {
+        return `<div class="section">
+            <h2>Over the Simulation Window</h2>
+            <div class="performance-grid">
+                ${DETAIL_IMPAIRMENT_CHARTS.map(chart => `<div class="performance-card full-width">
+                    <h3>${chart.title}</h3>
+                    <canvas id="${chart.canvasId}" width="800" height="220"></canvas>
+                </div>`).join('')}
+            </div>
+        </div>
+
+        <div class="section">
+            <h2>Current Values</h2>
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Satellite</th>
+                        <th>Elevation</th>
+                        <th>Doppler (kHz)</th>
+                        <th>Rate (Hz/s)</th>
+                        <th>One-Way (ms)</th>
+                        <th>Round Trip (ms)</th>
+                        <th>UE-Specific TA (ms)</th>
+                        <th>Common TA (ms)</th>
+                        <th>Residual TA (µs)</th>
+                        <th>Residual Doppler (Hz)</th>
+                    </tr>
+                </thead>
+                <tbody id="detail-impairment-rows"></tbody>
+            </table>
+        </div>`;
+    },
+
+    render(runtime) {
+        const propagator = runtime.getPropagator();
+        const simTime = runtime.getSimulationTime();
+        const window = runtime.getWindow();
+        const series = runtime.cached('impairment-series', () => ({
+            start: window.start,
+            durationMs: window.durationMs,
+            series: DopplerDelay.series(propagator, runtime.values, window.start, window.durationMs, 200)
+        }));
+        const options = DopplerDelay.options(runtime.values);
+        const current = propagator.satellites.map((sat, index) => DopplerDelay.compute(propagator, index, simTime, options));
+
+        DETAIL_IMPAIRMENT_CHARTS.forEach(chart => {
+            SeriesChart.draw(document.getElementById(chart.canvasId), chart, series, current, simTime);
+        });
+
+        const cell = (p, v, digits) => `<td>${p.visible && v !== null ? v.toFixed(digits) : '—'}</td>`;
+        document.getElementById('detail-impairment-rows').innerHTML = current.map(p => `<tr>
+            <td><a data-detail-type="satellite" data-detail-id="${p.id}">Sat ${p.id}</a></td>
+            <td>${p.elevation.toFixed(1)}°</td>
+            ${cell(p, p.dopplerHz / 1000, 2)}
+            ${cell(p, p.dopplerRateHzS, 1)}
+            ${cell(p, p.oneWayDelayMs, 3)}
+            ${cell(p, p.rttMs, 3)}
+            ${cell(p, p.ueSpecificTaMs, 3)}
+            ${cell(p, p.commonTaMs, 3)}
+            ${cell(p, p.residualTaUs, 3)}
+            ${cell(p, p.residualDopplerHz, 1)}
+        </tr>`).join('');
+    }
+});
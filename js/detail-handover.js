@@ -0,0 +1,135 @@
+// Handover detail page: serving-satellite timeline of the handover run over
+// the window, its statistics and the full event list.
+
+DetailRuntime.register('handover', {
+    label: 'Handover',
+    description: 'serving timeline, handover statistics and events of the selected policy',
+    title: 'Handover Analysis',
+
+    markup() {
+        return `<div class="section">
+            <h2>Serving Satellite Timeline</h2>
+            <canvas id="handover-timeline" width="800" height="300"></canvas>
+        </div>
+
+        <div class="section">
+            <h2>Handover Statistics</h2>
+            <table class="data-table">
+                <tbody id="handover-stat-rows"></tbody>
+            </table>
+        </div>
+
+        <div class="section">
+            <h2>Handover Events</h2>
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Time (UTC)</th>
+                        <th>Handover</th>
+                        <th>Trigger</th>
+                        <th>Source / Target Elevation</th>
+                        <th>Source / Target RSRP (dBm)</th>
+                        <th>Interruption (ms)</th>
+                        <th>Result</th>
+                    </tr>
+                </thead>
+                <tbody id="handover-event-rows"></tbody>
+            </table>
+        </div>`;
+    },
+
+    render(runtime) {
+        const simTime = runtime.getSimulationTime();
+        const handovers = runtime.getHandoverResult();
+        const nextHour = handovers.events.filter(e => e.timeMs >= simTime && e.timeMs < simTime + 3600000);
+        const servingId = HandoverSimulator.servingAt(handovers, simTime);
+
+        const rows = [
+            ['Handover Policy', HANDOVER_POLICIES[handovers.policy]],
+            ['Serving Satellite (now)', servingId === null ? 'None (outage)' : `Sat ${servingId}`],
+            ['Handovers in Window', handovers.handoverCount],
+            ['Predicted Handovers (Next Hour)', nextHour.length],
+            ['Average Service Time per Satellite', `${(handovers.meanServiceTimeSec / 60).toFixed(1)} minutes`],
+            ['Minimum Elevation Handover', handovers.events.length > 0
+                ? `${Math.min(...handovers.events.map(e => e.sourceElevation)).toFixed(1)}°`
+                : '—'],
+            ['Success Rate', handovers.successRate === null ? '—' : `${(handovers.successRate * 100).toFixed(0)}%`],
+            ['Mean Interruption', `${handovers.meanInterruptionMs.toFixed(1)} ms`],
+            ['Ping-pong Handovers', `${handovers.pingPongCount} (outage ${(handovers.outageSec / 60).toFixed(1)} min)`]
+        ];
+        document.getElementById('handover-stat-rows').innerHTML = rows.map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`).join('');
+
+        document.getElementById('handover-event-rows').innerHTML = HandoverSimulator.eventRowsHtml(handovers.events);
+
+        drawHandoverTimeline(handovers, simTime);
+    }
+});
+
+function drawHandoverTimeline(result, simTime) {
+    const canvas = document.getElementById('handover-timeline');
+    const ctx = canvas.getContext('2d');
+    const left = 70;
+    const right = canvas.width - 30;
+    const span = result.endTime - result.startTime;
+    const toX = (timeMs) => left + (timeMs - result.startTime) / span * (right - left);
+    const ids = Object.keys(result.serviceTimeSec);
+    const laneHeight = Math.min(40, (canvas.height - 90) / ids.length);
+    const laneY = (id) => 30 + ids.indexOf(String(id)) * laneHeight;
+    const colors = ['#2a5298', '#4caf50', '#ff9800', '#9c27b0'];
+    
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    
+    // One lane per satellite, filled while it is serving
+    ids.forEach(id => {
+        ctx.fillStyle = '#f0f0f0';
+        ctx.fillRect(left, laneY(id), right - left, laneHeight - 8);
+        ctx.fillStyle = '#333';
+        ctx.font = '12px Arial';
+        ctx.fillText(`SAT-${id}`, 10, laneY(id) + laneHeight / 2);
+    });
+    result.segments.filter(seg => seg.satelliteId !== null).forEach(seg => {
+        ctx.fillStyle = colors[ids.indexOf(String(seg.satelliteId)) % colors.length];
+        ctx.fillRect(toX(seg.startMs), laneY(seg.satelliteId), Math.max(1, toX(seg.endMs) - toX(seg.startMs)), laneHeight - 8);
+    });
+    
+    // Handover events connect the source and target lanes
+    result.events.forEach(ho => {
+        const x = toX(ho.timeMs);
+        ctx.strokeStyle = ho.success ? '#333' : '#f44336';
+        ctx.lineWidth = ho.pingPong ? 3 : 1.5;
+        ctx.beginPath();
+        ctx.moveTo(x, laneY(ho.fromId) + (laneHeight - 8) / 2);
+        ctx.lineTo(x, laneY(ho.toId) + (laneHeight - 8) / 2);
+        ctx.stroke();
+        
+        ctx.fillStyle = ho.success ? '#333' : '#f44336';
+        ctx.beginPath();
+        ctx.arc(x, laneY(ho.toId) + (laneHeight - 8) / 2, 4, 0, 2 * Math.PI);
+        ctx.fill();
+    });
+    
+    // Current simulation time
+    if (simTime >= result.startTime && simTime <= result.endTime) {
+        ctx.strokeStyle = '#f44336';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(toX(simTime), 20);
+        ctx.lineTo(toX(simTime), canvas.height - 50);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+    
+    // Time axis
+    ctx.strokeStyle = '#ccc';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(left, canvas.height - 50);
+    ctx.lineTo(right, canvas.height - 50);
+    ctx.stroke();
+    
+    ctx.fillStyle = '#666';
+    ctx.font = '14px Arial';
+    ctx.fillText('Time (minutes)', canvas.width/2 - 50, canvas.height - 10);
+    ctx.fillText('0', left - 5, canvas.height - 30);
+    ctx.fillText(`${Math.round(span / 60000)}`, right - 20, canvas.height - 30);
+}
@@ -0,0 +1,100 @@
+// Link budget detail page: uplink and downlink budgets towards both ground
+// assets for the serving satellite, or for the satellite given by `detail-id`,
+// with the serving link's SINR and throughput.
+
+DetailRuntime.register('link-budget', {
+    label: 'Link Budget',
+    description: 'itemised up- and downlink budgets with ITU-R propagation losses',
+    title: 'Link Budget Analysis',
+
+    markup() {
+        return `<div class="section">
+            <h2 id="budget-heading">Link Budget</h2>
+            <p class="detail-links" id="budget-satellites"></p>
+            <table class="data-table">
+                <tbody id="budget-serving-rows"></tbody>
+            </table>
+        </div>
+
+        <div class="section">
+            <div class="link-budget">
+                <h3>Uplink (Handheld → Satellite)</h3>
+                <table class="budget-table data-table" id="hh-ul-budget"></table>
+
+                <h3>Downlink (Satellite → Handheld)</h3>
+                <table class="budget-table data-table" id="hh-dl-budget"></table>
+
+                <h3>Uplink (Ground Station → Satellite)</h3>
+                <table class="budget-table data-table" id="gs-ul-budget"></table>
+
+                <h3>Downlink (Satellite → Ground Station)</h3>
+                <table class="budget-table data-table" id="gs-dl-budget"></table>
+            </div>
+        </div>`;
+    },
+
+    render(runtime) {
+        const propagator = runtime.getPropagator();
+        const simTime = runtime.getSimulationTime();
+        const servingId = HandoverSimulator.servingAt(runtime.getHandoverResult(), simTime);
+        const serving = EndToEndLink.servingLink(propagator, runtime.values, simTime, servingId);
+        const requested = runtime.id ? propagator.satellites[runtime.satelliteIndex()].id : null;
+        const entry = serving.budgets.find(b => b.state.id === (requested || servingId)) || serving.budgets[0];
+
+        document.getElementById('budget-heading').textContent = requested || servingId === null
+            ? `Satellite ${entry.state.id}`
+            : `Serving Satellite ${entry.state.id}`;
+        document.getElementById('budget-satellites').innerHTML = [
+            `<a data-detail-type="link-budget">Serving</a>`,
+            ...propagator.satellites.map(sat => `<a data-detail-type="link-budget" data-detail-id="${sat.id}">S${sat.id}</a>`)
+        ].join(' · ');
+
+        const rows = serving.serving
+            ? [
+                ['Serving Satellite', `Sat ${serving.satelliteId}`],
+                ['SNR / SINR', `${serving.snr.toFixed(1)} dB / ${serving.sinr.toFixed(1)} dB`],
+                ['RSRP', `${serving.rsrp.toFixed(1)} dBm`],
+                ['Throughput', `${serving.throughput.toFixed(1)} Mbps`]
+            ]
+            : [['Serving Satellite', 'None (outage)']];
+        document.getElementById('budget-serving-rows').innerHTML = rows.map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`).join('');
+
+        renderBudgetTable('hh-ul-budget', entry.links['handheld-device'].uplink);
+        renderBudgetTable('hh-dl-budget', entry.links['handheld-device'].downlink);
+        renderBudgetTable('gs-ul-budget', entry.links['ground-station'].uplink);
+        renderBudgetTable('gs-dl-budget', entry.links['ground-station'].downlink);
+    }
+});
+
+function renderBudgetTable(tableId, link) {
+    const table = document.getElementById(tableId);
+    if (!link.available) {
+        table.innerHTML = `<tr><td>Satellite below horizon</td><td>${link.elevation.toFixed(1)}°</td></tr>`;
+        return;
+    }
+
+    const rows = [
+        ['Elevation / Slant Range', `${link.elevation.toFixed(1)}° / ${Math.round(link.rangeKm)} km`],
+        ['Bandwidth', `${link.bandwidthMHz} MHz`],
+        ['Transmit Power', `${link.txPowerDbm.toFixed(1)} dBm`],
+        ['EIRP', `${link.eirpDbw.toFixed(1)} dBW`],
+        ['Path Loss', `-${link.fsplDb.toFixed(1)} dB`],
+        ['Gaseous Absorption (P.676)', `-${link.gaseousLossDb.toFixed(2)} dB`],
+        [`Rain Attenuation (P.618, ${link.exceedancePercent}%)`, `-${link.rainLossDb.toFixed(2)} dB`],
+        ['Cloud Attenuation (P.840)', `-${link.cloudLossDb.toFixed(2)} dB`],
+        ['Tropospheric Scintillation (P.618)', `-${link.tropoScintillationDb.toFixed(2)} dB`],
+        ['Total Atmospheric Loss', `-${link.atmosphericLossDb.toFixed(2)} dB`],
+        ['Shadow Fading Margin', `-${link.shadowMarginDb.toFixed(1)} dB`],
+        ['Ionospheric Scintillation (P.531)', `-${link.scintillationLossDb.toFixed(2)} dB`],
+        ['Polarization Loss', `-${link.polarizationLossDb.toFixed(1)} dB`],
+        ['Payload Antenna Pattern Loss', `-${link.antennaLossDb.toFixed(1)} dB`],
+        ['Receiver G/T', `${link.gOverTDbK.toFixed(1)} dB/K`],
+        ['Noise Power', `${(link.noisePowerDbw + 30).toFixed(1)} dBm`],
+        ['Received Power', `${(link.rxPowerDbw + 30).toFixed(1)} dBm`],
+        ['RSRP', `${link.rsrpDbm.toFixed(1)} dBm`],
+        ['C/N (SNR)', `${link.cnDb.toFixed(1)} dB`],
+        ['Receive Sensitivity', `${link.sensitivityDbm.toFixed(1)} dBm`],
+        ['Link Margin', `${link.marginDb.toFixed(1)} dB`]
+    ];
+    table.innerHTML = rows.map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`).join('');
+}
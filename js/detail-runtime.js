@@ -0,0 +1,288 @@
+// Runtime shared by the detail pages. pages/detailed-analysis.html loads the
+// models, this runtime and every page module; the runtime takes the
+// query-string snapshot the main window opened it with, follows the main
+// window over the sync bus (raw strings in `params`, typed through the
+// parameter schema into `values` for the models), routes on
+// `detail-type`/`detail-id` and re-renders the selected page on every
+// parameter change or clock tick.
+//
+// A page module registers itself with
+//     DetailRuntime.register(type, {
+//         label,             // navigation entry
+//         description,       // one line on the index
+//         perSatellite,      // true when `detail-id` picks a satellite
+//         title,             // heading, or (runtime) => heading
+//         markup(runtime),   // its sections, inserted once
+//         render(runtime)    // fills them in for the current state
+//     });
+// Links inside the markup written as <a data-detail-type="…" data-detail-id="…">
+// are kept pointing at the current parameters and time.
+
+const DETAIL_PAGES = {};
+
+class DetailRuntime {
+    static register(type, page) {
+        DETAIL_PAGES[type] = page;
+    }
+
+    constructor(search = window.location.search) {
+        const query = new URLSearchParams(search);
+        this.setParams(Object.fromEntries(query));
+        this.type = query.get('detail-type');
+        this.id = query.get('detail-id');
+        this.page = DETAIL_PAGES[this.type] || null;
+        this.simTime = OrbitPropagator.parseUtc(query.get('sim-time'));
+        this.clock = null;
+        this.mainClosed = false;
+        this.model = null;
+        this.renderPending = false;
+        this.bus = new SyncBus('detail');
+    }
+
+    setParams(params) {
+        const { values, errors } = ParameterSchema.typed(params);
+        this.params = params;
+        this.values = values;
+        this.errors = errors;
+        this.model = null;
+    }
+
+    // Propagator and page caches only depend on the parameters, so clock ticks reuse them
+    getModel() {
+        if (!this.model) {
+            this.model = {
+                propagator: OrbitPropagator.fromParameters(this.values, { catalog: ElementCatalog.load() }),
+                cache: {}
+            };
+        }
+        return this.model;
+    }
+
+    getPropagator() {
+        return this.getModel().propagator;
+    }
+
+    cached(name, compute) {
+        const cache = this.getModel().cache;
+        if (!(name in cache)) cache[name] = compute();
+        return cache[name];
+    }
+
+    getHandoverResult() {
+        return this.cached('handover', () => HandoverSimulator.run(this.getPropagator(), this.values));
+    }
+
+    getSimulationTime() {
+        return this.simTime || this.getPropagator().epoch;
+    }
+
+    // Simulation window of the main clock, or of the snapshot parameters
+    getWindow() {
+        if (this.clock) return { start: this.clock.epoch, durationMs: this.clock.durationSec * 1000 };
+        return { start: this.getPropagator().epoch, durationMs: this.values['window-duration'] * 60000 };
+    }
+
+    // Satellite slot picked by `detail-id`, or the first one when it names none
+    satelliteIndex() {
+        const index = this.satelliteIds().indexOf(this.id);
+        return index >= 0 ? index : 0;
+    }
+
+    satelliteIds() {
+        return this.getPropagator().satellites.map(sat => String(sat.id));
+    }
+
+    // Query values that could not be used, and what is shown instead
+    queryErrors() {
+        const messages = Object.keys(this.errors).map(key => `${key} ${this.errors[key]}`);
+        if (this.type && !this.page) {
+            messages.push(`detail-type "${this.type}": no such analysis; showing the index`);
+        } else if (this.page && this.page.perSatellite && this.id !== null && !this.satelliteIds().includes(this.id)) {
+            messages.push(`detail-id "${this.id}": no such satellite (${this.satelliteIds().join(', ')}); showing Satellite ${this.satelliteIds()[0]}`);
+        }
+        return messages;
+    }
+
+    // Query string opening another page on the current parameters and time
+    href(type, id) {
+        const params = { ...this.params, 'sim-time': new Date(this.getSimulationTime()).toISOString() };
+        delete params['detail-type'];
+        delete params['detail-id'];
+        if (type) params['detail-type'] = type;
+        if (id) params['detail-id'] = id;
+        return `?${new URLSearchParams(params).toString()}`;
+    }
+
+    title() {
+        if (!this.page) return 'Detailed System Analysis';
+        return typeof this.page.title === 'function' ? this.page.title(this) : this.page.title;
+    }
+
+    start() {
+        const content = document.getElementById('detail-content');
+        content.innerHTML = this.page ? this.page.markup(this) : this.indexMarkup();
+        this.render();
+        ResultExport.attachChartButtons(content, () => this.getWindow().start);
+        this.setupSync();
+    }
+
+    render() {
+        const values = this.values;
+        const propagator = this.getPropagator();
+        const orbits = propagator.satellites.map(sat => `S${sat.id} ${OrbitPropagator.orbitLabel(sat)}`).join(', ');
+
+        document.getElementById('detail-title').textContent = this.title();
+        document.title = `${this.title()} - NR-NTN Satellite System`;
+        document.getElementById('analysis-params').textContent =
+            `Configuration: ${propagator.satellites.length} satellites (${orbits}), ${values.frequency}MHz, ` +
+            `${values.bandwidth}MHz bandwidth, Start elevation: ${values['start-elevation']}°, ` +
+            `${DetailRuntime.utc(this.getSimulationTime())} UTC`;
+        const errors = this.queryErrors();
+        const errorBox = document.getElementById('detail-errors');
+        errorBox.textContent = errors.join('\n');
+        errorBox.hidden = errors.length === 0;
+
+        if (this.page) this.page.render(this);
+        this.renderNav();
+        document.querySelectorAll('a[data-detail-type]').forEach(link => {
+            link.href = this.href(link.dataset.detailType, link.dataset.detailId);
+        });
+        this.updateSyncBar();
+    }
+
+    // Bursts of clock ticks collapse into one render of the latest state
+    scheduleRender() {
+        if (this.renderPending) return;
+        this.renderPending = true;
+        setTimeout(() => {
+            this.renderPending = false;
+            this.render();
+        }, 0);
+    }
+
+    renderNav() {
+        const satellites = this.getPropagator().satellites;
+        const entries = [{ type: null, label: 'Index' }];
+        Object.keys(DETAIL_PAGES).forEach(type => {
+            const page = DETAIL_PAGES[type];
+            if (page.perSatellite) {
+                satellites.forEach(sat => entries.push({ type, id: String(sat.id), label: `${page.label} ${sat.id}` }));
+            } else {
+                entries.push({ type, label: page.label });
+            }
+        });
+
+        const current = (entry) => entry.type === (this.page ? this.type : null) &&
+            (!entry.id || entry.id === String(satellites[this.satelliteIndex()].id));
+        document.getElementById('detail-nav').innerHTML = entries.map(entry =>
+            `<a class="${current(entry) ? 'active' : ''}"${entry.type ? ` data-detail-type="${entry.type}"` : ''}` +
+            `${entry.id ? ` data-detail-id="${entry.id}"` : ''} href="${this.href(entry.type, entry.id)}">${entry.label}</a>`
+        ).join('');
+    }
+
+    indexMarkup() {
+        return `<div class="section">
+            <h2>Analyses</h2>
+            <ul class="detail-index">
+                ${Object.keys(DETAIL_PAGES).map(type => `<li>
+                    <a data-detail-type="${type}"${DETAIL_PAGES[type].perSatellite ? ' data-detail-id="1"' : ''}>${DETAIL_PAGES[type].label}</a>
+                    — ${DETAIL_PAGES[type].description}
+                </li>`).join('')}
+            </ul>
+        </div>`;
+    }
+
+    // Clock state and controls; without a main window the bar only shows the snapshot
+    updateSyncBar() {
+        const clock = this.clock;
+        const live = clock !== null;
+        const status = document.getElementById('sync-status');
+        status.textContent = live ? 'Live' : (this.mainClosed ? 'Snapshot (main window closed)' : 'Snapshot');
+        status.classList.toggle('live', live);
+        document.querySelectorAll('#sync-bar button, #sync-bar input, #sync-bar select').forEach(control => {
+            control.disabled = !live;
+        });
+        document.querySelector('#sync-bar [data-action="play"]').classList.toggle('active', live && clock.running);
+        document.getElementById('sync-time').textContent = `${DetailRuntime.utc(this.getSimulationTime())} UTC`;
+
+        const scrubber = document.getElementById('sync-scrubber');
+        if (live && document.activeElement !== scrubber) {
+            scrubber.value = Math.round((this.getSimulationTime() - clock.epoch) / (clock.durationSec * 1000) * parseFloat(scrubber.max));
+        }
+
+        const select = document.getElementById('sync-key');
+        const keys = Object.keys(this.params).filter(key => key !== 'sim-time' && !key.startsWith('detail-')).sort();
+        if (select.options.length !== keys.length) {
+            const selected = select.value;
+            select.innerHTML = keys.map(key => `<option value="${key}">${key}</option>`).join('');
+            if (keys.includes(selected)) select.value = selected;
+        }
+        const valueInput = document.getElementById('sync-value');
+        if (document.activeElement !== valueInput) valueInput.value = this.params[select.value] || '';
+    }
+
+    showSyncMessage(message) {
+        const element = document.getElementById('sync-message');
+        element.textContent = message || '';
+        element.hidden = !message;
+    }
+
+    setupSync() {
+        const bus = this.bus;
+        bus.on('parameters', (message) => {
+            if (message.role !== 'main') return;
+            this.setParams(message.params);
+            this.scheduleRender();
+        });
+        bus.on('clock', (message) => {
+            if (message.role !== 'main') return;
+            this.clock = message;
+            this.mainClosed = false;
+            this.simTime = message.currentTime;
+            this.scheduleRender();
+        });
+        bus.on('rejected', (message) => {
+            if (message.to === bus.id) this.showSyncMessage(`${message.key}: ${message.message}`);
+        });
+        bus.on('closed', (message) => {
+            if (message.role !== 'main') return;
+            this.clock = null;
+            this.mainClosed = true;
+            this.updateSyncBar();
+        });
+
+        document.querySelectorAll('#sync-bar [data-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                bus.post('clock-command', { action: button.dataset.action, steps: parseInt(button.dataset.steps) || 1 });
+            });
+        });
+        document.getElementById('sync-scrubber').addEventListener('input', (e) => {
+            if (!this.clock) return;
+            const fraction = parseFloat(e.target.value) / parseFloat(e.target.max);
+            bus.post('clock-command', { action: 'seek', timeMs: this.clock.epoch + fraction * this.clock.durationSec * 1000 });
+        });
+        document.getElementById('sync-key').addEventListener('change', (e) => {
+            document.getElementById('sync-value').value = this.params[e.target.value] || '';
+            this.showSyncMessage('');
+        });
+        document.getElementById('sync-edit').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const key = document.getElementById('sync-key').value;
+            if (!key) return;
+            this.showSyncMessage('');
+            bus.post('set-parameters', { params: { [key]: document.getElementById('sync-value').value } });
+        });
+
+        bus.post('hello');
+    }
+
+    static utc(timeMs) {
+        return new Date(timeMs).toISOString().replace('T', ' ').slice(0, 19);
+    }
+
+    // Writes `value` into the element with `id`, when the page has one
+    static setText(id, value) {
+        const element = document.getElementById(id);
+        if (element) element.textContent = value;
+    }
+}
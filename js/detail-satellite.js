@@ -0,0 +1,130 @@
+// Detail page of one satellite (`detail-id`): orbit, current geometry from
+// both ground assets, Doppler and delay, and its own passes on the sky plots.
+
+DetailRuntime.register('satellite', {
+    label: 'Satellite',
+    description: 'orbit, look angles, Doppler, delay and passes of one satellite',
+    perSatellite: true,
+
+    title(runtime) {
+        const sat = runtime.getPropagator().satellites[runtime.satelliteIndex()];
+        return `Satellite ${sat.id} - ${OrbitPropagator.orbitLabel(sat)}`;
+    },
+
+    markup(runtime) {
+        const assets = Object.keys(GROUND_ASSETS);
+        return `<div class="section">
+            <h2>Orbit</h2>
+            <table class="data-table">
+                <tbody id="satellite-orbit-rows"></tbody>
+            </table>
+            <p><a id="satellite-budget-link" data-detail-type="link-budget">Link budget of this satellite</a></p>
+        </div>
+
+        <div class="section">
+            <h2>Current Geometry</h2>
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Ground Asset</th>
+                        <th>Azimuth / Elevation</th>
+                        <th>Pass Angle</th>
+                        <th>Slant Range (km)</th>
+                        <th>Range Rate (km/s)</th>
+                        <th>Above Mask</th>
+                    </tr>
+                </thead>
+                <tbody id="satellite-look-rows"></tbody>
+            </table>
+        </div>
+
+        <div class="section">
+            <h2>Doppler and Delay at the Handheld</h2>
+            <table class="data-table">
+                <tbody id="satellite-impairment-rows"></tbody>
+            </table>
+        </div>
+
+        <div class="section">
+            <h2>Passes over the Simulation Window</h2>
+            <div class="sky-plots">
+                ${assets.map(asset => `<div class="performance-card">
+                    <h3>Sky Plot — ${GROUND_ASSETS[asset].name}</h3>
+                    <canvas id="satellite-sky-${asset}" width="400" height="400"></canvas>
+                </div>`).join('')}
+            </div>
+        </div>`;
+    },
+
+    render(runtime) {
+        const params = runtime.values;
+        const propagator = runtime.getPropagator();
+        const index = runtime.satelliteIndex();
+        const simTime = runtime.getSimulationTime();
+        const sat = propagator.satellites[index];
+        const state = propagator.getSatelliteState(index, simTime);
+        const orbit = sat.orbit;
+        const rows = (tbodyId, entries) => {
+            document.getElementById(tbodyId).innerHTML = entries.map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`).join('');
+        };
+
+        rows('satellite-orbit-rows', [
+            ['Source', sat.source === 'preset' ? 'Designed pass' : ResultExport.escapeHtml(sat.name)],
+            ['Orbital Period', `${state.periodMinutes.toFixed(1)} minutes`],
+            ['Inclination', `${state.inclinationDeg.toFixed(1)}°`],
+            ['Apogee / Perigee', `${Math.round(orbit.apogeeKm)} km / ${Math.round(orbit.perigeeKm)} km`],
+            ['Altitude (now)', `${state.altitudeKm.toFixed(1)} km`],
+            ['Sub-Satellite Point', `${state.subPoint.lat.toFixed(3)}°, ${state.subPoint.lon.toFixed(3)}°`],
+            ['Velocity / Ground Speed', `${state.velocityKmS.toFixed(3)} km/s / ${state.groundSpeedKmS.toFixed(3)} km/s`],
+            ['Ground Track', state.inclinationDeg < 0.1 ? 'Equatorial (stationary)' : (state.ascending ? 'Ascending Pass' : 'Descending Pass')]
+        ]);
+        document.getElementById('satellite-budget-link').dataset.detailId = sat.id;
+
+        document.getElementById('satellite-look-rows').innerHTML = Object.keys(GROUND_ASSETS).map(asset => {
+            const look = state.look[asset];
+            const site = propagator.sites[asset];
+            const above = look.elevation >= 0;
+            return `<tr>
+                <td>${site.name}</td>
+                <td>${look.azimuth.toFixed(1)}° / ${look.elevation.toFixed(1)}°</td>
+                <td>${above ? `${SkyPlot.passAngle(look).toFixed(1)}°` : '—'}</td>
+                <td>${look.rangeKm.toFixed(0)}</td>
+                <td>${look.rangeRateKmS.toFixed(3)}</td>
+                <td>${OrbitPropagator.isVisible(params, site, look) ? 'Yes' : 'No'}</td>
+            </tr>`;
+        }).join('');
+
+        const impairments = DopplerDelay.compute(propagator, index, simTime, DopplerDelay.options(params));
+        const value = (v, digits, unit) => impairments.visible && v !== null ? `${v.toFixed(digits)} ${unit}` : '—';
+        rows('satellite-impairment-rows', [
+            ['Doppler Shift', `${value(impairments.dopplerHz / 1000, 2, 'kHz')} (${value(impairments.dopplerPpm, 2, 'ppm')})`],
+            ['Doppler Rate', value(impairments.dopplerRateHzS, 1, 'Hz/s')],
+            ['One-Way Delay', value(impairments.oneWayDelayMs, 3, 'ms')],
+            ['Round Trip to Gateway', value(impairments.rttMs, 3, 'ms')],
+            ['UE-Specific / Common TA', `${value(impairments.ueSpecificTaMs, 3, 'ms')} / ${value(impairments.commonTaMs, 3, 'ms')}`]
+        ]);
+
+        // Only this satellite's passes, in its colour on the main sky plots
+        const window = runtime.getWindow();
+        const tracks = runtime.cached('satellite-sky-tracks', () => {
+            const stepMs = Math.max(30000, window.durationMs / 480);
+            const result = {};
+            Object.keys(GROUND_ASSETS).forEach(asset => {
+                result[asset] = SkyPlot.tracks(propagator, asset, window.start, window.durationMs, stepMs);
+            });
+            return result;
+        });
+        const colors = [SERIES_COLORS[index % SERIES_COLORS.length]];
+        Object.keys(GROUND_ASSETS).forEach(asset => {
+            const canvas = document.getElementById(`satellite-sky-${asset}`);
+            const ctx = canvas.getContext('2d');
+            const site = propagator.sites[asset];
+            const plot = new SkyPlot(canvas);
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            plot.drawMask(ctx, az => OrbitPropagator.siteMask(params, site, az));
+            plot.drawGrid(ctx);
+            plot.drawTracks(ctx, [tracks[asset][index]], colors, window.start);
+            plot.drawMarkers(ctx, [{ id: state.id, look: state.look[asset] }], colors);
+        });
+    }
+});
@@ -0,0 +1,82 @@
+// Doppler, propagation delay and timing advance seen by the handheld, plus the
+// residual errors left after GNSS/ephemeris-based pre-compensation (Rel-17 NTN).
+// The common TA covers the feeder link to the uplink timing reference point,
+// taken here as the ground station acting as gateway.
+
+const NR_TC_SEC = 1 / (480000 * 4096);
+const TIMING_ERROR_LIMIT_US = 12 * 64 * NR_TC_SEC * 1e6; // TS 38.133 Te, 15 kHz SCS
+const UE_FREQUENCY_ERROR_PPM = 0.1; // TS 38.101-5 UE modulated carrier accuracy
+
+class DopplerDelay {
+    static options(params) {
+        return {
+            frequencyMHz: params.frequency,
+            gnssErrorM: params['gnss-position-error'],
+            ephemerisErrorM: params['ephemeris-position-error'],
+            ephemerisVelocityErrorMs: params['ephemeris-velocity-error'],
+            updateIntervalMs: params['precomp-interval']
+        };
+    }
+
+    static dopplerHz(look, frequencyMHz) {
+        return -frequencyMHz * 1e6 * look.rangeRateKmS / SPEED_OF_LIGHT;
+    }
+
+    // Impairments of one satellite at one instant, towards the given ground asset
+    static compute(propagator, index, timeMs, options, asset = 'handheld-device') {
+        const state = propagator.getSatelliteState(index, timeMs);
+        const look = state.look[asset];
+        const feeder = state.look['ground-station'];
+        const carrierHz = options.frequencyMHz * 1e6;
+
+        // Doppler rate by central difference over one second
+        const before = propagator.getSatelliteState(index, timeMs - 500).look[asset];
+        const after = propagator.getSatelliteState(index, timeMs + 500).look[asset];
+        const dopplerHz = DopplerDelay.dopplerHz(look, options.frequencyMHz);
+        const dopplerRateHzS = DopplerDelay.dopplerHz(after, options.frequencyMHz) - DopplerDelay.dopplerHz(before, options.frequencyMHz);
+
+        const oneWayDelayMs = look.rangeKm / SPEED_OF_LIGHT * 1000;
+        const ueSpecificTaMs = 2 * oneWayDelayMs;
+        const commonTaMs = feeder && feeder.elevation >= 0 ? 2 * feeder.rangeKm / SPEED_OF_LIGHT * 1000 : null;
+
+        // Worst case: position errors add along the line of sight, and the
+        // geometry keeps drifting for one pre-compensation update interval
+        const intervalSec = options.updateIntervalMs / 1000;
+        const positionErrorKm = (options.gnssErrorM + options.ephemerisErrorM) / 1000;
+        const residualTaUs = (2 * positionErrorKm / SPEED_OF_LIGHT +
+            2 * Math.abs(look.rangeRateKmS) * intervalSec / SPEED_OF_LIGHT) * 1e6;
+        const residualDopplerHz = carrierHz * options.ephemerisVelocityErrorMs / 1000 / SPEED_OF_LIGHT +
+            Math.abs(dopplerRateHzS) * intervalSec;
+
+        return {
+            id: state.id,
+            timeMs,
+            elevation: look.elevation,
+            visible: look.elevation >= 0,
+            rangeKm: look.rangeKm,
+            dopplerHz,
+            dopplerPpm: dopplerHz / carrierHz * 1e6,
+            dopplerRateHzS,
+            oneWayDelayMs,
+            rttMs: ueSpecificTaMs + (commonTaMs || 0),
+            ueSpecificTaMs,
+            commonTaMs,
+            residualTaUs,
+            residualDopplerHz,
+            frequencyLimitHz: carrierHz * UE_FREQUENCY_ERROR_PPM * 1e-6,
+            timingLimitUs: TIMING_ERROR_LIMIT_US
+        };
+    }
+
+    static series(propagator, params, startTime, durationMs, samples) {
+        const options = DopplerDelay.options(params);
+
+        return propagator.satellites.map((sat, index) => {
+            const points = [];
+            for (let i = 0; i <= samples; i++) {
+                points.push(DopplerDelay.compute(propagator, index, startTime + (i / samples) * durationMs, options));
+            }
+            return { id: sat.id, name: sat.name, source: sat.source, points };
+        });
+    }
+}
@@ -0,0 +1,204 @@
+// End-to-end handheld link through the satellite payload. A transparent
+// (bent-pipe) payload relays the service link over the feeder link to a gNB on
+// the ground, so the noise of both hops adds up and HARQ waits for both round
+// trips. A regenerative payload carries the gNB and decodes on board: only the
+// service link sets C/N and HARQ timing, and the feeder link carries backhaul.
+// Feeder links use the ground-station RF profile. A satellite is fed by the
+// ground station while it is above the feeder mask there, and otherwise by
+// the highest gateway of the selected network that can see it.
+
+const PAYLOAD_ARCHITECTURES = {
+    transparent: 'Transparent (gNB on ground)',
+    regenerative: 'Regenerative (gNB on board)'
+};
+
+const REGIONAL_GATEWAYS = [
+    { id: 'kaohsiung', name: 'Kaohsiung', lat: 22.6273, lon: 120.3014, altKm: 0.01 },
+    { id: 'okinawa', name: 'Okinawa', lat: 26.2124, lon: 127.6809, altKm: 0.05 }
+];
+
+// Extra gateways beyond the ground station, in order of preference
+const GATEWAY_NETWORKS = {
+    single: [],
+    regional: REGIONAL_GATEWAYS,
+    wide: [
+        ...REGIONAL_GATEWAYS,
+        { id: 'manila', name: 'Manila', lat: 14.5995, lon: 120.9842, altKm: 0.01 },
+        { id: 'tokyo', name: 'Tokyo', lat: 35.6762, lon: 139.6503, altKm: 0.04 },
+        { id: 'guam', name: 'Guam', lat: 13.4443, lon: 144.7937, altKm: 0.08 },
+        { id: 'singapore', name: 'Singapore', lat: 1.3521, lon: 103.8198, altKm: 0.02 }
+    ]
+};
+
+const MAX_FEEDER_SAMPLES = 720;
+
+class EndToEndLink {
+    // A blank feeder frequency reuses the service carrier
+    static options(params) {
+        return {
+            architecture: params['payload-architecture'],
+            network: params['gateway-network'],
+            maskDeg: params['feeder-mask'],
+            frequencyMHz: params['feeder-frequency'] !== null ? params['feeder-frequency'] : params.frequency
+        };
+    }
+
+    // The ground station first, then the network's gateways
+    static gateways(propagator, options) {
+        const gs = propagator.sites['ground-station'];
+        return [
+            { ...gs, id: 'ground-station', name: `${gs.location} ground station` },
+            ...GATEWAY_NETWORKS[options.network]
+        ];
+    }
+
+    // Gateway feeding a satellite state, or null when none is above the feeder mask
+    static selectGateway(state, gateways, options) {
+        let best = null;
+        gateways.forEach((gateway, index) => {
+            const look = index === 0 ? state.look['ground-station'] : OrbitMath.lookAngles(state.ecef, gateway);
+            if (look.elevation < options.maskDeg) return;
+            if (!best || best.index !== 0 && look.elevation > best.look.elevation) best = { index, gateway, look };
+        });
+        return best;
+    }
+
+    // Noise of cascaded hops adds in linear terms
+    static combineCnDb(...cnDb) {
+        return -10 * Math.log10(cnDb.reduce((sum, cn) => sum + 10 ** (-cn / 10), 0));
+    }
+
+    // Feeder uplink and downlink between a gateway and the payload at the
+    // TR 38.821 defaults of the feeder band; the feeder beam is steered at the
+    // gateway and relays the whole carrier
+    static feederLinks(state, sat, params, gateway, look, options) {
+        const common = {
+            look,
+            site: gateway,
+            exceedancePercent: ItuPropagation.exceedance(params),
+            frequencyMHz: options.frequencyMHz,
+            bandwidthMHz: params.bandwidth,
+            terminal: RfProfiles.groundStation(params),
+            payload: RfProfiles.payloadDefaults(sat.orbit.altitudeKm, options.frequencyMHz)
+        };
+        return {
+            uplink: LinkBudget.compute({ ...common, direction: 'uplink' }),
+            downlink: LinkBudget.compute({ ...common, direction: 'downlink' })
+        };
+    }
+
+    // End-to-end forward/return C/N, latency and HARQ round trip of the handheld
+    // served by one satellite; `service` holds its handheld uplink and downlink
+    static compute(state, sat, params, service, gateways, options = EndToEndLink.options(params)) {
+        const transparent = options.architecture === 'transparent';
+        const choice = EndToEndLink.selectGateway(state, gateways, options);
+        const feeder = choice ? EndToEndLink.feederLinks(state, sat, params, choice.gateway, choice.look, options) : null;
+        const serviceUp = service.downlink.available && service.uplink.available;
+        const feederRangeKm = feeder ? choice.look.rangeKm : null;
+
+        const result = {
+            architecture: options.architecture,
+            gateway: choice ? choice.gateway.name : null,
+            switched: choice ? choice.index > 0 : false,
+            feederAvailable: !!feeder,
+            feeder,
+            serviceAvailable: serviceUp,
+            // The gNB needs the feeder when it is on the ground; on board it keeps
+            // serving the handheld and only loses backhaul
+            available: serviceUp && (!transparent || !!feeder),
+            forwardCnDb: null,
+            returnCnDb: null,
+            oneWayLatencyMs: null,
+            harqRttMs: null
+        };
+        if (!serviceUp) return result;
+
+        if (transparent) {
+            if (!feeder) return result;
+            result.forwardCnDb = EndToEndLink.combineCnDb(feeder.uplink.cnDb, service.downlink.cnDb);
+            result.returnCnDb = EndToEndLink.combineCnDb(service.uplink.cnDb, feeder.downlink.cnDb);
+            result.harqRttMs = 2 * (service.downlink.rangeKm + feederRangeKm) / SPEED_OF_LIGHT * 1000;
+        } else {
+            result.forwardCnDb = service.downlink.cnDb;
+            result.returnCnDb = service.uplink.cnDb;
+            result.harqRttMs = 2 * service.downlink.rangeKm / SPEED_OF_LIGHT * 1000;
+        }
+
+        // User-plane data reaches the core network through the gateway either way
+        if (feeder) result.oneWayLatencyMs = (service.downlink.rangeKm + feederRangeKm) / SPEED_OF_LIGHT * 1000;
+        return result;
+    }
+
+    // Handheld downlink quality from the serving satellite; co-channel beams of
+    // every satellite count as interference, and a transparent payload adds the
+    // feeder uplink noise and round trip. With `channel` the budget's shadow
+    // fading margin gives way to a seeded TR 38.811 channel realisation
+    static servingLink(propagator, params, timeMs, servingId, { channel = false } = {}) {
+        const budgets = LinkBudget.forAllSatellites(propagator, timeMs, params);
+        const entry = budgets.find(b => b.state.id === servingId);
+
+        if (!entry || !entry.links['handheld-device'].downlink.available) return { budgets, serving: null, endToEnd: null };
+        const serving = { id: servingId, link: entry.links['handheld-device'].downlink };
+        const feederOptions = EndToEndLink.options(params);
+        const sat = propagator.satellites[budgets.indexOf(entry)];
+        const endToEnd = EndToEndLink.compute(entry.state, sat, params, entry.links['handheld-device'],
+            EndToEndLink.gateways(propagator, feederOptions), feederOptions);
+        if (!endToEnd.available) return { budgets, serving: null, endToEnd };
+
+        const states = budgets.map(b => b.state);
+        const layouts = BeamLayout.forStates(propagator, states, params);
+        const beams = BeamLayout.sinrAt(propagator, states, layouts, params, propagator.sites['handheld-device'], servingId);
+        const interferenceW = beams ? 10 ** (beams.interferenceDbw / 10) : 0;
+        const fading = channel ? ChannelModel.sample(ChannelModel.options(params), servingId, serving.link.elevation, timeMs) : null;
+        const fadingDb = fading ? serving.link.shadowMarginDb - fading.lossDb : 0;
+        let sinr = serving.link.rxPowerDbw + fadingDb - 10 * Math.log10(10 ** (serving.link.noisePowerDbw / 10) + interferenceW);
+        if (endToEnd.architecture === 'transparent') sinr = EndToEndLink.combineCnDb(sinr, endToEnd.feeder.uplink.cnDb);
+
+        const rate = Throughput.compute(sinr, endToEnd.harqRttMs, Throughput.options(params));
+
+        return {
+            budgets,
+            satelliteId: serving.id,
+            snr: serving.link.snrDb + fadingDb,
+            sinr,
+            rsrp: serving.link.rsrpDbm + fadingDb,
+            throughput: rate.throughputMbps,
+            rate,
+            serving,
+            endToEnd,
+            channel: fading
+        };
+    }
+
+    // Feeder availability and gateway switches of every satellite over a window
+    static timeline(propagator, params, { startTime = propagator.epoch, durationSec } = {}) {
+        const options = EndToEndLink.options(params);
+        const gateways = EndToEndLink.gateways(propagator, options);
+        const windowSec = durationSec || params['window-duration'] * 60;
+        const stepSec = Math.max(1, Math.ceil(windowSec / MAX_FEEDER_SAMPLES));
+        const count = Math.floor(windowSec / stepSec) + 1;
+
+        const satellites = propagator.satellites.map((sat, index) => {
+            const track = { id: sat.id, fedSamples: 0, switches: [] };
+            let last = null;
+            for (let k = 0; k < count; k++) {
+                const timeMs = startTime + k * stepSec * 1000;
+                const choice = EndToEndLink.selectGateway(propagator.getSatelliteState(index, timeMs), gateways, options);
+                if (!choice) continue;
+                track.fedSamples++;
+                // A feeder outage between two gateways still counts as a switch
+                if (last !== null && choice.gateway.id !== last) track.switches.push({ timeMs, from: last, to: choice.gateway.id });
+                last = choice.gateway.id;
+            }
+            track.availability = track.fedSamples / count;
+            return track;
+        });
+
+        return {
+            options,
+            stepSec,
+            satellites,
+            switchCount: satellites.reduce((sum, s) => sum + s.switches.length, 0)
+        };
+    }
+}
@@ -0,0 +1,155 @@
+// Azimuthal equidistant map centred on a ground site: distances and bearings
+// from the centre are true, so elevation-mask footprints keep their shape.
+
+const MAP_MIN_RADIUS_KM = 1500;
+const MAP_MAX_RADIUS_KM = 4500;
+
+class GeoMap {
+    constructor({ center, radiusKm, width, height }) {
+        this.center = center;
+        this.radiusKm = radiusKm;
+        this.width = width;
+        this.height = height;
+        this.kmPerPx = radiusKm / (Math.min(width, height) / 2);
+    }
+
+    // View wide enough for the largest footprint, within the bundled coastline extent
+    static forFootprints(center, footprintsKm, width, height) {
+        const radiusKm = Math.min(MAP_MAX_RADIUS_KM, Math.max(MAP_MIN_RADIUS_KM, 2.2 * Math.max(...footprintsKm)));
+        return new GeoMap({ center, radiusKm, width, height });
+    }
+
+    // Ground radius of the area that sees the satellite above the elevation mask
+    static footprintRadiusKm(orbitRadiusKm, elevationMaskDeg) {
+        return OrbitMath.centralAngle(elevationMaskDeg, EARTH.radiusKm, orbitRadiusKm) * EARTH.radiusKm;
+    }
+
+    // Point reached from `origin` along a great circle
+    static destination(origin, bearingDeg, distanceKm) {
+        const delta = distanceKm / EARTH.radiusKm;
+        const theta = bearingDeg * DEG;
+        const lat1 = origin.lat * DEG;
+        const lon1 = origin.lon * DEG;
+        const lat2 = Math.asin(Math.sin(lat1) * Math.cos(delta) + Math.cos(lat1) * Math.sin(delta) * Math.cos(theta));
+        const lon2 = lon1 + Math.atan2(Math.sin(theta) * Math.sin(delta) * Math.cos(lat1), Math.cos(delta) - Math.sin(lat1) * Math.sin(lat2));
+        return { lat: lat2 / DEG, lon: OrbitMath.wrapDegrees180(lon2 / DEG) };
+    }
+
+    static bearingDeg(from, to) {
+        const lat1 = from.lat * DEG;
+        const lat2 = to.lat * DEG;
+        const dLon = (to.lon - from.lon) * DEG;
+        const y = Math.sin(dLon) * Math.cos(lat2);
+        const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+        return Math.atan2(y, x) / DEG;
+    }
+
+    project(lat, lon) {
+        const point = { lat, lon };
+        const distanceKm = OrbitMath.groundDistanceKm(this.center, point);
+        const bearing = GeoMap.bearingDeg(this.center, point) * DEG;
+        const rho = distanceKm / this.kmPerPx;
+        return {
+            x: this.width / 2 + rho * Math.sin(bearing),
+            y: this.height / 2 - rho * Math.cos(bearing)
+        };
+    }
+
+    unproject(x, y) {
+        const dx = x - this.width / 2;
+        const dy = this.height / 2 - y;
+        const distanceKm = Math.sqrt(dx * dx + dy * dy) * this.kmPerPx;
+        return GeoMap.destination(this.center, Math.atan2(dx, dy) / DEG, distanceKm);
+    }
+
+    tracePath(ctx, points) {
+        points.forEach((p, i) => {
+            if (i === 0) ctx.moveTo(p.x, p.y);
+            else ctx.lineTo(p.x, p.y);
+        });
+    }
+
+    drawGraticule(ctx, stepDeg = 5) {
+        const latSpan = this.radiusKm / 111 + stepDeg;
+        const lonSpan = latSpan / Math.max(0.2, Math.cos(this.center.lat * DEG));
+        const snap = (v) => Math.floor(v / stepDeg) * stepDeg;
+
+        ctx.strokeStyle = '#e3e8ef';
+        ctx.lineWidth = 1;
+        for (let lat = snap(this.center.lat - latSpan); lat <= this.center.lat + latSpan; lat += stepDeg) {
+            if (Math.abs(lat) > 89) continue;
+            const points = [];
+            for (let lon = this.center.lon - lonSpan; lon <= this.center.lon + lonSpan; lon += 1) points.push(this.project(lat, lon));
+            ctx.beginPath();
+            this.tracePath(ctx, points);
+            ctx.stroke();
+        }
+        for (let lon = snap(this.center.lon - lonSpan); lon <= this.center.lon + lonSpan; lon += stepDeg) {
+            const points = [];
+            for (let lat = Math.max(-89, this.center.lat - latSpan); lat <= Math.min(89, this.center.lat + latSpan); lat += 1) points.push(this.project(lat, lon));
+            ctx.beginPath();
+            this.tracePath(ctx, points);
+            ctx.stroke();
+        }
+    }
+
+    drawCoastlines(ctx, { fill = '#eef3e6', stroke = '#6b7d5c' } = {}) {
+        COASTLINES.forEach(land => {
+            ctx.beginPath();
+            this.tracePath(ctx, land.points.map(([lon, lat]) => this.project(lat, lon)));
+            ctx.closePath();
+            if (fill) {
+                ctx.fillStyle = fill;
+                ctx.fill();
+            }
+            ctx.strokeStyle = stroke;
+            ctx.lineWidth = land.detail ? 1.5 : 1;
+            ctx.stroke();
+        });
+    }
+
+    // Footprint outline as a projected small circle around the sub-satellite point
+    footprintPath(subPoint, radiusKm, steps = 90) {
+        const points = [];
+        for (let i = 0; i < steps; i++) {
+            const p = GeoMap.destination(subPoint, i * 360 / steps, radiusKm);
+            points.push(this.project(p.lat, p.lon));
+        }
+        return points;
+    }
+
+    drawSite(ctx, site, color, label, labelOffsetY = 4) {
+        const p = this.project(site.lat, site.lon);
+        ctx.fillStyle = color;
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 5, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.stroke();
+        if (label) {
+            ctx.fillStyle = '#333';
+            ctx.font = '11px Arial';
+            ctx.fillText(label, p.x + 7, p.y + labelOffsetY);
+        }
+        return p;
+    }
+
+    drawScaleBar(ctx) {
+        const options = [100, 200, 500, 1000, 2000];
+        const km = options.find(v => v / this.kmPerPx >= 60) || options[options.length - 1];
+        const length = km / this.kmPerPx;
+        const x = 10;
+        const y = this.height - 12;
+
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x + length, y);
+        ctx.stroke();
+        ctx.fillStyle = '#333';
+        ctx.font = '11px Arial';
+        ctx.fillText(`${km} km`, x + length + 5, y + 4);
+    }
+}
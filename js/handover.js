@@ -0,0 +1,312 @@
+// Handover and cell-reselection simulation over the propagated passes. The
+// window is sampled once; each policy walks the same samples and produces an
+// event list with service, interruption and ping-pong statistics.
+//
+// A satellite is usable from the site above its elevation mask: the site's own
+// mask and horizon profile if set, otherwise the `elevation-mask` parameter
+// (default 20°, the former fixed MIN_SERVICE_ELEVATION). The mask also sizes
+// the D1 footprint, so changing it moves coverage exits, CHO triggers and the
+// whole event list, consistently with the coverage map and link budget.
+
+const HANDOVER_POLICIES = {
+    'max-elevation': 'Max Elevation',
+    'max-rsrp': 'Max RSRP (A3 hysteresis + TTT)',
+    'cho-time': 'Conditional HO, time trigger (Rel-17 T1)',
+    'cho-location': 'Conditional HO, location trigger (Rel-17 D1)',
+    'fewest-handovers': 'Fewest Handovers'
+};
+
+const MAX_HANDOVER_SAMPLES = 7200;
+const HANDOVER_PROCESSING_MS = 40; // RRC processing and target downlink sync, before the RACH round trip
+const PING_PONG_WINDOW_SEC = 30; // return to the previous satellite within this stay counts as ping-pong
+
+// Default D1 thresholds as fractions of the footprint radius at the service elevation
+const D1_THRESHOLD_FRACTIONS = { serving: 0.8, candidate: 0.6 };
+
+class HandoverSimulator {
+    static options(params) {
+        return {
+            policy: params['ho-policy'],
+            hysteresisDb: params['ho-hysteresis'],
+            timeToTriggerMs: params['ho-ttt'],
+            choTimeMarginSec: params['cho-time-margin'],
+            d1Threshold1Km: params['cho-d1-threshold1'],
+            d1Threshold2Km: params['cho-d1-threshold2']
+        };
+    }
+
+    // Samples elevation, RSRP, margin, range and nadir distance for every satellite
+    static sample(propagator, params, asset, startTime, durationSec) {
+        const sampling = HandoverSimulator.startSampling(propagator, params, asset, startTime, durationSec);
+        HandoverSimulator.sampleMore(sampling, sampling.times.length);
+        return HandoverSimulator.finishSampling(sampling);
+    }
+
+    // The sampling in resumable form: sampleMore() adds the next `count`
+    // instants of every satellite, so a long window can be spread over tasks
+    static startSampling(propagator, params, asset, startTime, durationSec) {
+        const stepSec = Math.max(1, Math.ceil(durationSec / MAX_HANDOVER_SAMPLES));
+        const count = Math.floor(durationSec / stepSec) + 1;
+        const site = propagator.sites[asset];
+        // A transparent payload cannot serve without a feeder link to the ground gNB
+        const feeder = EndToEndLink.options(params);
+        const gateways = feeder.architecture === 'transparent' ? EndToEndLink.gateways(propagator, feeder) : null;
+        const times = [];
+        for (let k = 0; k < count; k++) times.push(startTime + k * stepSec * 1000);
+
+        const satellites = propagator.satellites.map(sat => (
+            { id: sat.id, name: sat.name, elevation: [], rsrpDbm: [], marginDb: [], rangeKm: [], nadirKm: [], available: [] }));
+        return { propagator, params, asset, site, feeder, gateways, startTime, stepSec, times, satellites, next: 0 };
+    }
+
+    // Returns true once every instant is sampled
+    static sampleMore(sampling, count) {
+        const { propagator, params, asset, site, feeder, gateways, times } = sampling;
+        const end = Math.min(times.length, sampling.next + count);
+
+        sampling.satellites.forEach((track, index) => {
+            const sat = propagator.satellites[index];
+            for (let k = sampling.next; k < end; k++) {
+                const state = propagator.getSatelliteState(index, times[k]);
+                const link = LinkBudget.forSatellite(state, sat, params, propagator.sites)[asset].downlink;
+                track.elevation.push(link.elevation);
+                track.rsrpDbm.push(link.available ? link.rsrpDbm : -Infinity);
+                track.marginDb.push(link.available ? link.marginDb : -Infinity);
+                track.rangeKm.push(link.rangeKm);
+                track.nadirKm.push(OrbitMath.groundDistanceKm(state.subPoint, site));
+                track.available.push(OrbitPropagator.isVisible(params, site, link) &&
+                    (!gateways || EndToEndLink.selectGateway(state, gateways, feeder) !== null));
+            }
+        });
+        sampling.next = end;
+        return end === times.length;
+    }
+
+    static finishSampling(sampling) {
+        const { propagator, params, site, startTime, stepSec, times, satellites } = sampling;
+        const count = times.length;
+        const mask = OrbitPropagator.siteMask(params, site); // without the horizon profile, for the D1 footprint
+        const siteRadiusKm = OrbitMath.norm(OrbitMath.geodeticToEcef(site.lat, site.lon, site.altKm || 0));
+
+        satellites.forEach((track, index) => {
+            // First sample at or after k where the satellite is no longer usable
+            track.exitIndex = new Array(count);
+            let next = count;
+            for (let k = count - 1; k >= 0; k--) {
+                if (!track.available[k]) next = k;
+                track.exitIndex[k] = next;
+            }
+
+            const orbitRadiusKm = OrbitMath.norm(propagator.getSatelliteState(index, startTime).eci.r);
+            track.footprintKm = OrbitMath.centralAngle(mask, siteRadiusKm, orbitRadiusKm) * EARTH.radiusKm;
+        });
+
+        return { times, stepSec, satellites };
+    }
+
+    static run(propagator, params, { asset = 'handheld-device', startTime = propagator.epoch, durationSec } = {}) {
+        const windowSec = durationSec || params['window-duration'] * 60;
+        const samples = HandoverSimulator.sample(propagator, params, asset, startTime, windowSec);
+        return HandoverSimulator.simulate(HandoverSimulator.options(params), asset, samples);
+    }
+
+    // Walks sampled passes with one policy
+    static simulate(options, asset, samples) {
+        const { times, satellites } = samples;
+
+        const events = [];
+        const segments = [];
+        let serving = null;
+        let pending = null;
+
+        const openSegment = (index, k) => {
+            if (segments.length > 0) segments[segments.length - 1].endMs = times[k];
+            segments.push({ satelliteId: index === null ? null : satellites[index].id, startMs: times[k], endMs: times[k] });
+        };
+
+        for (let k = 0; k < times.length; k++) {
+            const candidates = satellites.map((s, i) => i).filter(i => satellites[i].available[k]);
+
+            if (serving === null || !satellites[serving].available[k]) {
+                // Service lost or not yet acquired: pick a new satellite immediately
+                const target = HandoverSimulator.bestCandidate(options.policy, candidates, satellites, k);
+                if (serving !== null && target !== null) {
+                    events.push(HandoverSimulator.event(satellites, serving, target, k, times, 'Coverage exit'));
+                }
+                if (target !== serving || k === 0) openSegment(target, k);
+                serving = target;
+                pending = null;
+                continue;
+            }
+
+            const trigger = HandoverSimulator.evaluate(options, serving, candidates, satellites, k, times);
+            if (!trigger) {
+                pending = null;
+                continue;
+            }
+
+            // Conditions must hold for the time-to-trigger, counted in elapsed time from
+            // the first sample that met them. The handover happens on the first sample
+            // at or after its expiry and carries that sample's measurements, so with
+            // samples a second or more apart any shorter TTT fires on the next one.
+            const needsTtt = options.policy === 'max-rsrp' || options.policy === 'cho-location';
+            if (!pending || pending.target !== trigger.target) pending = { target: trigger.target, sinceMs: times[k] };
+            if (needsTtt && pending.sinceMs + options.timeToTriggerMs > times[k]) continue;
+
+            events.push(HandoverSimulator.event(satellites, serving, trigger.target, k, times, trigger.reason));
+            openSegment(trigger.target, k);
+            serving = trigger.target;
+            pending = null;
+        }
+        segments[segments.length - 1].endMs = times[times.length - 1];
+
+        return HandoverSimulator.summarise({ options, asset, samples, events, segments });
+    }
+
+    // Satellite chosen when the UE has to (re)select without a policy trigger
+    static bestCandidate(policy, candidates, satellites, k) {
+        if (candidates.length === 0) return null;
+
+        const score = {
+            'max-elevation': i => satellites[i].elevation[k],
+            'max-rsrp': i => satellites[i].rsrpDbm[k],
+            'cho-location': i => -satellites[i].nadirKm[k],
+            'cho-time': i => satellites[i].exitIndex[k] + satellites[i].elevation[k] / 1000,
+            'fewest-handovers': i => satellites[i].exitIndex[k] + satellites[i].elevation[k] / 1000
+        }[policy];
+
+        return candidates.reduce((best, i) => score(i) > score(best) ? i : best, candidates[0]);
+    }
+
+    // Policy-specific handover condition while the serving satellite is still usable
+    static evaluate(options, serving, candidates, satellites, k, times) {
+        const others = candidates.filter(i => i !== serving);
+        if (others.length === 0) return null;
+        const current = satellites[serving];
+
+        switch (options.policy) {
+            case 'max-elevation': {
+                const best = HandoverSimulator.bestCandidate('max-elevation', others, satellites, k);
+                return satellites[best].elevation[k] > current.elevation[k]
+                    ? { target: best, reason: 'Higher elevation' }
+                    : null;
+            }
+            case 'max-rsrp': {
+                const best = HandoverSimulator.bestCandidate('max-rsrp', others, satellites, k);
+                return satellites[best].rsrpDbm[k] > current.rsrpDbm[k] + options.hysteresisDb
+                    ? { target: best, reason: 'A3: neighbour RSRP + hysteresis' }
+                    : null;
+            }
+            case 'cho-time': {
+                // T1 fires a margin before the serving satellite's predicted end of service
+                const exitTime = current.exitIndex[k] < times.length ? times[current.exitIndex[k]] : Infinity;
+                if (times[k] < exitTime - options.choTimeMarginSec * 1000) return null;
+                const best = HandoverSimulator.bestCandidate('cho-time', others, satellites, k);
+                return satellites[best].exitIndex[k] > current.exitIndex[k]
+                    ? { target: best, reason: 'T1: service end time' }
+                    : null;
+            }
+            case 'cho-location': {
+                const threshold1 = options.d1Threshold1Km !== null ? options.d1Threshold1Km : current.footprintKm * D1_THRESHOLD_FRACTIONS.serving;
+                if (current.nadirKm[k] <= threshold1) return null;
+                const inRange = others.filter(i => {
+                    const threshold2 = options.d1Threshold2Km !== null ? options.d1Threshold2Km : satellites[i].footprintKm * D1_THRESHOLD_FRACTIONS.candidate;
+                    return satellites[i].nadirKm[k] < threshold2;
+                });
+                return inRange.length > 0
+                    ? { target: HandoverSimulator.bestCandidate('cho-location', inRange, satellites, k), reason: 'D1: distance to cell reference' }
+                    : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    static event(satellites, from, to, k, times, reason) {
+        const source = satellites[from];
+        const target = satellites[to];
+
+        return {
+            timeMs: times[k],
+            fromId: source.id,
+            toId: target.id,
+            reason,
+            sourceElevation: source.elevation[k],
+            targetElevation: target.elevation[k],
+            sourceRsrpDbm: source.rsrpDbm[k],
+            targetRsrpDbm: target.rsrpDbm[k],
+            // Random access to the target costs one service-link round trip
+            interruptionMs: HANDOVER_PROCESSING_MS + 2 * target.rangeKm[k] / SPEED_OF_LIGHT * 1000,
+            success: target.marginDb[k] >= 0,
+            pingPong: false
+        };
+    }
+
+    static summarise({ options, asset, samples, events, segments }) {
+        const { times, stepSec, satellites } = samples;
+
+        events.forEach((event, i) => {
+            const previous = events[i - 1];
+            event.pingPong = !!previous && event.toId === previous.fromId &&
+                (event.timeMs - previous.timeMs) / 1000 <= PING_PONG_WINDOW_SEC;
+        });
+
+        const serviceTimeSec = {};
+        satellites.forEach(s => { serviceTimeSec[s.id] = 0; });
+        let outageSec = 0;
+        segments.forEach(segment => {
+            const duration = (segment.endMs - segment.startMs) / 1000;
+            if (segment.satelliteId === null) outageSec += duration;
+            else serviceTimeSec[segment.satelliteId] += duration;
+        });
+
+        const totalInterruptionMs = events.reduce((sum, e) => sum + e.interruptionMs, 0);
+        const served = segments.filter(s => s.satelliteId !== null);
+
+        return {
+            policy: options.policy,
+            options,
+            asset,
+            startTime: times[0],
+            endTime: times[times.length - 1],
+            stepSec,
+            events,
+            segments,
+            serviceTimeSec,
+            outageSec,
+            handoverCount: events.length,
+            successRate: events.length > 0 ? events.filter(e => e.success).length / events.length : null,
+            pingPongCount: events.filter(e => e.pingPong).length,
+            totalInterruptionMs,
+            meanInterruptionMs: events.length > 0 ? totalInterruptionMs / events.length : 0,
+            meanServiceTimeSec: served.length > 0
+                ? served.reduce((sum, s) => sum + (s.endMs - s.startMs) / 1000, 0) / served.length
+                : 0
+        };
+    }
+
+    static servingAt(result, timeMs) {
+        const segment = result.segments.find(s => timeMs >= s.startMs && timeMs < s.endMs) ||
+            result.segments[result.segments.length - 1];
+        return segment ? segment.satelliteId : null;
+    }
+
+    // Table rows of an event list, shared by the performance and handover detail pages
+    static eventRowsHtml(events) {
+        if (events.length === 0) return '<tr><td colspan="7">No handovers in the simulation window</td></tr>';
+
+        const rsrp = (value) => isFinite(value) ? value.toFixed(1) : '—';
+        return events.map(event => {
+            const rowClass = [event.success ? '' : 'failed', event.pingPong ? 'ping-pong' : ''].join(' ').trim();
+            return `<tr class="${rowClass}">
+                <td>${new Date(event.timeMs).toISOString().slice(11, 19)}</td>
+                <td>Sat ${event.fromId} → Sat ${event.toId}</td>
+                <td>${event.reason}</td>
+                <td>${event.sourceElevation.toFixed(1)}° / ${event.targetElevation.toFixed(1)}°</td>
+                <td>${rsrp(event.sourceRsrpDbm)} / ${rsrp(event.targetRsrpDbm)}</td>
+                <td>${event.interruptionMs.toFixed(1)}</td>
+                <td>${event.success ? 'Success' : 'Failure'}${event.pingPong ? ' (ping-pong)' : ''}</td>
+            </tr>`;
+        }).join('');
+    }
+}
@@ -0,0 +1,215 @@
+// Offline ITU-R propagation models for the slant path: rain (P.618-13 §2.2.1.1
+// with P.838-3 coefficients), gaseous absorption (P.676 Annex 2), cloud
+// (P.840) and tropospheric scintillation (P.618 §2.4.1), combined as in
+// P.618 §2.5, plus ionospheric scintillation (P.531). Climate statistics are
+// embedded for Northern Taiwan and applied to every site; losses are the
+// values exceeded for the selected percentage of an average year.
+
+// Northern Taiwan (Taipei basin) climate from the ITU-R digital maps
+const TAIWAN_CLIMATE = {
+    rainRate001: 105, // P.837 rain rate exceeded 0.01% of the year (mm/h)
+    isothermHeightKm: 4.9, // P.839 mean 0 °C isotherm height
+    temperatureC: 23, // P.1510 mean surface temperature
+    pressureHpa: 1010,
+    waterVapourDensity: 17.5, // P.836 surface water vapour density (g/m³)
+    wetRefractivity: 110, // P.453 median wet term of surface refractivity (N-units)
+    cloudLiquid1: 1.4, // P.840 reduced columnar cloud liquid water exceeded 1% of the year (kg/m²)
+    // P.531 S4 at 1.5 GHz by exceedance (%); Taiwan sits under the northern
+    // crest of the equatorial ionisation anomaly
+    s4At1500MHz: [[0.01, 0.6], [0.1, 0.4], [1, 0.25]]
+};
+
+// P.838-3 Table 5: frequency (GHz), kH, αH, kV, αV
+const RAIN_COEFFICIENTS = [
+    [1, 0.0000259, 0.9691, 0.0000308, 0.8592],
+    [2, 0.0000847, 1.0664, 0.0000998, 0.9490],
+    [4, 0.0001071, 1.6009, 0.0002461, 1.2476],
+    [6, 0.0007056, 1.5900, 0.0004878, 1.5728],
+    [7, 0.001915, 1.4810, 0.001425, 1.4745],
+    [8, 0.004115, 1.3905, 0.003450, 1.3797],
+    [10, 0.01217, 1.2571, 0.01129, 1.2156],
+    [12, 0.02386, 1.1825, 0.02455, 1.1216],
+    [15, 0.04481, 1.1233, 0.05008, 1.0440],
+    [20, 0.09164, 1.0568, 0.09611, 0.9847],
+    [25, 0.1571, 0.9991, 0.1533, 0.9491],
+    [30, 0.2403, 0.9485, 0.2291, 0.9129],
+    [35, 0.3374, 0.9047, 0.3224, 0.8761],
+    [40, 0.4431, 0.8673, 0.4274, 0.8421],
+    [50, 0.6600, 0.8084, 0.6472, 0.7871]
+];
+
+const EXCEEDANCE_OPTIONS = [0.01, 0.1, 1];
+const DEFAULT_EXCEEDANCE = 1;
+const MIN_PATH_ELEVATION = 5; // the slant-path models are not defined below 5°
+const SCINTILLATION_ANTENNA_EFFICIENCY = 0.5;
+
+const rainCoefficientCache = new Map();
+const specificAttenuationCache = new Map();
+
+class ItuPropagation {
+    // Percentage of an average year the losses are exceeded
+    static exceedance(params) {
+        return params['propagation-exceedance'];
+    }
+
+    static interpolateLog(table, p) {
+        const points = table.map(([x, y]) => [Math.log10(x), y]);
+        return LinkBudget.interpolate(points, Math.log10(p));
+    }
+
+    // P.838-3 k and α for circular polarisation (τ = 45°), interpolated on log f
+    static rainCoefficients(frequencyGHz) {
+        if (rainCoefficientCache.has(frequencyGHz)) return rainCoefficientCache.get(frequencyGHz);
+        const logF = Math.log10(frequencyGHz);
+        const column = (i) => RAIN_COEFFICIENTS.map(row => [Math.log10(row[0]), i % 2 === 1 ? Math.log10(row[i]) : row[i]]);
+        const kH = 10 ** LinkBudget.interpolate(column(1), logF);
+        const aH = LinkBudget.interpolate(column(2), logF);
+        const kV = 10 ** LinkBudget.interpolate(column(3), logF);
+        const aV = LinkBudget.interpolate(column(4), logF);
+        const k = (kH + kV) / 2;
+        const result = { k, alpha: (kH * aH + kV * aV) / (2 * k) };
+        rainCoefficientCache.set(frequencyGHz, result);
+        return result;
+    }
+
+    // P.618-13 §2.2.1.1 rain attenuation exceeded for p% of the year
+    static rainAttenuation(elevationDeg, frequencyGHz, p, site = {}) {
+        const c = TAIWAN_CLIMATE;
+        const theta = Math.max(MIN_PATH_ELEVATION, elevationDeg) * DEG;
+        const latitude = Math.abs(site.lat !== undefined ? site.lat : 25);
+        const hs = Math.max(0, site.altKm || 0);
+        const hR = c.isothermHeightKm + 0.36;
+        if (hR <= hs) return 0;
+
+        const slantKm = (hR - hs) / Math.sin(theta);
+        const horizontalKm = slantKm * Math.cos(theta);
+        const { k, alpha } = ItuPropagation.rainCoefficients(frequencyGHz);
+        const gamma = k * c.rainRate001 ** alpha;
+
+        const r001 = 1 / (1 + 0.78 * Math.sqrt(horizontalKm * gamma / frequencyGHz) - 0.38 * (1 - Math.exp(-2 * horizontalKm)));
+        const zeta = Math.atan((hR - hs) / (horizontalKm * r001));
+        const lengthKm = zeta > theta ? horizontalKm * r001 / Math.cos(theta) : (hR - hs) / Math.sin(theta);
+        const chi = latitude < 36 ? 36 - latitude : 0;
+        const v001 = 1 / (1 + Math.sqrt(Math.sin(theta)) *
+            (31 * (1 - Math.exp(-(theta / DEG) / (1 + chi))) * Math.sqrt(lengthKm * gamma) / frequencyGHz ** 2 - 0.45));
+        const a001 = gamma * lengthKm * v001;
+        if (a001 <= 0) return 0;
+
+        let beta = 0;
+        if (p < 1 && latitude < 36) {
+            beta = -0.005 * (latitude - 36);
+            if (theta / DEG < 25) beta += 1.8 - 4.25 * Math.sin(theta);
+        }
+        const exponent = 0.655 + 0.033 * Math.log(p) - 0.045 * Math.log(a001) - beta * (1 - p) * Math.sin(theta);
+        return a001 * (p / 0.01) ** -exponent;
+    }
+
+    // P.676 Annex 2 specific attenuation (dB/km) of dry air and water vapour
+    static specificGaseous(frequencyGHz) {
+        if (specificAttenuationCache.has(frequencyGHz)) return specificAttenuationCache.get(frequencyGHz);
+        const c = TAIWAN_CLIMATE;
+        const f = Math.min(frequencyGHz, 54);
+        const rp = c.pressureHpa / 1013;
+        const rt = 288 / (273 + c.temperatureC);
+        const rho = c.waterVapourDensity;
+        const phi = (a, b, cc, d) => rp ** a * rt ** b * Math.exp(cc * (1 - rp) + d * (1 - rt));
+
+        const xi1 = phi(0.0717, -1.8132, 0.0156, -1.6515);
+        const xi2 = phi(0.5146, -4.6368, -0.1921, -5.7416);
+        const xi3 = phi(0.3414, -6.5851, 0.2130, -8.5854);
+        const oxygen = (7.2 * rt ** 2.8 / (f * f + 0.34 * rp * rp * rt ** 1.6) +
+            0.62 * xi3 / ((54 - f) ** (1.16 * xi1) + 0.83 * xi2)) * f * f * rp * rp * 1e-3;
+
+        const eta1 = 0.955 * rp * rt ** 0.68 + 0.006 * rho;
+        const eta2 = 0.735 * rp * rt ** 0.5 + 0.0353 * rt ** 4 * rho;
+        const g = (fi) => 1 + ((f - fi) / (f + fi)) ** 2;
+        const line = (strength, eta, fi, width, decay) =>
+            strength * eta * Math.exp(decay * (1 - rt)) / ((f - fi) ** 2 + width * eta * eta);
+        const water = (line(3.98, eta1, 22.235, 9.42, 2.23) * g(22) +
+            line(11.96, eta1, 183.31, 11.14, 0.7) +
+            line(0.081, eta1, 321.226, 6.29, 6.44) +
+            line(3.66, eta1, 325.153, 9.22, 1.6) +
+            line(25.37, eta1, 380, 0, 1.09) +
+            line(17.4, eta1, 448, 0, 1.46) +
+            line(844.6, eta1, 557, 0, 0.17) * g(557) +
+            line(290, eta1, 752, 0, 0.41) * g(752) +
+            line(8.3328e4, eta2, 1780, 0, 0.99) * g(1780)) * f * f * rt ** 2.5 * rho * 1e-4;
+
+        // Equivalent heights (km) of the two absorbers
+        const t1 = 4.64 / (1 + 0.066 * rp ** -2.3) * Math.exp(-(((f - 59.7) / (2.87 + 12.4 * Math.exp(-7.9 * rp))) ** 2));
+        const t2 = 0.14 * Math.exp(2.12 * rp) / ((f - 118.75) ** 2 + 0.031 * Math.exp(2.2 * rp));
+        const t3 = 0.0114 / (1 + 0.14 * rp ** -2.6) * f * (-0.0247 + 0.0001 * f + 1.61e-6 * f * f) /
+            (1 - 0.0169 * f + 4.1e-5 * f * f + 3.2e-7 * f ** 3);
+        const oxygenHeightKm = Math.min(10.7 * rp ** 0.3, 6.1 / (1 + 0.17 * rp ** -1.1) * (1 + t1 + t2 + t3));
+        const sigma = 1.013 / (1 + Math.exp(-8.6 * (rp - 0.57)));
+        const waterHeightKm = 1.66 * (1 + 1.39 * sigma / ((f - 22.235) ** 2 + 2.56 * sigma) +
+            3.37 * sigma / ((f - 183.31) ** 2 + 4.69 * sigma) + 1.58 * sigma / ((f - 325.1) ** 2 + 2.89 * sigma));
+
+        const result = { oxygen, water, zenithDb: oxygen * oxygenHeightKm + water * waterHeightKm };
+        specificAttenuationCache.set(frequencyGHz, result);
+        return result;
+    }
+
+    static gaseousAttenuation(elevationDeg, frequencyGHz) {
+        return ItuPropagation.specificGaseous(frequencyGHz).zenithDb / Math.sin(Math.max(MIN_PATH_ELEVATION, elevationDeg) * DEG);
+    }
+
+    // P.840 cloud attenuation from the double-Debye permittivity of water at 0 °C;
+    // P.618 §2.5 holds it at its 1% value for rarer percentages
+    static cloudAttenuation(elevationDeg, frequencyGHz) {
+        const theta = 300 / 273.15;
+        const e0 = 77.66 + 103.3 * (theta - 1);
+        const e1 = 0.0671 * e0;
+        const e2 = 3.52;
+        const fp = 20.20 - 146 * (theta - 1) + 316 * (theta - 1) ** 2;
+        const fs = 39.8 * fp;
+        const f = frequencyGHz;
+        const ei = f * (e0 - e1) / (fp * (1 + (f / fp) ** 2)) + f * (e1 - e2) / (fs * (1 + (f / fs) ** 2));
+        const er = (e0 - e1) / (1 + (f / fp) ** 2) + (e1 - e2) / (1 + (f / fs) ** 2) + e2;
+        const eta = (2 + er) / ei;
+        const kl = 0.819 * f / (ei * (1 + eta * eta));
+        return TAIWAN_CLIMATE.cloudLiquid1 * kl / Math.sin(Math.max(MIN_PATH_ELEVATION, elevationDeg) * DEG);
+    }
+
+    // P.618 §2.4.1 tropospheric scintillation fade exceeded for p% of the time
+    static troposphericScintillation(elevationDeg, frequencyGHz, p, antennaDiameterM = 0) {
+        const theta = Math.max(MIN_PATH_ELEVATION, elevationDeg) * DEG;
+        const sigmaRef = 3.6e-3 + 1e-4 * TAIWAN_CLIMATE.wetRefractivity;
+        const pathM = 2 * 1000 / (Math.sqrt(Math.sin(theta) ** 2 + 2.35e-4) + Math.sin(theta));
+        const effectiveDiameterM = Math.sqrt(SCINTILLATION_ANTENNA_EFFICIENCY) * antennaDiameterM;
+        const x = 1.22 * effectiveDiameterM ** 2 * frequencyGHz / pathM;
+        const averaging = Math.sqrt(Math.max(0, 3.86 * (x * x + 1) ** (11 / 12) * Math.sin(11 / 6 * Math.atan2(1, x)) - 7.08 * x ** (5 / 6)));
+        const sigma = sigmaRef * frequencyGHz ** (7 / 12) * averaging / Math.sin(theta) ** 1.2;
+        const logP = Math.log10(Math.max(0.01, Math.min(50, p)));
+        const a = -0.061 * logP ** 3 + 0.072 * logP ** 2 - 1.71 * logP + 3.0;
+        return a * sigma;
+    }
+
+    // P.531 ionospheric scintillation: S4 falls as f^-1.5 and the peak-to-peak
+    // fluctuation is about 27.5·S4^1.26 dB; the fade is half of it
+    static ionosphericScintillation(frequencyGHz, p) {
+        const s4 = Math.min(1, ItuPropagation.interpolateLog(TAIWAN_CLIMATE.s4At1500MHz, p) * (frequencyGHz / 1.5) ** -1.5);
+        return 27.5 * s4 ** 1.26 / 2;
+    }
+
+    // Every term of the slant path, with the P.618 §2.5 tropospheric total
+    static slantPath({ elevationDeg, frequencyMHz, exceedancePercent = DEFAULT_EXCEEDANCE, site = {}, antennaDiameterM = 0 }) {
+        const f = frequencyMHz / 1000;
+        const p = exceedancePercent;
+        const gaseousDb = ItuPropagation.gaseousAttenuation(elevationDeg, f);
+        const rainDb = ItuPropagation.rainAttenuation(elevationDeg, f, p, site);
+        const cloudDb = ItuPropagation.cloudAttenuation(elevationDeg, f);
+        const tropoScintillationDb = ItuPropagation.troposphericScintillation(elevationDeg, f, p, antennaDiameterM);
+        const ionosphericDb = ItuPropagation.ionosphericScintillation(f, p);
+
+        return {
+            exceedancePercent: p,
+            gaseousDb,
+            rainDb,
+            cloudDb,
+            tropoScintillationDb,
+            troposphericDb: gaseousDb + Math.sqrt((rainDb + cloudDb) ** 2 + tropoScintillationDb ** 2),
+            ionosphericDb
+        };
+    }
+}
@@ -0,0 +1,260 @@
+// Per-satellite, per-link budget following the methodology of 3GPP TR 38.821
+// (§6.1.3) with shadow fading from TR 38.811 (§6.6) and atmospheric terms from
+// the ITU-R models in itu-propagation.js. Every term depends on the
+// instantaneous slant range and elevation, so budgets change as the
+// satellites move.
+
+const BOLTZMANN_DBW = -228.6; // dBW/K/Hz
+
+// TR 38.811 Table 6.6.2-1/3 LOS shadow fading std-dev (dB), suburban/rural,
+// at elevations 10°, 20°, ... 90°
+const SHADOW_FADING_SIGMA = {
+    S: [1.79, 1.14, 1.14, 0.92, 1.42, 1.56, 0.85, 0.72, 0.72],
+    Ka: [1.9, 1.6, 1.9, 2.3, 2.7, 3.1, 3.0, 3.6, 0.4]
+};
+
+const SHADOW_MARGIN_QUANTILE = 1.28; // 90 % location probability
+
+class LinkBudget {
+    static interpolate(table, x) {
+        if (x <= table[0][0]) return table[0][1];
+        for (let i = 1; i < table.length; i++) {
+            if (x <= table[i][0]) {
+                const [x0, y0] = table[i - 1];
+                const [x1, y1] = table[i];
+                return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+            }
+        }
+        return table[table.length - 1][1];
+    }
+
+    static byElevation(values, elevationDeg) {
+        const table = values.map((value, i) => [10 * (i + 1), value]);
+        return LinkBudget.interpolate(table, elevationDeg);
+    }
+
+    // TR 38.811 eq. 6.6-2, distance in km
+    static fspl(rangeKm, frequencyMHz) {
+        return 32.45 + 20 * Math.log10(frequencyMHz / 1000) + 20 * Math.log10(rangeKm * 1000);
+    }
+
+    static shadowFadingMargin(elevationDeg, frequencyMHz) {
+        return SHADOW_MARGIN_QUANTILE * LinkBudget.byElevation(SHADOW_FADING_SIGMA[RfProfiles.band(frequencyMHz)], elevationDeg);
+    }
+
+    static noisePowerDbw(temperatureK, bandwidthHz) {
+        return BOLTZMANN_DBW + 10 * Math.log10(temperatureK) + 10 * Math.log10(bandwidthHz);
+    }
+
+    static dishGainDbi(diameterM, efficiency, frequencyMHz) {
+        const wavelengthM = SPEED_OF_LIGHT * 1000 / (frequencyMHz * 1e6);
+        return 10 * Math.log10(efficiency * (Math.PI * diameterM / wavelengthM) ** 2);
+    }
+
+    // Bessel function of the first kind, order 1 (Numerical Recipes rational approximation)
+    static besselJ1(x) {
+        const ax = Math.abs(x);
+        if (ax < 8) {
+            const y = x * x;
+            const num = x * (72362614232.0 + y * (-7895059235.0 + y * (242396853.1 +
+                y * (-2972611.439 + y * (15704.48260 + y * (-30.16036606))))));
+            const den = 144725228442.0 + y * (2300535178.0 + y * (18583304.74 +
+                y * (99447.43394 + y * (376.9991397 + y))));
+            return num / den;
+        }
+        const z = 8 / ax;
+        const y = z * z;
+        const xx = ax - 2.356194491;
+        const p = 1 + y * (0.183105e-2 + y * (-0.3516396496e-4 + y * (0.2457520174e-5 + y * (-0.240337019e-6))));
+        const q = 0.04687499995 + y * (-0.2002690873e-3 + y * (0.8449199096e-5 + y * (-0.88228987e-6 + y * 0.105787412e-6)));
+        const ans = Math.sqrt(0.636619772 / ax) * (Math.cos(xx) * p - z * Math.sin(xx) * q);
+        return x < 0 ? -ans : ans;
+    }
+
+    // Relative gain (dB, <= 0) of the payload antenna at `offAxisDeg` from boresight
+    // for a beam whose half-power half-width is `halfPowerDeg` (TR 38.811 §6.4.1)
+    static patternGainDb(pattern, offAxisDeg, halfPowerDeg) {
+        if (pattern === 'isotropic' || offAxisDeg <= 0) return 0;
+        if (pattern === 'gaussian') {
+            return -3 * (offAxisDeg / halfPowerDeg) ** 2;
+        }
+
+        // Circular aperture: 4|J1(ka sin θ)/(ka sin θ)|², ka chosen for -3 dB at the half-width
+        const ka = 1.6163 / Math.sin(halfPowerDeg * DEG);
+        const u = ka * Math.sin(offAxisDeg * DEG);
+        const gain = 4 * (LinkBudget.besselJ1(u) / u) ** 2;
+        return Math.max(-40, 10 * Math.log10(Math.max(gain, 1e-4)));
+    }
+
+    // Off-nadir angle at the satellite towards a ground point seen at `elevationDeg`
+    static nadirAngle(elevationDeg, orbitRadiusKm) {
+        return Math.asin(Math.min(1, EARTH.radiusKm / orbitRadiusKm * Math.cos(elevationDeg * DEG))) / DEG;
+    }
+
+    // A single-beam payload points one nadir beam whose half-power edge sits on the
+    // minimum service elevation contour; multi-beam payloads serve the site from
+    // the spot beam of their layout pointing closest to it.
+    static payloadAntennaLossDb(payload, state, site, frequencyMHz, layout = null) {
+        if (payload.beamCount > 1) {
+            const beams = layout || BeamLayout.forSatellite(state, payload, frequencyMHz);
+            return -BeamLayout.nearestBeamGainDb(beams, OrbitMath.geodeticToEcef(site.lat, site.lon, site.altKm || 0));
+        }
+        const orbitRadiusKm = OrbitMath.norm(state.ecef.r);
+        const offAxis = LinkBudget.nadirAngle(OrbitMath.lookAngles(state.ecef, site).elevation, orbitRadiusKm);
+        const halfPower = LinkBudget.nadirAngle(MIN_SERVICE_ELEVATION, orbitRadiusKm);
+        return -LinkBudget.patternGainDb(payload.antennaPattern, offAxis, halfPower);
+    }
+
+    // Antenna gain, EIRP and G/T of a ground terminal at the given frequency
+    static terminalRf(terminal, frequencyMHz) {
+        const gainDbi = terminal.dishDiameterM
+            ? LinkBudget.dishGainDbi(terminal.dishDiameterM, terminal.dishEfficiency, frequencyMHz)
+            : terminal.antennaGainDbi;
+        let temperatureK = terminal.antennaTemperatureK + 290 * (10 ** (terminal.noiseFigureDb / 10) - 1);
+        let gOverTDbK = gainDbi - 10 * Math.log10(temperatureK);
+
+        // An explicit G/T overrides the dish-derived value by adjusting the noise temperature
+        if (terminal.gOverTOverrideDbK !== null && terminal.gOverTOverrideDbK !== undefined) {
+            gOverTDbK = terminal.gOverTOverrideDbK;
+            temperatureK = 10 ** ((gainDbi - gOverTDbK) / 10);
+        }
+
+        return {
+            gainDbi,
+            eirpDbw: terminal.txPowerDbm - 30 + gainDbi,
+            temperatureK,
+            gOverTDbK
+        };
+    }
+
+    // Budget of one link direction; `look` is the topocentric geometry of the satellite
+    // seen from `site`, and atmospheric losses are those exceeded `exceedancePercent`
+    // of the year
+    static compute({ direction, look, frequencyMHz, bandwidthMHz, terminal, payload, antennaLossDb = 0, site = {}, exceedancePercent = DEFAULT_EXCEEDANCE }) {
+        if (look.elevation < 0) {
+            return { direction, available: false, elevation: look.elevation, azimuth: look.azimuth, rangeKm: look.rangeKm };
+        }
+
+        const rf = LinkBudget.terminalRf(terminal, frequencyMHz);
+        const downlink = direction === 'downlink';
+        if (!downlink && terminal.uplinkBandwidthMHz) {
+            bandwidthMHz = Math.min(bandwidthMHz, terminal.uplinkBandwidthMHz);
+        }
+        const bandwidthHz = bandwidthMHz * 1e6;
+
+        const eirpDbw = downlink ? payload.eirpDensityDbwMhz + 10 * Math.log10(bandwidthMHz) : rf.eirpDbw;
+        const gOverTDbK = downlink ? rf.gOverTDbK : payload.gOverTDbK;
+
+        const fsplDb = LinkBudget.fspl(look.rangeKm, frequencyMHz);
+        const atmosphere = ItuPropagation.slantPath({
+            elevationDeg: look.elevation,
+            frequencyMHz,
+            exceedancePercent,
+            site,
+            antennaDiameterM: terminal.dishDiameterM || 0
+        });
+        const atmosphericLossDb = atmosphere.troposphericDb;
+        const shadowMarginDb = LinkBudget.shadowFadingMargin(look.elevation, frequencyMHz);
+        const scintillationLossDb = atmosphere.ionosphericDb;
+        const polarizationLossDb = terminal.polarizationLossDb;
+        const totalLossDb = fsplDb + atmosphericLossDb + shadowMarginDb + scintillationLossDb + polarizationLossDb + antennaLossDb;
+
+        // C/N = EIRP - L + G/T - k - B
+        const cnDb = eirpDbw - totalLossDb + gOverTDbK - BOLTZMANN_DBW - 10 * Math.log10(bandwidthHz);
+
+        // Receiver noise floor, and received power per 15 kHz resource element (RSRP on the downlink)
+        const noiseTemperatureK = downlink ? rf.temperatureK : payload.systemTemperatureK;
+        const noisePowerDbw = LinkBudget.noisePowerDbw(noiseTemperatureK, bandwidthHz);
+        const rxPowerDbw = noisePowerDbw + cnDb;
+        const resourceElements = Math.max(1, Math.floor(bandwidthMHz * 1000 / 180)) * 12;
+        const rsrpDbm = rxPowerDbw + 30 - 10 * Math.log10(resourceElements);
+        const sensitivityDbm = noisePowerDbw + 30 + terminal.requiredSnrDb;
+
+        return {
+            direction,
+            available: true,
+            elevation: look.elevation,
+            azimuth: look.azimuth,
+            rangeKm: look.rangeKm,
+            bandwidthMHz,
+            eirpDbw,
+            txPowerDbm: downlink ? eirpDbw + 30 : terminal.txPowerDbm,
+            fsplDb,
+            exceedancePercent,
+            gaseousLossDb: atmosphere.gaseousDb,
+            rainLossDb: atmosphere.rainDb,
+            cloudLossDb: atmosphere.cloudDb,
+            tropoScintillationDb: atmosphere.tropoScintillationDb,
+            atmosphericLossDb,
+            shadowMarginDb,
+            scintillationLossDb,
+            polarizationLossDb,
+            antennaLossDb,
+            totalLossDb,
+            gOverTDbK,
+            noiseTemperatureK,
+            noisePowerDbw,
+            cnDb,
+            snrDb: cnDb,
+            rxPowerDbw,
+            rsrpDbm,
+            sensitivityDbm,
+            marginDb: cnDb - terminal.requiredSnrDb
+        };
+    }
+
+    // Uplink and downlink budgets towards every ground asset for one satellite state;
+    // `sites` must be the propagator's, whose look angles the state carries
+    static forSatellite(state, sat, params, sites = GROUND_ASSETS) {
+        const frequencyMHz = params.frequency;
+        const bandwidthMHz = params.bandwidth;
+        const payload = RfProfiles.payload(params, sat, frequencyMHz);
+        const terminals = RfProfiles.terminals(params);
+        const layout = payload.beamCount > 1 ? BeamLayout.forSatellite(state, payload, frequencyMHz, sites[BEAM_CLUSTER_SITE]) : null;
+        const exceedancePercent = ItuPropagation.exceedance(params);
+        const result = {};
+
+        Object.keys(terminals).forEach(asset => {
+            const look = state.look[asset];
+            const antennaLossDb = look.elevation >= 0 ? LinkBudget.payloadAntennaLossDb(payload, state, sites[asset], frequencyMHz, layout) : 0;
+            const common = { look, frequencyMHz, bandwidthMHz, terminal: terminals[asset], payload, antennaLossDb, site: sites[asset], exceedancePercent };
+            result[asset] = {
+                downlink: LinkBudget.compute({ ...common, direction: 'downlink' }),
+                uplink: LinkBudget.compute({ ...common, direction: 'uplink' })
+            };
+        });
+
+        return result;
+    }
+
+    // Handheld downlink towards an arbitrary ground point, for coverage maps;
+    // pass `antennaLossDb` to replace the payload pattern loss (e.g. 0 for beam-peak power)
+    static downlinkAt(state, sat, params, site, antennaLossDb = null) {
+        const frequencyMHz = params.frequency;
+        const bandwidthMHz = params.bandwidth;
+        const payload = RfProfiles.payload(params, sat, frequencyMHz);
+        const look = OrbitMath.lookAngles(state.ecef, site);
+        if (antennaLossDb === null) {
+            antennaLossDb = look.elevation >= 0 ? LinkBudget.payloadAntennaLossDb(payload, state, site, frequencyMHz) : 0;
+        }
+
+        return LinkBudget.compute({
+            direction: 'downlink',
+            look,
+            frequencyMHz,
+            bandwidthMHz,
+            terminal: RfProfiles.handheld(params),
+            payload,
+            antennaLossDb,
+            site,
+            exceedancePercent: ItuPropagation.exceedance(params)
+        });
+    }
+
+    static forAllSatellites(propagator, timeMs, params) {
+        return propagator.getAllStates(timeMs).map((state, index) => ({
+            state,
+            links: LinkBudget.forSatellite(state, propagator.satellites[index], params, propagator.sites)
+        }));
+    }
+}
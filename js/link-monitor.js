@@ -0,0 +1,89 @@
+// Link telemetry of the handheld for the monitoring view: end-to-end latency,
+// serving satellite, link margin and RRC state per clock step, taken from the
+// serving link through the seeded channel and the handover run, and the events
+// where a KPI crosses its alert threshold or the serving cell or state changes.
+
+const RRC_STATES = {
+    connected: 'RRC_CONNECTED',
+    handover: 'Handover',
+    reestablishment: 'Re-establishment',
+    idle: 'RRC_IDLE'
+};
+
+class LinkMonitor {
+    // Telemetry at `timeMs`; `link` is EndToEndLink.servingLink and the RRC state
+    // reflects the handovers of the step that ends here
+    static sample(link, handover, timeMs, stepMs) {
+        const events = handover.events.filter(e => e.timeMs > timeMs - stepMs && e.timeMs <= timeMs);
+        let rrcState = 'idle';
+        if (link.serving) {
+            if (events.some(e => !e.success)) rrcState = 'reestablishment';
+            else rrcState = events.length > 0 ? 'handover' : 'connected';
+        }
+
+        return {
+            timeMs,
+            satelliteId: link.serving ? link.satelliteId : null,
+            latencyMs: link.serving && link.endToEnd.oneWayLatencyMs !== null ? link.endToEnd.oneWayLatencyMs : null,
+            // The budget margin moved by the channel realisation, like the SNR
+            marginDb: link.serving ? link.serving.link.marginDb + link.snr - link.serving.link.snrDb : null,
+            rrcState
+        };
+    }
+
+    // Threshold crossings and changes between consecutive samples. `before` is
+    // the sample preceding the first one, null at the start of the simulation.
+    // A KPI is compared with its last value, so a recovery during an outage is
+    // logged when the value returns; a KPI past its threshold on its first
+    // value, or on the first one after an outage, raises the alert as well
+    static events(samples, thresholds, before = null) {
+        const log = [];
+        const push = (timeMs, kpi, level, message) => log.push({ timeMs, kpi, level, message });
+        const kpis = [
+            {
+                kpi: 'latency',
+                level: 'warning',
+                value: s => s.latencyMs,
+                past: v => v > thresholds.latencyMs,
+                alert: v => `Latency ${v.toFixed(1)} ms above ${thresholds.latencyMs} ms`,
+                recovery: v => `Latency back to ${v.toFixed(1)} ms`
+            },
+            {
+                kpi: 'margin',
+                level: 'error',
+                value: s => s.marginDb,
+                past: v => v < thresholds.marginDb,
+                alert: v => `Link margin ${v.toFixed(1)} dB below ${thresholds.marginDb} dB`,
+                recovery: v => `Link margin back to ${v.toFixed(1)} dB`
+            }
+        ];
+        // Whether each KPI's last value was past its threshold
+        const alerting = kpis.map(k => before !== null && k.value(before) !== null && k.past(k.value(before)));
+
+        for (let i = 0; i < samples.length; i++) {
+            const previous = i > 0 ? samples[i - 1] : before;
+            const current = samples[i];
+            const t = current.timeMs;
+
+            kpis.forEach((k, j) => {
+                const v = k.value(current);
+                if (v === null) return;
+                const afterGap = previous === null || k.value(previous) === null;
+                if (k.past(v) && (!alerting[j] || afterGap)) push(t, k.kpi, k.level, k.alert(v));
+                else if (!k.past(v) && alerting[j]) push(t, k.kpi, 'info', k.recovery(v));
+                alerting[j] = k.past(v);
+            });
+            if (previous === null) continue;
+            if (previous.satelliteId !== current.satelliteId) {
+                if (current.satelliteId === null) push(t, 'serving', 'error', `Service lost on Sat ${previous.satelliteId}`);
+                else if (previous.satelliteId === null) push(t, 'serving', 'info', `Service acquired on Sat ${current.satelliteId}`);
+                else push(t, 'serving', 'info', `Serving Sat ${previous.satelliteId} → Sat ${current.satelliteId}`);
+            }
+            if (previous.rrcState !== current.rrcState) {
+                push(t, 'rrc', current.rrcState === 'connected' ? 'info' : 'warning',
+                    `${RRC_STATES[previous.rrcState]} → ${RRC_STATES[current.rrcState]}`);
+            }
+        }
+        return log;
+    }
+}
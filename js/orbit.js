@@ -0,0 +1,619 @@
+// Shared orbital mechanics for every page of the tool.
+// Preset satellites are modelled as circular Keplerian orbits (optionally with
+// J2 secular drift) whose geometry is designed so that each pass matches the
+// start/max elevation set in the parameter panel. Each slot may override the
+// orbit type, altitude, inclination, start elevation and pass direction, and
+// offset the designed plane and phase. Slots assigned to imported TLE/OMM
+// objects are propagated with SGP4 (see sgp4.js).
+
+const EARTH = {
+    radiusKm: 6378.137,
+    flattening: 1 / 298.257223563,
+    mu: 398600.4418, // km^3/s^2
+    j2: 1.08262668e-3,
+    rotationRate: 7.2921150e-5 // rad/s
+};
+
+const SPEED_OF_LIGHT = 299792.458; // km/s
+
+const ALTITUDE_MODELS = {
+    'LE350': 350,
+    'LE600': 600,
+    'LEO1200': 1200,
+    'GEO': 35786
+};
+
+const GROUND_ASSETS = {
+    'ground-station': { name: 'Ground Station', location: 'Taipei', lat: 25.0330, lon: 121.5654, altKm: 0.01, maskDeg: null, horizon: [] },
+    'handheld-device': { name: 'Handheld Device', location: 'Taipei', lat: 25.0320, lon: 121.5644, altKm: 0.0, maskDeg: null, horizon: [] }
+};
+
+// Named sites around Northern Taiwan offered by the ground-asset pickers
+const GROUND_SITE_PRESETS = {
+    'taipei': { name: 'Taipei', lat: 25.0330, lon: 121.5654, altKm: 0.01 },
+    'hsinchu': { name: 'Hsinchu', lat: 24.8138, lon: 120.9675, altKm: 0.03 },
+    'keelung': { name: 'Keelung', lat: 25.1276, lon: 121.7392, altKm: 0.01 },
+    'taoyuan': { name: 'Taoyuan', lat: 24.9936, lon: 121.3010, altKm: 0.1 },
+    'yangmingshan': { name: 'Yangmingshan', lat: 25.1556, lon: 121.5480, altKm: 0.8 }
+};
+
+const DEFAULT_EPOCH = Date.UTC(2025, 0, 1, 0, 0, 0);
+const LEO_INCLINATION = 53.0;
+const MIN_SERVICE_ELEVATION = 20;
+const PASS_OVERLAP = 0.2;
+const PASS_ARC_MARGIN = 5; // passes culminating near the mask are spaced on the arc this far below culmination
+const CULMINATION_TOLERANCE = 0.5; // designs further than this from the requested max elevation are reported
+const PASS_DIRECTIONS = ['ascending', 'descending'];
+
+const DEG = Math.PI / 180;
+
+function formatLatLon(point, digits = 2) {
+    const lat = `${Math.abs(point.lat).toFixed(digits)}°${point.lat >= 0 ? 'N' : 'S'}`;
+    const lon = `${Math.abs(point.lon).toFixed(digits)}°${point.lon >= 0 ? 'E' : 'W'}`;
+    return `${lat}, ${lon}`;
+}
+
+class OrbitMath {
+    static julianDate(timeMs) {
+        return timeMs / 86400000 + 2440587.5;
+    }
+
+    // Greenwich mean sidereal time (IAU 1982), radians
+    static gmst(timeMs) {
+        const d = OrbitMath.julianDate(timeMs) - 2451545.0;
+        const t = d / 36525;
+        const deg = 280.46061837 + 360.98564736629 * d + 0.000387933 * t * t - t * t * t / 38710000;
+        return OrbitMath.wrapTwoPi(deg * DEG);
+    }
+
+    static wrapTwoPi(angle) {
+        const twoPi = 2 * Math.PI;
+        return ((angle % twoPi) + twoPi) % twoPi;
+    }
+
+    static wrapDegrees180(deg) {
+        return ((deg + 540) % 360) - 180;
+    }
+
+    static norm(v) {
+        return Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+    }
+
+    static dot(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    }
+
+    static cross(a, b) {
+        return [
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]
+        ];
+    }
+
+    static geodeticToEcef(latDeg, lonDeg, altKm) {
+        const lat = latDeg * DEG;
+        const lon = lonDeg * DEG;
+        const e2 = EARTH.flattening * (2 - EARTH.flattening);
+        const n = EARTH.radiusKm / Math.sqrt(1 - e2 * Math.sin(lat) ** 2);
+        return [
+            (n + altKm) * Math.cos(lat) * Math.cos(lon),
+            (n + altKm) * Math.cos(lat) * Math.sin(lon),
+            (n * (1 - e2) + altKm) * Math.sin(lat)
+        ];
+    }
+
+    static ecefToGeodetic(r) {
+        const e2 = EARTH.flattening * (2 - EARTH.flattening);
+        const p = Math.sqrt(r[0] * r[0] + r[1] * r[1]);
+        const lon = Math.atan2(r[1], r[0]);
+        let lat = Math.atan2(r[2], p * (1 - e2));
+        let altKm = 0;
+
+        for (let i = 0; i < 5; i++) {
+            const n = EARTH.radiusKm / Math.sqrt(1 - e2 * Math.sin(lat) ** 2);
+            altKm = p / Math.cos(lat) - n;
+            lat = Math.atan2(r[2], p * (1 - e2 * n / (n + altKm)));
+        }
+
+        return { lat: lat / DEG, lon: lon / DEG, altKm };
+    }
+
+    static eciToEcef(r, v, timeMs) {
+        const theta = OrbitMath.gmst(timeMs);
+        const c = Math.cos(theta);
+        const s = Math.sin(theta);
+        const rEcef = [c * r[0] + s * r[1], -s * r[0] + c * r[1], r[2]];
+        const w = EARTH.rotationRate;
+        const vEcef = [
+            c * v[0] + s * v[1] + w * rEcef[1],
+            -s * v[0] + c * v[1] - w * rEcef[0],
+            v[2]
+        ];
+        return { r: rEcef, v: vEcef };
+    }
+
+    static ecefToEci(r, timeMs) {
+        const theta = OrbitMath.gmst(timeMs);
+        const c = Math.cos(theta);
+        const s = Math.sin(theta);
+        return [c * r[0] - s * r[1], s * r[0] + c * r[1], r[2]];
+    }
+
+    // Topocentric azimuth/elevation/range (and range rate) of an ECEF state from a site
+    static lookAngles(satEcef, site) {
+        const siteEcef = OrbitMath.geodeticToEcef(site.lat, site.lon, site.altKm || 0);
+        const rho = [satEcef.r[0] - siteEcef[0], satEcef.r[1] - siteEcef[1], satEcef.r[2] - siteEcef[2]];
+        const lat = site.lat * DEG;
+        const lon = site.lon * DEG;
+
+        const east = -Math.sin(lon) * rho[0] + Math.cos(lon) * rho[1];
+        const north = -Math.sin(lat) * Math.cos(lon) * rho[0] - Math.sin(lat) * Math.sin(lon) * rho[1] + Math.cos(lat) * rho[2];
+        const up = Math.cos(lat) * Math.cos(lon) * rho[0] + Math.cos(lat) * Math.sin(lon) * rho[1] + Math.sin(lat) * rho[2];
+
+        const rangeKm = OrbitMath.norm(rho);
+        const rangeRateKmS = satEcef.v ? OrbitMath.dot(rho, satEcef.v) / rangeKm : 0;
+
+        return {
+            elevation: Math.asin(up / rangeKm) / DEG,
+            azimuth: OrbitMath.wrapTwoPi(Math.atan2(east, north)) / DEG,
+            rangeKm,
+            rangeRateKmS
+        };
+    }
+
+    // Earth-central angle between a site and the sub-satellite point for a given elevation
+    static centralAngle(elevationDeg, siteRadiusKm, orbitRadiusKm) {
+        const el = elevationDeg * DEG;
+        return Math.acos(Math.min(1, siteRadiusKm / orbitRadiusKm * Math.cos(el))) - el;
+    }
+
+    // Great-circle distance on the mean sphere between two {lat, lon} points
+    static groundDistanceKm(a, b) {
+        const dLat = (b.lat - a.lat) * DEG;
+        const dLon = (b.lon - a.lon) * DEG;
+        const h = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * DEG) * Math.cos(b.lat * DEG) * Math.sin(dLon / 2) ** 2;
+        return 2 * EARTH.radiusKm * Math.asin(Math.min(1, Math.sqrt(h)));
+    }
+}
+
+class CircularOrbit {
+    constructor({ altitudeKm, inclinationDeg, raanDeg, argLatDeg, epoch = DEFAULT_EPOCH, useJ2 = false }) {
+        this.altitudeKm = altitudeKm;
+        this.inclinationDeg = inclinationDeg;
+        this.raanDeg = raanDeg;
+        this.argLatDeg = argLatDeg;
+        this.epoch = epoch;
+        this.useJ2 = useJ2;
+
+        this.semiMajorAxisKm = EARTH.radiusKm + altitudeKm;
+        this.meanMotion = Math.sqrt(EARTH.mu / this.semiMajorAxisKm ** 3);
+
+        const rates = CircularOrbit.secularRates(this.semiMajorAxisKm, inclinationDeg, useJ2);
+        this.raanRate = rates.raanRate;
+        this.argLatRate = rates.argLatRate;
+    }
+
+    static secularRates(semiMajorAxisKm, inclinationDeg, useJ2) {
+        const n = Math.sqrt(EARTH.mu / semiMajorAxisKm ** 3);
+        if (!useJ2) {
+            return { raanRate: 0, argLatRate: n };
+        }
+
+        const k = EARTH.j2 * (EARTH.radiusKm / semiMajorAxisKm) ** 2;
+        const cosI = Math.cos(inclinationDeg * DEG);
+        return {
+            raanRate: -1.5 * n * k * cosI,
+            // argument of perigee drift plus perturbed mean motion
+            argLatRate: n * (1 + 0.75 * k * (5 * cosI * cosI - 1) + 0.75 * k * (3 * cosI * cosI - 1))
+        };
+    }
+
+    get periodMinutes() {
+        return 2 * Math.PI / this.argLatRate / 60;
+    }
+
+    get perigeeKm() {
+        return this.altitudeKm;
+    }
+
+    get apogeeKm() {
+        return this.altitudeKm;
+    }
+
+    stateAt(timeMs) {
+        const dt = (timeMs - this.epoch) / 1000;
+        const raan = this.raanDeg * DEG + this.raanRate * dt;
+        const u = this.argLatDeg * DEG + this.argLatRate * dt;
+        const inc = this.inclinationDeg * DEG;
+        const a = this.semiMajorAxisKm;
+        const speed = a * this.argLatRate;
+
+        const cosO = Math.cos(raan), sinO = Math.sin(raan);
+        const cosU = Math.cos(u), sinU = Math.sin(u);
+        const cosI = Math.cos(inc), sinI = Math.sin(inc);
+
+        const r = [
+            a * (cosO * cosU - sinO * sinU * cosI),
+            a * (sinO * cosU + cosO * sinU * cosI),
+            a * sinU * sinI
+        ];
+        const v = [
+            speed * (-cosO * sinU - sinO * cosU * cosI),
+            speed * (-sinO * sinU + cosO * cosU * cosI),
+            speed * cosU * sinI
+        ];
+
+        return { r, v, argLatDeg: OrbitMath.wrapTwoPi(u) / DEG, ascending: cosU * sinI >= 0 };
+    }
+}
+
+class OrbitPropagator {
+    constructor({ satellites, sites = GROUND_ASSETS, epoch = DEFAULT_EPOCH, warnings = [] }) {
+        this.satellites = satellites;
+        this.sites = sites;
+        this.epoch = epoch;
+        // { satelliteId, message } for slots that could not be built as configured
+        this.warnings = warnings;
+    }
+
+    // `params` are typed values (ParameterSchema)
+    static fromParameters(params, options = {}) {
+        const numSats = params['num-satellites'];
+        const shared = { altitudeModel: params['altitude-model'], startElevation: params['start-elevation'] };
+        const maxElevation = params['max-elevation'];
+        const useJ2 = params['orbit-j2'] === 'on' || options.useJ2 === true;
+        const epoch = options.epoch || OrbitPropagator.parseUtc(params['window-start']) || DEFAULT_EPOCH;
+        const sites = options.sites || OrbitPropagator.sitesFromParameters(params);
+        const catalog = options.catalog || {};
+        const maskDeg = OrbitPropagator.elevationMask(params);
+        const warnings = [];
+
+        const satellites = [];
+        for (let i = 0; i < numSats; i++) {
+            const elements = catalog[params[`sat${i + 1}-source`]];
+            const imported = elements ? OrbitPropagator.importedSatellite(i, elements, epoch, warnings) : null;
+            if (imported) {
+                satellites.push(imported);
+                continue;
+            }
+
+            const slot = OrbitPropagator.slotOrbit(params, i, shared);
+            const spec = { id: i + 1, name: `Satellite ${i + 1}`, source: 'preset', ...slot, maxElevation, maskDeg, useJ2 };
+
+            const orbit = slot.altitudeModel === 'GEO'
+                ? OrbitPropagator.designGeostationary(spec, i, sites['ground-station'], epoch)
+                : OrbitPropagator.designPass(spec, i, sites['ground-station'], epoch);
+            if (slot.altitudeModel !== 'GEO') OrbitPropagator.checkCulmination(spec, orbit, warnings);
+            orbit.raanDeg += slot.raanOffsetDeg;
+            orbit.argLatDeg += slot.phaseOffsetDeg;
+
+            satellites.push({ ...spec, orbit });
+        }
+
+        return new OrbitPropagator({ satellites, sites, epoch, warnings });
+    }
+
+    // Orbit settings of one slot; blank fields inherit the panel-wide values.
+    // GEO slots keep the geostationary altitude and an equatorial plane.
+    static slotOrbit(params, index, shared) {
+        const field = (key) => params[`sat${index + 1}-${key}`];
+        const altitudeModel = field('altitude-model') !== null ? field('altitude-model') : shared.altitudeModel;
+        const geo = altitudeModel === 'GEO';
+        const altitudeKm = field('altitude');
+        const inclinationDeg = field('inclination');
+        const startElevation = field('start-elevation');
+
+        return {
+            altitudeModel: !geo && altitudeKm !== null ? 'Custom' : altitudeModel,
+            altitudeKm: !geo && altitudeKm !== null ? altitudeKm : ALTITUDE_MODELS[altitudeModel],
+            inclinationDeg: geo ? 0 : (inclinationDeg !== null ? inclinationDeg : LEO_INCLINATION),
+            startElevation: startElevation !== null ? startElevation : shared.startElevation,
+            direction: field('direction'),
+            raanOffsetDeg: field('raan-offset') || 0,
+            phaseOffsetDeg: field('phase-offset') || 0
+        };
+    }
+
+    // Short orbit label of a slot for the overview cards
+    static orbitLabel(sat) {
+        if (sat.source !== 'preset') return `${sat.altitudeModel}, ${Math.round(sat.altitudeKm).toLocaleString()} km`;
+        return sat.altitudeModel === 'GEO' ? 'GEO' : `LEO ${Math.round(sat.altitudeKm).toLocaleString()} km`;
+    }
+
+    // datetime-local values from the panel are interpreted as UTC
+    static parseUtc(value) {
+        if (!value) return null;
+        const ms = Date.parse(/[zZ]$/.test(value) ? value : `${value}Z`);
+        return isNaN(ms) ? null : ms;
+    }
+
+    // Minimum elevation at which a satellite counts as serving
+    static elevationMask(params) {
+        return params['elevation-mask'];
+    }
+
+    // Ground assets from the panel; a blank mask follows the panel-wide one
+    static sitesFromParameters(params) {
+        const sites = {};
+        Object.keys(GROUND_ASSETS).forEach(asset => {
+            const field = (key) => params[`${asset}-${key}`];
+            const preset = GROUND_SITE_PRESETS[field('site')];
+
+            sites[asset] = {
+                name: GROUND_ASSETS[asset].name,
+                location: preset ? preset.name : 'Custom',
+                lat: field('lat'),
+                lon: field('lon'),
+                altKm: field('alt') / 1000,
+                maskDeg: field('mask'),
+                horizon: OrbitPropagator.parseHorizon(field('horizon')) || []
+            };
+        });
+        return sites;
+    }
+
+    // Horizon profile written as "azimuth:elevation" pairs, e.g. "0:5, 90:12, 200:3";
+    // null when any pair is malformed
+    static parseHorizon(text) {
+        const entries = String(text || '').split(/[,;\n]+/).map(e => e.trim()).filter(e => e);
+        const points = [];
+        for (const entry of entries) {
+            const match = entry.match(/^(-?\d+(?:\.\d+)?)\s*[:=]\s*(-?\d+(?:\.\d+)?)$/);
+            if (!match) return null;
+            const elevation = parseFloat(match[2]);
+            if (elevation < 0 || elevation > 90) return null;
+            points.push({ azimuth: OrbitMath.wrapTwoPi(parseFloat(match[1]) * DEG) / DEG, elevation });
+        }
+        return points.sort((a, b) => a.azimuth - b.azimuth);
+    }
+
+    // Obstruction elevation towards an azimuth, interpolated around the circle
+    static horizonElevation(horizon, azimuthDeg) {
+        if (horizon.length === 0) return 0;
+        if (horizon.length === 1) return horizon[0].elevation;
+        const az = OrbitMath.wrapTwoPi(azimuthDeg * DEG) / DEG;
+        const nextIndex = horizon.findIndex(p => p.azimuth >= az);
+        const next = horizon[nextIndex === -1 ? 0 : nextIndex];
+        const prev = horizon[nextIndex <= 0 ? horizon.length - 1 : nextIndex - 1];
+        const span = ((next.azimuth - prev.azimuth) + 360) % 360 || 360;
+        const t = (((az - prev.azimuth) + 360) % 360) / span;
+        return prev.elevation + t * (next.elevation - prev.elevation);
+    }
+
+    // Lowest usable elevation at a site: its own mask or the panel-wide one,
+    // raised by terrain when an azimuth is given
+    static siteMask(params, site, azimuthDeg = null) {
+        const mask = site && site.maskDeg !== null && site.maskDeg !== undefined ? site.maskDeg : OrbitPropagator.elevationMask(params);
+        if (azimuthDeg === null || !site || !site.horizon) return mask;
+        return Math.max(mask, OrbitPropagator.horizonElevation(site.horizon, azimuthDeg));
+    }
+
+    // Whether a satellite seen at `look` (elevation/azimuth) is usable from the site
+    static isVisible(params, site, look) {
+        return look.elevation >= OrbitPropagator.siteMask(params, site, look.azimuth);
+    }
+
+    // Slots assigned to a TLE/OMM object are propagated with SGP4; objects that
+    // cannot be propagated at the window start fall back to the preset design
+    // with a warning for the satellite panel.
+    static importedSatellite(index, elements, epoch, warnings = []) {
+        try {
+            const orbit = new Sgp4Orbit(elements);
+            orbit.stateAt(epoch);
+            // SDP4 is not implemented: deep-space objects get the near-Earth model
+            if (orbit.deepSpace) {
+                warnings.push({ satelliteId: index + 1, message: `${elements.name} is a deep-space object (period ≥ 225 min); propagated without the SDP4 lunar-solar and resonance terms, so positions are approximate` });
+            }
+            return {
+                id: index + 1,
+                name: elements.name,
+                source: elements.id,
+                altitudeModel: orbit.deepSpace ? 'Near-Earth SGP4 (deep space, no SDP4)' : 'SGP4',
+                altitudeKm: Math.round(orbit.altitudeKm),
+                orbit
+            };
+        } catch (e) {
+            warnings.push({ satelliteId: index + 1, message: `${elements.name} cannot be propagated at the window start (${e.message}); using the preset orbit` });
+            return null;
+        }
+    }
+
+    // Requested culmination of a designed pass, folded onto 0°-90°
+    static requestedCulmination(spec) {
+        const maxFolded = spec.maxElevation <= 90 ? spec.maxElevation : 180 - spec.maxElevation;
+        return Math.max(0.5, Math.min(90, maxFolded));
+    }
+
+    // Places a LEO satellite so that it is at the start elevation at its pass start
+    // time and culminates at the requested max elevation. Values above 90° follow the
+    // README convention of 20°-160°: the far side of zenith (descending / opposite side).
+    // Earth rotation and the phase refinement move the culmination a little, so
+    // the aim is corrected from the culmination each design actually reaches.
+    static designPass(spec, index, site, epoch) {
+        const target = OrbitPropagator.requestedCulmination(spec);
+        let aim = target;
+        let orbit = null;
+        for (let i = 0; i < 4; i++) {
+            orbit = OrbitPropagator.designPassAt(spec, index, site, epoch, aim);
+            orbit.culminationDeg = OrbitPropagator.culminationOf(orbit, site, orbit.designStartTime);
+            const error = target - orbit.culminationDeg;
+            if (Math.abs(error) < 0.05) break;
+            aim = Math.max(0.5, Math.min(90, aim + error));
+        }
+        return orbit;
+    }
+
+    // Warns about designs that miss the requested culmination (the plane cannot
+    // reach it from this inclination and site) or never rise above the mask
+    static checkCulmination(spec, orbit, warnings) {
+        const target = OrbitPropagator.requestedCulmination(spec);
+        if (Math.abs(orbit.culminationDeg - target) > CULMINATION_TOLERANCE) {
+            warnings.push({ satelliteId: spec.id, message: `Culminates at ${orbit.culminationDeg.toFixed(1)}° instead of the requested ${target.toFixed(1)}°` });
+        }
+        if (orbit.culminationDeg <= spec.maskDeg) {
+            warnings.push({ satelliteId: spec.id, message: `Culminates at ${orbit.culminationDeg.toFixed(1)}°, not above the ${spec.maskDeg}° elevation mask: never in service` });
+        }
+    }
+
+    // Highest elevation seen from the site within a quarter orbit of `aroundTime`
+    static culminationOf(orbit, site, aroundTime) {
+        const elevationAt = (timeMs) => OrbitPropagator.elevationFrom(orbit, site, timeMs);
+        const spanMs = orbit.periodMinutes * 60000 / 4;
+        const stepMs = 10000;
+        let best = aroundTime - spanMs;
+        for (let t = best; t <= aroundTime + spanMs; t += stepMs) {
+            if (elevationAt(t) > elevationAt(best)) best = t;
+        }
+
+        let lo = best - stepMs;
+        let hi = best + stepMs;
+        for (let i = 0; i < 30; i++) {
+            const m1 = lo + (hi - lo) / 3;
+            const m2 = hi - (hi - lo) / 3;
+            if (elevationAt(m1) < elevationAt(m2)) lo = m1; else hi = m2;
+        }
+        return elevationAt((lo + hi) / 2);
+    }
+
+    static designPassAt(spec, index, site, epoch, culmination) {
+        const inclinationDeg = spec.inclinationDeg;
+        const orbitRadius = EARTH.radiusKm + spec.altitudeKm;
+        const rates = CircularOrbit.secularRates(orbitRadius, inclinationDeg, spec.useJ2);
+        const siteEcef = OrbitMath.geodeticToEcef(site.lat, site.lon, site.altKm || 0);
+        const siteRadius = OrbitMath.norm(siteEcef);
+
+        const side = spec.maxElevation <= 90 ? 1 : -1;
+        const rising = spec.startElevation <= 90;
+        const startFolded = rising ? spec.startElevation : 180 - spec.startElevation;
+        const start = Math.min(startFolded, culmination);
+
+        const psiMax = OrbitMath.centralAngle(culmination, siteRadius, orbitRadius);
+        const psiStart = OrbitMath.centralAngle(start, siteRadius, orbitRadius);
+        // Passes are spaced on their service arc; one culminating at or just above
+        // the mask has none, so a lower arc keeps the slots apart
+        const arcElevation = Math.max(0, Math.min(spec.maskDeg, culmination - PASS_ARC_MARGIN));
+        const psiMask = OrbitMath.centralAngle(arcElevation, siteRadius, orbitRadius);
+        const toCulmination = Math.acos(Math.min(1, Math.cos(psiStart) / Math.cos(psiMax)));
+        const passArc = 2 * Math.acos(Math.min(1, Math.cos(psiMask) / Math.cos(psiMax)));
+
+        // Successive satellites trail the previous one so passes overlap for handover
+        const passSpacing = passArc * (1 - PASS_OVERLAP) / rates.argLatRate;
+        const startTime = epoch + index * passSpacing * 1000;
+        const culminationTime = startTime + (rising ? 1 : -1) * toCulmination / rates.argLatRate * 1000;
+
+        const g = OrbitMath.ecefToEci(siteEcef, culminationTime).map(c => c / siteRadius);
+        const inc = inclinationDeg * DEG;
+        const gxy = Math.sqrt(g[0] * g[0] + g[1] * g[1]);
+        const alpha = Math.atan2(g[1], g[0]);
+        const sinDelta = Math.max(-1, Math.min(1, (side * Math.sin(psiMax) - Math.cos(inc) * g[2]) / (Math.sin(inc) * gxy)));
+
+        // Of the two planes at the right distance, pick the one crossing the site
+        // in the slot's pass direction (northbound when ascending)
+        let raan = alpha + Math.asin(sinDelta);
+        let argLat = OrbitPropagator.closestArgLat(g, raan, inc);
+        if ((Math.cos(argLat) < 0) !== (spec.direction === 'descending')) {
+            raan = alpha + Math.PI - Math.asin(sinDelta);
+            argLat = OrbitPropagator.closestArgLat(g, raan, inc);
+        }
+
+        const dt = (culminationTime - epoch) / 1000;
+        const orbit = new CircularOrbit({
+            altitudeKm: spec.altitudeKm,
+            inclinationDeg,
+            raanDeg: (raan - rates.raanRate * dt) / DEG,
+            argLatDeg: (argLat - rates.argLatRate * dt) / DEG,
+            epoch,
+            useJ2: spec.useJ2
+        });
+
+        OrbitPropagator.refineStartPhase(orbit, site, start, rising, startTime, toCulmination / rates.argLatRate);
+        orbit.designStartTime = startTime;
+        return orbit;
+    }
+
+    static elevationFrom(orbit, site, timeMs) {
+        const state = orbit.stateAt(timeMs);
+        return OrbitMath.lookAngles(OrbitMath.eciToEcef(state.r, state.v, timeMs), site).elevation;
+    }
+
+    static closestArgLat(g, raan, inc) {
+        const p = [Math.cos(raan), Math.sin(raan), 0];
+        const q = [-Math.sin(raan) * Math.cos(inc), Math.cos(raan) * Math.cos(inc), Math.sin(inc)];
+        return Math.atan2(OrbitMath.dot(g, q), OrbitMath.dot(g, p));
+    }
+
+    // Earth rotation during the pass skews the spherical design slightly; nudge the
+    // phase so the start elevation is hit exactly at the start time.
+    static refineStartPhase(orbit, site, targetElevation, rising, startTime, halfPassSec) {
+        const elevationAt = (timeMs) => OrbitPropagator.elevationFrom(orbit, site, timeMs);
+
+        const span = Math.max(60, halfPassSec * 1.5) * 1000;
+        let lo = rising ? startTime - span : startTime;
+        let hi = rising ? startTime + halfPassSec * 1000 : startTime + span;
+        const f = (t) => (elevationAt(t) - targetElevation) * (rising ? 1 : -1);
+        if (f(lo) > 0 || f(hi) < 0) return;
+
+        for (let i = 0; i < 40; i++) {
+            const mid = (lo + hi) / 2;
+            if (f(mid) < 0) lo = mid; else hi = mid;
+        }
+
+        const shiftSec = ((lo + hi) / 2 - startTime) / 1000;
+        orbit.argLatDeg += orbit.argLatRate * shiftSec / DEG;
+    }
+
+    // Geostationary slots are spread in longitude so that satellite 1 sits at the
+    // requested elevation (capped by what the site latitude allows).
+    static designGeostationary(spec, index, site, epoch) {
+        const orbitRadius = EARTH.radiusKm + spec.altitudeKm;
+        const siteRadius = OrbitMath.norm(OrbitMath.geodeticToEcef(site.lat, site.lon, site.altKm || 0));
+        const folded = spec.startElevation <= 90 ? spec.startElevation : 180 - spec.startElevation;
+        const psi = OrbitMath.centralAngle(folded, siteRadius, orbitRadius);
+        const cosLon = Math.cos(psi) / Math.cos(site.lat * DEG);
+        const lonOffset = cosLon >= 1 ? 0 : Math.acos(cosLon) / DEG;
+        const direction = spec.startElevation <= 90 ? 1 : -1;
+        const lon = site.lon + direction * lonOffset + index * 5;
+
+        return new CircularOrbit({
+            altitudeKm: spec.altitudeKm,
+            inclinationDeg: 0,
+            raanDeg: 0,
+            argLatDeg: OrbitMath.gmst(epoch) / DEG + lon,
+            epoch,
+            useJ2: false
+        });
+    }
+
+    getSatelliteState(index, timeMs = this.epoch) {
+        const sat = this.satellites[index];
+        const eci = sat.orbit.stateAt(timeMs);
+        const ecef = OrbitMath.eciToEcef(eci.r, eci.v, timeMs);
+        const subPoint = OrbitMath.ecefToGeodetic(ecef.r);
+
+        const look = {};
+        Object.keys(this.sites).forEach(key => {
+            look[key] = OrbitMath.lookAngles(ecef, this.sites[key]);
+        });
+
+        return {
+            id: sat.id,
+            name: sat.name,
+            timeMs,
+            eci: { r: eci.r, v: eci.v },
+            ecef,
+            subPoint,
+            altitudeKm: subPoint.altKm,
+            velocityKmS: OrbitMath.norm(eci.v),
+            groundSpeedKmS: OrbitMath.norm(ecef.v),
+            ascending: eci.ascending,
+            periodMinutes: sat.orbit.periodMinutes,
+            inclinationDeg: sat.orbit.inclinationDeg,
+            look
+        };
+    }
+
+    getAllStates(timeMs = this.epoch) {
+        return this.satellites.map((sat, index) => this.getSatelliteState(index, timeMs));
+    }
+}
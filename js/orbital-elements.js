@@ -0,0 +1,212 @@
+// Parsing of Two-Line Element sets and CCSDS OMM (JSON/XML) into a common
+// mean-element record, and the localStorage-backed catalog of imported objects.
+
+const MAX_IMPORTED_OBJECTS = 4;
+
+class OrbitalElementsParser {
+    // Accepts pasted/uploaded text in any supported format
+    static parse(text) {
+        const trimmed = (text || '').trim();
+        if (!trimmed) {
+            throw new Error('No orbital elements provided');
+        }
+
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            return OrbitalElementsParser.parseOmmJson(trimmed);
+        }
+        if (trimmed.startsWith('<')) {
+            return OrbitalElementsParser.parseOmmXml(trimmed);
+        }
+        return OrbitalElementsParser.parseTle(trimmed);
+    }
+
+    static parseTle(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trimEnd()).filter(line => line.trim());
+        const results = [];
+
+        for (let i = 0; i < lines.length; i++) {
+            if (!lines[i].startsWith('1 ')) continue;
+
+            const line1 = lines[i];
+            const line2 = lines[i + 1];
+            if (!line2 || !line2.startsWith('2 ')) {
+                throw new Error(`TLE line 2 missing after: ${line1.slice(0, 20)}...`);
+            }
+
+            const previous = i > 0 ? lines[i - 1] : '';
+            const name = previous && !previous.startsWith('1 ') && !previous.startsWith('2 ')
+                ? previous.replace(/^0 /, '').trim()
+                : null;
+
+            results.push(OrbitalElementsParser.parseTleLines(line1, line2, name));
+            i++;
+        }
+
+        if (results.length === 0) {
+            throw new Error('No TLE, OMM JSON or OMM XML content recognised');
+        }
+        return results;
+    }
+
+    static parseTleLines(line1, line2, name) {
+        [line1, line2].forEach((line, index) => {
+            if (line.length < 69) {
+                throw new Error(`TLE line ${index + 1} is shorter than 69 characters`);
+            }
+            if (OrbitalElementsParser.tleChecksum(line) !== parseInt(line[68])) {
+                throw new Error(`TLE line ${index + 1} checksum mismatch for ${line.slice(2, 7).trim()}`);
+            }
+        });
+
+        const catalogNumber = line1.slice(2, 7).trim();
+        if (line2.slice(2, 7).trim() !== catalogNumber) {
+            throw new Error(`TLE lines belong to different objects (${catalogNumber})`);
+        }
+
+        const year2 = parseInt(line1.slice(18, 20));
+        const year = year2 < 57 ? 2000 + year2 : 1900 + year2;
+        const dayOfYear = parseFloat(line1.slice(20, 32));
+
+        return OrbitalElementsParser.normalise({
+            name: name || `NORAD ${catalogNumber}`,
+            catalogNumber,
+            intlDesignator: line1.slice(9, 17).trim(),
+            epochMs: Date.UTC(year, 0, 1) + (dayOfYear - 1) * 86400000,
+            meanMotionRevDay: parseFloat(line2.slice(52, 63)),
+            eccentricity: parseFloat(`0.${line2.slice(26, 33).trim()}`),
+            inclinationDeg: parseFloat(line2.slice(8, 16)),
+            raanDeg: parseFloat(line2.slice(17, 25)),
+            argPerigeeDeg: parseFloat(line2.slice(34, 42)),
+            meanAnomalyDeg: parseFloat(line2.slice(43, 51)),
+            bstar: OrbitalElementsParser.parseImpliedExponent(line1.slice(53, 61)),
+            format: 'TLE'
+        });
+    }
+
+    static tleChecksum(line) {
+        let sum = 0;
+        for (let i = 0; i < 68; i++) {
+            const ch = line[i];
+            if (ch >= '0' && ch <= '9') sum += parseInt(ch);
+            else if (ch === '-') sum += 1;
+        }
+        return sum % 10;
+    }
+
+    // TLE fields such as " 28098-4" mean 0.28098e-4
+    static parseImpliedExponent(field) {
+        const s = field.trim();
+        if (!s) return 0;
+        const match = s.match(/^([+-]?)(\d+)([+-]\d)$/);
+        if (!match) return parseFloat(s) || 0;
+        const value = parseFloat(`0.${match[2]}e${match[3]}`);
+        return match[1] === '-' ? -value : value;
+    }
+
+    static parseOmmJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`Invalid OMM JSON: ${e.message}`);
+        }
+        const records = Array.isArray(data) ? data : [data];
+        return records.map(record => OrbitalElementsParser.fromOmmFields(key => record[key]));
+    }
+
+    static parseOmmXml(text) {
+        const segments = text.split(/<omm[\s>]/i).slice(1);
+        const blocks = segments.length > 0 ? segments : [text];
+
+        return blocks.map(block => OrbitalElementsParser.fromOmmFields(key => {
+            const match = block.match(new RegExp(`<${key}(?:\\s[^>]*)?>([^<]*)</${key}>`, 'i'));
+            return match ? match[1].trim() : undefined;
+        }));
+    }
+
+    static fromOmmFields(get) {
+        const required = ['EPOCH', 'MEAN_MOTION', 'ECCENTRICITY', 'INCLINATION', 'RA_OF_ASC_NODE', 'ARG_OF_PERICENTER', 'MEAN_ANOMALY'];
+        const missing = required.filter(key => get(key) === undefined || get(key) === '');
+        if (missing.length > 0) {
+            throw new Error(`OMM record is missing ${missing.join(', ')}`);
+        }
+
+        const epoch = String(get('EPOCH'));
+        const epochMs = Date.parse(/[zZ]|[+-]\d\d:?\d\d$/.test(epoch) ? epoch : `${epoch}Z`);
+        if (isNaN(epochMs)) {
+            throw new Error(`OMM EPOCH is not a valid date: ${epoch}`);
+        }
+
+        const catalogNumber = get('NORAD_CAT_ID') !== undefined ? String(get('NORAD_CAT_ID')) : '';
+        return OrbitalElementsParser.normalise({
+            name: get('OBJECT_NAME') || (catalogNumber ? `NORAD ${catalogNumber}` : 'Unnamed object'),
+            catalogNumber,
+            intlDesignator: get('OBJECT_ID') || '',
+            epochMs,
+            meanMotionRevDay: parseFloat(get('MEAN_MOTION')),
+            eccentricity: parseFloat(get('ECCENTRICITY')),
+            inclinationDeg: parseFloat(get('INCLINATION')),
+            raanDeg: parseFloat(get('RA_OF_ASC_NODE')),
+            argPerigeeDeg: parseFloat(get('ARG_OF_PERICENTER')),
+            meanAnomalyDeg: parseFloat(get('MEAN_ANOMALY')),
+            bstar: parseFloat(get('BSTAR')) || 0,
+            format: 'OMM'
+        });
+    }
+
+    static normalise(elements) {
+        const numeric = ['meanMotionRevDay', 'eccentricity', 'inclinationDeg', 'raanDeg', 'argPerigeeDeg', 'meanAnomalyDeg'];
+        numeric.forEach(key => {
+            if (!isFinite(elements[key])) {
+                throw new Error(`${elements.name}: ${key} is not a number`);
+            }
+        });
+        if (elements.meanMotionRevDay <= 0 || elements.eccentricity < 0 || elements.eccentricity >= 1) {
+            throw new Error(`${elements.name}: elements do not describe a closed orbit`);
+        }
+
+        const key = elements.catalogNumber || elements.name;
+        return { ...elements, id: `elements:${key.replace(/\s+/g, '-')}` };
+    }
+}
+
+class ElementCatalog {
+    static load() {
+        if (ElementCatalog.cache === undefined) {
+            try {
+                ElementCatalog.cache = JSON.parse(localStorage.getItem(ElementCatalog.STORAGE_KEY)) || {};
+            } catch (e) {
+                ElementCatalog.cache = {};
+            }
+        }
+        return ElementCatalog.cache;
+    }
+
+    static save(catalog) {
+        ElementCatalog.cache = catalog;
+        localStorage.setItem(ElementCatalog.STORAGE_KEY, JSON.stringify(catalog));
+    }
+
+    // Merges parsed objects into the catalog, keeping at most four objects
+    static add(objects) {
+        const catalog = { ...ElementCatalog.load() };
+        const rejected = [];
+
+        objects.forEach(elements => {
+            if (!catalog[elements.id] && Object.keys(catalog).length >= MAX_IMPORTED_OBJECTS) {
+                rejected.push(elements.name);
+                return;
+            }
+            catalog[elements.id] = elements;
+        });
+
+        ElementCatalog.save(catalog);
+        return { catalog, rejected };
+    }
+
+    static clear() {
+        ElementCatalog.save({});
+    }
+}
+
+ElementCatalog.STORAGE_KEY = 'ntn-orbital-elements';
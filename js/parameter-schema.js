@@ -0,0 +1,271 @@
+// Typed schema of the parameter panel: type, unit, limits and default of every
+// key, plus rules tying several keys together. The panel keeps raw strings
+// (they travel through the URL, localStorage and scenario files); the models
+// only see the typed values produced here. Defaults mirror the panel's initial
+// values and complete parameter sets that arrive without the panel, such as a
+// detail page's query; optional keys default to null (blank).
+
+const PARAMETER_SCHEMA = {
+    'num-satellites': { type: 'integer', min: 1, max: 4, default: 4 },
+    'altitude-model': { type: 'enum', values: Object.keys(ALTITUDE_MODELS), default: 'LE600' },
+    'start-elevation': { type: 'number', unit: '°', min: 20, max: 160, default: 30 },
+    'max-elevation': { type: 'number', unit: '°', min: 20, max: 160, default: 90 },
+    'orbit-j2': { type: 'enum', values: ['off', 'on'], default: 'off' },
+    'window-start': { type: 'datetime', default: '2025-01-01T00:00' },
+    'window-duration': { type: 'number', unit: 'min', min: 10, max: 1440, default: 120 },
+    'sim-step': { type: 'enum', unit: 's', values: [1, 5, 10, 30, 60], default: 10 },
+    'elevation-mask': { type: 'number', unit: '°', min: 0, max: 60, default: 20 },
+    'ground-station-site': { type: 'enum', values: [...Object.keys(GROUND_SITE_PRESETS), 'custom'], default: 'taipei' },
+    'ground-station-lat': { type: 'number', unit: '°', min: -90, max: 90, default: 25.033 },
+    'ground-station-lon': { type: 'number', unit: '°', min: -180, max: 180, default: 121.5654 },
+    'ground-station-alt': { type: 'number', unit: 'm', min: -500, max: 9000, default: 10 },
+    'ground-station-mask': { type: 'number', unit: '°', min: 0, max: 60, optional: true },
+    'ground-station-horizon': { type: 'horizon', optional: true },
+    'handheld-device-site': { type: 'enum', values: [...Object.keys(GROUND_SITE_PRESETS), 'custom'], default: 'taipei' },
+    'handheld-device-lat': { type: 'number', unit: '°', min: -90, max: 90, default: 25.032 },
+    'handheld-device-lon': { type: 'number', unit: '°', min: -180, max: 180, default: 121.5644 },
+    'handheld-device-alt': { type: 'number', unit: 'm', min: -500, max: 9000, default: 0 },
+    'handheld-device-mask': { type: 'number', unit: '°', min: 0, max: 60, optional: true },
+    'handheld-device-horizon': { type: 'horizon', optional: true },
+    'roi-lat-min': { type: 'number', unit: '°', min: -89, max: 89, default: 24.4 },
+    'roi-lat-max': { type: 'number', unit: '°', min: -89, max: 89, default: 25.4 },
+    'roi-lon-min': { type: 'number', unit: '°', min: -180, max: 180, default: 120.9 },
+    'roi-lon-max': { type: 'number', unit: '°', min: -180, max: 180, default: 122.1 },
+    'roi-resolution': { type: 'number', unit: '°', min: 0.01, max: 5, default: 0.1 },
+    'frequency': { type: 'number', unit: 'MHz', min: 1000, max: 30000, default: 2100 },
+    'bandwidth': { type: 'number', unit: 'MHz', min: 5, max: 400, default: 20 },
+    'propagation-exceedance': { type: 'enum', unit: '%', values: EXCEEDANCE_OPTIONS, default: 1 },
+    'channel-environment': { type: 'enum', values: Object.keys(CHANNEL_ENVIRONMENTS), default: 'suburban' },
+    'channel-profile': { type: 'enum', values: Object.keys(CHANNEL_PROFILES), default: 'tdl' },
+    'channel-seed': { type: 'integer', min: 0, max: 2147483647, default: 1 },
+    'ue-power-class': { type: 'enum', values: Object.keys(UE_POWER_CLASSES), default: '3' },
+    'ue-antenna-gain': { type: 'number', unit: 'dBi', min: -10, max: 20, default: 0 },
+    'ue-noise-figure': { type: 'number', unit: 'dB', min: 0, max: 15, default: 7 },
+    'gs-profile': { type: 'enum', values: Object.keys(GROUND_STATION_PRESETS), default: 'gateway' },
+    'gs-dish-diameter': { type: 'number', unit: 'm', min: 0.1, max: 30, default: 2.4 },
+    'gs-dish-efficiency': { type: 'number', min: 0.1, max: 1, default: 0.6 },
+    'gs-noise-figure': { type: 'number', unit: 'dB', min: 0, max: 10, default: 1 },
+    'gs-tx-power': { type: 'number', unit: 'dBm', min: 0, max: 70, default: 40 },
+    'gs-gt': { type: 'number', unit: 'dB/K', min: -40, max: 60, optional: true },
+    'beam-set': { type: 'enum', values: Object.keys(PAYLOAD_APERTURES), default: 'set-1' },
+    'reuse-factor': { type: 'enum', values: FREQUENCY_REUSE_FACTORS, default: 3 },
+    'scs': { type: 'enum', unit: 'kHz', values: NR_SCS_OPTIONS, optional: true },
+    'mimo-layers': { type: 'enum', values: [1, 2, 4], default: 1 },
+    'dl-overhead': { type: 'number', min: 0, max: 0.9, optional: true },
+    'harq-processes': { type: 'enum', values: [16, 32, 'disabled'], default: 16 },
+    'harq-max-tx': { type: 'integer', min: 1, max: 8, default: 4 },
+    'payload-architecture': { type: 'enum', values: Object.keys(PAYLOAD_ARCHITECTURES), default: 'transparent' },
+    'gateway-network': { type: 'enum', values: Object.keys(GATEWAY_NETWORKS), default: 'single' },
+    'feeder-frequency': { type: 'number', unit: 'MHz', min: 1000, max: 50000, optional: true },
+    'feeder-mask': { type: 'number', unit: '°', min: 0, max: 60, default: 10 },
+    'gnss-position-error': { type: 'number', unit: 'm', min: 0, max: 1000, default: 10 },
+    'ephemeris-position-error': { type: 'number', unit: 'm', min: 0, max: 10000, default: 15 },
+    'ephemeris-velocity-error': { type: 'number', unit: 'm/s', min: 0, max: 100, default: 0.05 },
+    'precomp-interval': { type: 'number', unit: 'ms', min: 0, max: 10000, default: 1 },
+    'ho-policy': { type: 'enum', values: Object.keys(HANDOVER_POLICIES), default: 'max-rsrp' },
+    'ho-hysteresis': { type: 'number', unit: 'dB', min: 0, max: 15, default: 3 },
+    'ho-ttt': { type: 'enum', unit: 'ms', values: [0, 40, 160, 320, 640, 1280, 2560, 5120], default: 640 },
+    'cho-time-margin': { type: 'number', unit: 's', min: 0, max: 600, default: 10 },
+    'cho-d1-threshold1': { type: 'number', unit: 'km', min: 0, max: 50000, optional: true },
+    'cho-d1-threshold2': { type: 'number', unit: 'km', min: 0, max: 50000, optional: true },
+    'monitor-latency-threshold': { type: 'number', unit: 'ms', min: 0, max: 1000, default: 50 },
+    'monitor-margin-threshold': { type: 'number', unit: 'dB', min: -30, max: 30, default: 0 }
+};
+
+[1, 2, 3, 4].forEach(n => {
+    PARAMETER_SCHEMA[`sat${n}-source`] = { type: 'string', default: '' };
+    PARAMETER_SCHEMA[`sat${n}-eirp-density`] = { type: 'number', unit: 'dBW/MHz', min: -20, max: 80, optional: true };
+    PARAMETER_SCHEMA[`sat${n}-gt`] = { type: 'number', unit: 'dB/K', min: -30, max: 50, optional: true };
+    PARAMETER_SCHEMA[`sat${n}-beam-count`] = { type: 'integer', min: 1, max: 100, default: 19 };
+    PARAMETER_SCHEMA[`sat${n}-antenna-pattern`] = { type: 'enum', values: PAYLOAD_ANTENNA_PATTERNS, default: 'bessel' };
+    PARAMETER_SCHEMA[`sat${n}-altitude-model`] = { type: 'enum', values: Object.keys(ALTITUDE_MODELS), optional: true };
+    PARAMETER_SCHEMA[`sat${n}-altitude`] = { type: 'number', unit: 'km', min: 300, max: 2000, optional: true };
+    PARAMETER_SCHEMA[`sat${n}-inclination`] = { type: 'number', unit: '°', min: 0, max: 180, optional: true };
+    PARAMETER_SCHEMA[`sat${n}-direction`] = { type: 'enum', values: PASS_DIRECTIONS, default: 'ascending' };
+    PARAMETER_SCHEMA[`sat${n}-start-elevation`] = { type: 'number', unit: '°', min: 20, max: 160, optional: true };
+    PARAMETER_SCHEMA[`sat${n}-raan-offset`] = { type: 'number', unit: '°', min: -180, max: 180, optional: true };
+    PARAMETER_SCHEMA[`sat${n}-phase-offset`] = { type: 'number', unit: '°', min: -180, max: 180, optional: true };
+});
+
+// A pass cannot start above its culmination; the fix keeps the start on the
+// same side of zenith. Blank per-slot start elevations are not checked.
+function startElevationRule(key) {
+    const max = v => ParameterSchema.foldElevation(v['max-elevation']);
+    return {
+        target: key,
+        check: v => v[key] !== null && ParameterSchema.foldElevation(v[key]) > max(v)
+            ? `Start elevation lies beyond the pass maximum of ${max(v)}°`
+            : null,
+        fix: v => v[key] <= 90 ? max(v) : 180 - max(v)
+    };
+}
+
+// The region of interest needs some extent on each axis or its grid has no
+// cells; the fix widens it by one grid step, inwards at the edge of the globe
+function regionSpanRule(axis, name) {
+    const minKey = `roi-${axis}-min`;
+    const maxKey = `roi-${axis}-max`;
+    const span = PARAMETER_SCHEMA['roi-resolution'].min;
+    return {
+        target: maxKey,
+        check: v => Math.abs(v[maxKey] - v[minKey]) < span
+            ? `The region must span at least ${span}° of ${name}`
+            : null,
+        fix: v => {
+            const step = Math.max(span, v['roi-resolution']);
+            const edge = v[minKey] + step <= PARAMETER_SCHEMA[maxKey].max ? v[minKey] + step : v[minKey] - step;
+            return +edge.toFixed(6);
+        }
+    };
+}
+
+// Rules over typed values; `target` is the key that carries the message and
+// that `fix` adjusts when untrusted input breaks the rule
+const PARAMETER_RULES = [
+    startElevationRule('start-elevation'),
+    ...[1, 2, 3, 4].map(n => startElevationRule(`sat${n}-start-elevation`)),
+    regionSpanRule('lat', 'latitude'),
+    regionSpanRule('lon', 'longitude'),
+    {
+        target: 'scs',
+        check: v => {
+            const range = Throughput.frequencyRange(v.frequency);
+            return v.scs !== null && !NR_MAX_RB[range][v.scs] ? `${v.scs} kHz SCS is not defined in ${range}` : null;
+        },
+        fix: () => null
+    },
+    {
+        target: 'bandwidth',
+        check: v => {
+            const range = Throughput.frequencyRange(v.frequency);
+            const scs = ParameterSchema.effectiveScs(v);
+            const valid = Throughput.channelBandwidths(range, scs);
+            return valid.includes(v.bandwidth)
+                ? null
+                : `${v.bandwidth} MHz is not a ${range} channel bandwidth at ${scs} kHz SCS (${valid.join(', ')} MHz)`;
+        },
+        fix: v => {
+            const valid = Throughput.channelBandwidths(Throughput.frequencyRange(v.frequency), ParameterSchema.effectiveScs(v));
+            return valid.reduce((best, b) => Math.abs(b - v.bandwidth) < Math.abs(best - v.bandwidth) ? b : best, valid[0]);
+        }
+    }
+];
+
+class ParameterSchema {
+    static spec(key) {
+        return PARAMETER_SCHEMA[key] || { type: 'string' };
+    }
+
+    // Elevations above 90° describe the descending half of the pass
+    static foldElevation(elevation) {
+        return elevation <= 90 ? elevation : 180 - elevation;
+    }
+
+    static range(spec) {
+        return `${spec.min} to ${spec.max}${spec.unit ? ` ${spec.unit}` : ''}`;
+    }
+
+    // Typed value of a raw panel string as { value } or { error }; with `clamp`
+    // out-of-range numbers are pulled inside the limits and flagged `adjusted`
+    static coerce(key, raw, { clamp = false } = {}) {
+        const spec = ParameterSchema.spec(key);
+        const text = raw === undefined || raw === null ? '' : String(raw).trim();
+
+        if (spec.type === 'string') return { value: text };
+        if (text === '') return spec.optional ? { value: null } : { error: 'A value is required' };
+
+        switch (spec.type) {
+            case 'number':
+            case 'integer': {
+                let value = Number(text);
+                let adjusted = false;
+                if (!isFinite(value)) return { error: 'Enter a number' };
+                if (spec.type === 'integer' && !Number.isInteger(value)) {
+                    if (!clamp) return { error: 'Enter a whole number' };
+                    value = Math.round(value);
+                    adjusted = true;
+                }
+                if (value < spec.min || value > spec.max) {
+                    if (!clamp) return { error: `Must be ${ParameterSchema.range(spec)}` };
+                    value = Math.min(spec.max, Math.max(spec.min, value));
+                    adjusted = true;
+                }
+                return { value, adjusted };
+            }
+            case 'enum': {
+                const match = spec.values.find(v => String(v) === text);
+                return match === undefined
+                    ? { error: `Must be one of ${spec.values.join(', ')}${spec.unit ? ` ${spec.unit}` : ''}` }
+                    : { value: match };
+            }
+            case 'datetime':
+                return OrbitPropagator.parseUtc(text) === null ? { error: 'Enter a UTC date and time' } : { value: text };
+            case 'horizon':
+                return OrbitPropagator.parseHorizon(text) === null
+                    ? { error: 'Use azimuth:elevation pairs with elevations of 0 to 90°, e.g. 0:5, 90:12' }
+                    : { value: text };
+            default:
+                return { value: text };
+        }
+    }
+
+    static defaultValue(key) {
+        const spec = ParameterSchema.spec(key);
+        return spec.default !== undefined ? spec.default : null;
+    }
+
+    // Complete typed parameter set from raw strings received without the panel:
+    // missing keys take their default, unusable values take it with an error,
+    // and broken cross-field rules are fixed with an error on their target
+    static typed(raw) {
+        const values = {};
+        const errors = {};
+        Object.keys(PARAMETER_SCHEMA).forEach(key => {
+            if (raw[key] === undefined) {
+                values[key] = ParameterSchema.defaultValue(key);
+                return;
+            }
+            const result = ParameterSchema.coerce(key, raw[key]);
+            values[key] = result.error ? ParameterSchema.defaultValue(key) : result.value;
+            if (result.error) errors[key] = `"${raw[key]}": ${result.error}; using ${ParameterSchema.format(values[key]) || 'the default'}`;
+        });
+
+        ParameterSchema.fixCrossField(values).forEach(({ key, message }) => {
+            errors[key] = `${message}; using ${ParameterSchema.format(values[key]) || 'the default'}`;
+        });
+        return { values, errors };
+    }
+
+    // Raw string written back to the panel for a typed value
+    static format(value) {
+        return value === null || value === undefined ? '' : String(value);
+    }
+
+    static effectiveScs(values) {
+        return values.scs !== null && NR_MAX_RB[Throughput.frequencyRange(values.frequency)][values.scs]
+            ? values.scs
+            : Throughput.defaultScsKhz(Throughput.frequencyRange(values.frequency));
+    }
+
+    // Messages of the cross-field rules the typed values break, keyed by target
+    static crossFieldErrors(values) {
+        const errors = {};
+        PARAMETER_RULES.forEach(rule => {
+            const message = rule.check(values);
+            if (message) errors[rule.target] = message;
+        });
+        return errors;
+    }
+
+    // Applies each broken rule's fix in order; returns what was repaired and why
+    static fixCrossField(values) {
+        const fixes = [];
+        PARAMETER_RULES.forEach(rule => {
+            const message = rule.check(values);
+            if (!message) return;
+            values[rule.target] = rule.fix(values);
+            fixes.push({ key: rule.target, message });
+        });
+        return fixes;
+    }
+}
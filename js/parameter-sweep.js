@@ -0,0 +1,154 @@
+// Parameter sweeps: the scenario evaluated headlessly for every combination of
+// one or two varied parameters and reduced to a few KPIs. sweep-worker.js runs
+// the evaluations off the UI thread; the page falls back to running them in
+// short slices when workers are unavailable (e.g. when opened from file://).
+
+const SWEEP_PARAMETERS = {
+    'altitude-model': 'Altitude model',
+    'num-satellites': 'Number of satellites',
+    'elevation-mask': 'Min elevation (°)',
+    'start-elevation': 'Start elevation (°)',
+    'frequency': 'Frequency (MHz)',
+    'bandwidth': 'Bandwidth (MHz)',
+    'propagation-exceedance': 'Atmospheric loss exceeded (%)',
+    'beam-set': 'Beam set',
+    'reuse-factor': 'Frequency reuse',
+    'ue-power-class': 'UE power class',
+    'payload-architecture': 'Payload architecture',
+    'gateway-network': 'Gateway network',
+    'harq-processes': 'HARQ processes',
+    'ho-policy': 'Handover policy',
+    'ho-hysteresis': 'Handover hysteresis (dB)',
+    'ho-ttt': 'Time-to-trigger (ms)'
+};
+
+const SWEEP_KPIS = {
+    availability: { label: 'Availability', unit: '%', digits: 1, better: 'higher' },
+    meanThroughputMbps: { label: 'Mean throughput', unit: 'Mbps', digits: 1, better: 'higher' },
+    meanSinrDb: { label: 'Mean SINR', unit: 'dB', digits: 1, better: 'higher' },
+    handoverCount: { label: 'Handovers', unit: '', digits: 0, better: 'lower' },
+    worstDopplerKhz: { label: 'Worst-case Doppler', unit: 'kHz', digits: 1, better: 'lower' }
+};
+
+const MAX_SWEEP_VALUES = 12;
+const MAX_SWEEP_COMBINATIONS = 64;
+const SWEEP_LINK_SAMPLES = 120; // serving-link evaluations per combination
+const SWEEP_SLICE_INSTANTS = 60; // handover sampling instants between checks of the slice budget
+const SWEEP_SLICE_MS = 40; // work per task when the page runs the sweep itself
+
+class ParameterSweep {
+    // Values of one axis: blank lists every option of an enum, "start:stop:step"
+    // spans a numeric range, anything else is a comma-separated list. Each value
+    // is checked against the schema; throws with a user-facing message.
+    static parseValues(key, text) {
+        const spec = ParameterSchema.spec(key);
+        const label = SWEEP_PARAMETERS[key] || key;
+        const input = String(text || '').trim();
+        let raw;
+
+        if (input === '') {
+            if (spec.type !== 'enum') throw new Error(`Enter values for ${label}`);
+            raw = spec.values.map(String);
+        } else if (input.includes(':')) {
+            const [start, stop, step] = input.split(':').map(Number);
+            if (![start, stop, step].every(isFinite) || step <= 0 || stop < start) {
+                throw new Error(`${label}: a range is written start:stop:step with step > 0`);
+            }
+            raw = [];
+            for (let v = start; v <= stop + step * 1e-9 && raw.length <= MAX_SWEEP_VALUES; v += step) {
+                raw.push(String(Math.round(v * 1e6) / 1e6));
+            }
+        } else {
+            raw = input.split(',').map(v => v.trim()).filter(v => v !== '');
+        }
+
+        if (raw.length > MAX_SWEEP_VALUES) throw new Error(`${label}: at most ${MAX_SWEEP_VALUES} values`);
+        raw.forEach(value => {
+            const result = ParameterSchema.coerce(key, value);
+            if (result.error) throw new Error(`${label} "${value}": ${result.error}`);
+        });
+        return [...new Set(raw)];
+    }
+
+    // Every combination of the axes applied on top of `base`; `repair` turns a
+    // raw parameter set into a consistent one (clamping and cross-field rules)
+    static combinations(base, axes, repair = (params) => params) {
+        const [x, y] = axes;
+        const yValues = y ? y.values : [null];
+        if (x.values.length * yValues.length > MAX_SWEEP_COMBINATIONS) {
+            throw new Error(`${x.values.length * yValues.length} combinations; the limit is ${MAX_SWEEP_COMBINATIONS}`);
+        }
+
+        const jobs = [];
+        yValues.forEach((yValue, yi) => x.values.forEach((xValue, xi) => {
+            const params = { ...base, [x.key]: xValue };
+            if (y) params[y.key] = yValue;
+            jobs.push({ xi, yi, xValue, yValue, params: repair(params) });
+        }));
+        return jobs;
+    }
+
+    // KPIs of one parameter set over its simulation window
+    static evaluate(params, catalog = {}) {
+        const evaluation = ParameterSweep.begin(params, catalog);
+        ParameterSweep.advance(evaluation, Infinity);
+        return evaluation.kpis;
+    }
+
+    // The evaluation in resumable form for the page: each advance() works for
+    // about `budgetMs` and returns true once `evaluation.kpis` is set
+    static begin(params, catalog = {}) {
+        const propagator = OrbitPropagator.fromParameters(params, { catalog });
+        const durationSec = params['window-duration'] * 60;
+        return {
+            params,
+            propagator,
+            durationSec,
+            sampling: HandoverSimulator.startSampling(propagator, params, 'handheld-device', propagator.epoch, durationSec),
+            handover: null,
+            k: 0,
+            served: 0,
+            throughputSum: 0,
+            sinrSum: 0,
+            worstDopplerHz: null,
+            kpis: null
+        };
+    }
+
+    static advance(evaluation, budgetMs) {
+        const deadline = Date.now() + budgetMs;
+        const { params, propagator, durationSec } = evaluation;
+
+        while (!evaluation.handover) {
+            if (HandoverSimulator.sampleMore(evaluation.sampling, SWEEP_SLICE_INSTANTS)) {
+                const samples = HandoverSimulator.finishSampling(evaluation.sampling);
+                evaluation.handover = HandoverSimulator.simulate(HandoverSimulator.options(params), 'handheld-device', samples);
+            }
+            if (Date.now() >= deadline) return false;
+        }
+
+        for (; evaluation.k < SWEEP_LINK_SAMPLES; evaluation.k++) {
+            if (Date.now() >= deadline) return false;
+            const timeMs = propagator.epoch + evaluation.k / (SWEEP_LINK_SAMPLES - 1) * durationSec * 1000;
+            const link = EndToEndLink.servingLink(propagator, params, timeMs, HandoverSimulator.servingAt(evaluation.handover, timeMs));
+            if (!link.serving) continue;
+            evaluation.served++;
+            evaluation.throughputSum += link.throughput;
+            evaluation.sinrSum += link.sinr;
+            const state = link.budgets.find(b => b.state.id === link.satelliteId).state;
+            const dopplerHz = Math.abs(DopplerDelay.dopplerHz(state.look['handheld-device'], params.frequency));
+            evaluation.worstDopplerHz = Math.max(evaluation.worstDopplerHz || 0, dopplerHz);
+        }
+
+        const { handover, served, worstDopplerHz } = evaluation;
+        evaluation.kpis = {
+            availability: (1 - handover.outageSec / durationSec) * 100,
+            // Outages count as zero throughput
+            meanThroughputMbps: evaluation.throughputSum / SWEEP_LINK_SAMPLES,
+            meanSinrDb: served > 0 ? evaluation.sinrSum / served : null,
+            handoverCount: handover.handoverCount,
+            worstDopplerKhz: worstDopplerHz === null ? null : worstDopplerHz / 1000
+        };
+        return true;
+    }
+}
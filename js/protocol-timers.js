@@ -0,0 +1,252 @@
+// NR random access, HARQ, RLC and PDCP timers checked against the NTN round
+// trip. Each timer is compared with the UE–gNB round trip it has to cover:
+// with a transparent payload the gNB sits behind the feeder link, with a
+// regenerative one it is on board and only the service link counts. Rel-17
+// NTN starts the RAR window and the contention resolution timer, and extends
+// the HARQ RTT timer, by the UE's RTT estimate (TA + K_mac), so those keep
+// only the processing time; the RLC and PDCP timers have to be configured
+// large enough.
+//
+// The differential delay is the one-way service-link delay beyond that of the
+// sub-satellite point, i.e. what a cell-wide timing reference cannot absorb.
+
+const GNB_PROCESSING_MS = 1; // gNB decoding (preamble, Msg3, HARQ feedback) and scheduling of the answer
+const MAX_TIMER_SAMPLES = 240;
+
+const RLC_T_REASSEMBLY_MS = [0, 5, 10, 15, 20, 25, 30, 35, 40, 45, 50, 55, 60, 65, 70, 75, 80, 85, 90, 95, 100,
+    110, 120, 130, 140, 150, 160, 170, 180, 190, 200];
+const RLC_T_POLL_RETRANSMIT_MS = [...Array.from({ length: 50 }, (v, i) => 5 * (i + 1)),
+    300, 350, 400, 450, 500, 800, 1000, 2000, 4000];
+const PDCP_DISCARD_TIMER_MS = [10, 20, 30, 40, 50, 60, 75, 100, 150, 200, 250, 300, 500, 750, 1500, Infinity];
+
+// Standard values (Rel-17 included, slot-based ones at the scenario SCS) and
+// the setting a terrestrial deployment typically uses
+const PROTOCOL_TIMERS = {
+    'rar-window': {
+        label: 'ra-ResponseWindow',
+        spec: 'TS 38.321 §5.1.4',
+        unit: 'ms',
+        // sl1…sl80, at most 10 ms in licensed spectrum
+        values: (o) => [1, 2, 4, 8, 10, 20, 40, 80].map(n => n * o.slotMs).filter(v => v <= 10),
+        typical: () => 10,
+        rttOffset: true,
+        rel17: 'Window starts after the UE–gNB RTT estimate'
+    },
+    'contention-resolution': {
+        label: 'ra-ContentionResolutionTimer',
+        spec: 'TS 38.321 §5.1.5',
+        unit: 'ms',
+        values: () => [8, 16, 24, 32, 40, 48, 56, 64],
+        typical: () => 64,
+        rttOffset: true,
+        rel17: 'Timer starts after the UE–gNB RTT estimate'
+    },
+    'k-offset': {
+        label: 'K_offset (K2 ≤ 32 slots without it)',
+        spec: 'TS 38.213 §4.2',
+        unit: 'slots',
+        values: () => Array.from({ length: 1024 }, (v, i) => i),
+        typical: () => 32,
+        rel17: 'Cell-specific Koffset in SIB19, up to 1023 slots'
+    },
+    'harq-rtt-timer': {
+        label: 'drx-HARQ-RTT-Timer',
+        spec: 'TS 38.321 §5.7',
+        unit: 'ms',
+        // 0…56 symbols
+        values: (o) => Array.from({ length: 57 }, (v, i) => i / 14 * o.slotMs),
+        typical: (o) => 4 * o.slotMs,
+        rttOffset: true,
+        rel17: 'Extended by the UE–gNB RTT'
+    },
+    'harq-processes': {
+        label: 'HARQ processes',
+        spec: 'TS 38.214 §5.1',
+        unit: 'processes',
+        values: () => [16, 32],
+        typical: () => 16,
+        rel17: '32 processes, or HARQ feedback disabled'
+    },
+    't-reassembly': {
+        label: 'RLC t-Reassembly',
+        spec: 'TS 38.322 §5.2.2',
+        unit: 'ms',
+        values: () => RLC_T_REASSEMBLY_MS,
+        typical: () => 35,
+        rel17: 'Configure above the HARQ retransmission time, or disable HARQ feedback'
+    },
+    't-poll-retransmit': {
+        label: 'RLC t-PollRetransmit',
+        spec: 'TS 38.322 §5.3.3',
+        unit: 'ms',
+        values: () => RLC_T_POLL_RETRANSMIT_MS,
+        typical: () => 45,
+        rel17: 'Configure above the RLC status round trip'
+    },
+    'pdcp-discard': {
+        label: 'PDCP discardTimer',
+        spec: 'TS 38.323 §5.2.1',
+        unit: 'ms',
+        values: () => PDCP_DISCARD_TIMER_MS,
+        typical: () => 100,
+        rel17: 'Configure to allow one RLC ARQ retransmission'
+    }
+};
+
+class ProtocolTimers {
+    static options(params) {
+        const throughput = Throughput.options(params);
+        const feeder = EndToEndLink.options(params);
+        return {
+            scsKhz: throughput.scsKhz,
+            slotMs: 1 / 2 ** throughput.numerology,
+            transparent: feeder.architecture === 'transparent',
+            maskDeg: OrbitPropagator.elevationMask(params),
+            feederMaskDeg: feeder.maskDeg,
+            harqEnabled: throughput.harqProcesses > 0,
+            maxTransmissions: throughput.maxTransmissions
+        };
+    }
+
+    static slantRangeKm(altitudeKm, elevationDeg) {
+        const r = EARTH.radiusKm;
+        const el = elevationDeg * DEG;
+        return Math.sqrt((r + altitudeKm) ** 2 - (r * Math.cos(el)) ** 2) - r * Math.sin(el);
+    }
+
+    // Value each timer needs for a UE–gNB round trip, in the timer's unit
+    static requirements(rttMs, options) {
+        const retransmissionMs = options.harqEnabled ? (options.maxTransmissions - 1) * (rttMs + HARQ_PROCESSING_MS) : 0;
+        const statusRoundTripMs = rttMs + retransmissionMs + HARQ_PROCESSING_MS;
+
+        return {
+            'rar-window': rttMs + GNB_PROCESSING_MS,
+            'contention-resolution': rttMs + GNB_PROCESSING_MS,
+            'k-offset': Math.ceil(rttMs / options.slotMs),
+            'harq-rtt-timer': rttMs + GNB_PROCESSING_MS,
+            'harq-processes': options.harqEnabled ? Math.ceil((options.slotMs + rttMs + HARQ_PROCESSING_MS) / options.slotMs) : 0,
+            // Missing segments wait for the remaining HARQ transmissions
+            't-reassembly': retransmissionMs,
+            't-poll-retransmit': statusRoundTripMs,
+            // Poll, status report and one retransmission with its own HARQ attempts
+            'pdcp-discard': statusRoundTripMs + rttMs / 2 + retransmissionMs
+        };
+    }
+
+    // Typical setting and smallest sufficient standard value of every timer
+    static check(rttMs, options) {
+        const required = ProtocolTimers.requirements(rttMs, options);
+
+        return Object.keys(PROTOCOL_TIMERS).map(key => {
+            const timer = PROTOCOL_TIMERS[key];
+            const typical = timer.typical(options);
+            const needed = timer.rttOffset ? required[key] - rttMs : required[key];
+            const minimum = timer.values(options).find(v => v >= needed - 1e-9);
+
+            return {
+                key,
+                label: timer.label,
+                spec: timer.spec,
+                unit: timer.unit,
+                rel17: timer.rel17,
+                required: required[key],
+                typical,
+                typicalOk: typical >= required[key] - 1e-9,
+                minimum: minimum === undefined ? null : minimum
+            };
+        });
+    }
+
+    // Worst case of an altitude: the UE at the elevation mask and, with a
+    // transparent payload, the gateway at the feeder mask
+    static worstCase(altitudeKm, options) {
+        const serviceKm = ProtocolTimers.slantRangeKm(altitudeKm, options.maskDeg);
+        const feederKm = options.transparent ? ProtocolTimers.slantRangeKm(altitudeKm, options.feederMaskDeg) : 0;
+        const rttMs = 2 * (serviceKm + feederKm) / SPEED_OF_LIGHT * 1000;
+
+        return {
+            altitudeKm,
+            rttMs,
+            differentialMs: (serviceKm - altitudeKm) / SPEED_OF_LIGHT * 1000,
+            kOffsetSlots: Math.ceil(rttMs / options.slotMs),
+            checks: ProtocolTimers.check(rttMs, options)
+        };
+    }
+
+    static byAltitudeModel(params) {
+        const options = ProtocolTimers.options(params);
+        return Object.keys(ALTITUDE_MODELS).map(model => ({ model, ...ProtocolTimers.worstCase(ALTITUDE_MODELS[model], options) }));
+    }
+
+    // Round trip and differential delay of one satellite state seen from the
+    // handheld; null while it cannot serve
+    static point(state, params, options, feeder) {
+        const look = state.look['handheld-device'];
+        const choice = options.transparent ? EndToEndLink.selectGateway(state, feeder.gateways, feeder.options) : null;
+        const visible = OrbitPropagator.isVisible(params, feeder.site, look) && (!options.transparent || choice !== null);
+        const feederKm = choice ? choice.look.rangeKm : 0;
+
+        return {
+            id: state.id,
+            timeMs: state.timeMs,
+            elevation: look.elevation,
+            visible,
+            altitudeKm: state.altitudeKm,
+            feederKm,
+            rttMs: visible ? 2 * (look.rangeKm + feederKm) / SPEED_OF_LIGHT * 1000 : null,
+            differentialMs: visible ? (look.rangeKm - state.altitudeKm) / SPEED_OF_LIGHT * 1000 : null
+        };
+    }
+
+    static feederContext(propagator, params) {
+        const options = EndToEndLink.options(params);
+        return { options, gateways: EndToEndLink.gateways(propagator, options), site: propagator.sites['handheld-device'] };
+    }
+
+    static current(propagator, params, timeMs) {
+        const options = ProtocolTimers.options(params);
+        const feeder = ProtocolTimers.feederContext(propagator, params);
+        return propagator.getAllStates(timeMs).map(state => ProtocolTimers.point(state, params, options, feeder));
+    }
+
+    // Round trip of every satellite over the window, its worst case and the
+    // K_offset that covers it; the cell-specific Koffset also covers a UE at
+    // the edge of the footprint
+    static overWindow(propagator, params, { startTime = propagator.epoch, durationSec } = {}) {
+        const options = ProtocolTimers.options(params);
+        const feeder = ProtocolTimers.feederContext(propagator, params);
+        const windowSec = durationSec || params['window-duration'] * 60;
+        const stepSec = Math.max(1, Math.ceil(windowSec / MAX_TIMER_SAMPLES));
+
+        const series = propagator.satellites.map((sat, index) => {
+            const points = [];
+            for (let t = 0; t <= windowSec; t += stepSec) {
+                points.push(ProtocolTimers.point(propagator.getSatelliteState(index, startTime + t * 1000), params, options, feeder));
+            }
+            const served = points.filter(p => p.visible);
+            const maxRttMs = served.length > 0 ? Math.max(...served.map(p => p.rttMs)) : null;
+            const edgeKm = ProtocolTimers.slantRangeKm(Math.max(...points.map(p => p.altitudeKm)), options.maskDeg);
+            const edgeRttMs = 2 * (edgeKm + Math.max(0, ...served.map(p => p.feederKm))) / SPEED_OF_LIGHT * 1000;
+
+            return {
+                id: sat.id,
+                name: sat.name,
+                source: sat.source,
+                points,
+                maxRttMs,
+                maxDifferentialMs: served.length > 0 ? Math.max(...served.map(p => p.differentialMs)) : null,
+                kOffsetSlots: maxRttMs === null ? null : Math.ceil(maxRttMs / options.slotMs),
+                cellKOffsetSlots: served.length > 0 ? Math.ceil(edgeRttMs / options.slotMs) : null,
+                checks: maxRttMs === null ? null : ProtocolTimers.check(maxRttMs, options)
+            };
+        });
+
+        return { options, start: startTime, durationMs: windowSec * 1000, series };
+    }
+
+    static formatValue(value, unit) {
+        if (value === null) return '—';
+        if (!isFinite(value)) return 'infinity';
+        return unit === 'ms' ? `${+value.toFixed(value < 10 ? 2 : 1)} ms` : `${value} ${unit}`;
+    }
+}
@@ -0,0 +1,215 @@
+// Downloads of simulation results: time series and handover events as CSV or
+// JSON, charts as PNG or SVG, and a printable HTML report. Charts are drawn
+// straight onto canvases, so the SVG wraps the rendered bitmap rather than
+// vector paths.
+
+// CSV columns of the per-timestep series; one row per satellite and instant
+const TIME_SERIES_COLUMNS = [
+    { key: 'time', label: 'time_utc' },
+    { key: 'satelliteId', label: 'satellite' },
+    { key: 'servingId', label: 'serving_satellite' },
+    { key: 'elevation', label: 'elevation_deg', digits: 3 },
+    { key: 'azimuth', label: 'azimuth_deg', digits: 3 },
+    { key: 'rangeKm', label: 'range_km', digits: 3 },
+    { key: 'dopplerHz', label: 'doppler_hz', digits: 1 },
+    { key: 'oneWayDelayMs', label: 'one_way_delay_ms', digits: 4 },
+    { key: 'snrDb', label: 'snr_db', digits: 2 },
+    { key: 'sinrDb', label: 'sinr_db', digits: 2 },
+    { key: 'throughputMbps', label: 'throughput_mbps', digits: 3 }
+];
+
+const HANDOVER_COLUMNS = [
+    { key: 'time', label: 'time_utc' },
+    { key: 'fromId', label: 'from_satellite' },
+    { key: 'toId', label: 'to_satellite' },
+    { key: 'reason', label: 'reason' },
+    { key: 'sourceElevation', label: 'source_elevation_deg', digits: 2 },
+    { key: 'targetElevation', label: 'target_elevation_deg', digits: 2 },
+    { key: 'sourceRsrpDbm', label: 'source_rsrp_dbm', digits: 2 },
+    { key: 'targetRsrpDbm', label: 'target_rsrp_dbm', digits: 2 },
+    { key: 'interruptionMs', label: 'interruption_ms', digits: 2 },
+    { key: 'success', label: 'success' },
+    { key: 'pingPong', label: 'ping_pong' }
+];
+
+const MAX_EXPORT_SAMPLES = 720;
+// Revoking the blob URL right after the click can cancel the download in some browsers
+const REVOKE_DELAY_MS = 1000;
+
+class ResultExport {
+    static download(content, fileName, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        setTimeout(() => {
+            URL.revokeObjectURL(link.href);
+            link.remove();
+        }, REVOKE_DELAY_MS);
+    }
+
+    // Scenario-stamped file name, e.g. ntn-time-series-20250101T000000Z.csv
+    static fileName(base, timeMs, extension) {
+        const stamp = new Date(timeMs).toISOString().replace(/[-:]|\.\d+/g, '');
+        return `ntn-${base}-${stamp}.${extension}`;
+    }
+
+    static csvCell(value, digits) {
+        if (value === null || value === undefined || (typeof value === 'number' && !isFinite(value))) return '';
+        if (typeof value === 'number' && digits !== undefined) return value.toFixed(digits);
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    static toCsv(rows, columns) {
+        const lines = [columns.map(c => c.label).join(',')];
+        rows.forEach(row => lines.push(columns.map(c => ResultExport.csvCell(row[c.key], c.digits)).join(',')));
+        return lines.join('\n') + '\n';
+    }
+
+    // JSON cannot carry ±Infinity, which marks an unavailable link
+    static toJson(data) {
+        return JSON.stringify(data, (key, value) => typeof value === 'number' && !isFinite(value) ? null : value, 2);
+    }
+
+    // Instants at the clock step over the window, coarsened to at most
+    // MAX_EXPORT_SAMPLES intervals
+    static sampleTimes(startTime, durationSec, stepSec) {
+        const step = Math.max(stepSec, Math.ceil(durationSec / MAX_EXPORT_SAMPLES));
+        const times = [];
+        for (let t = 0; t <= durationSec; t += step) times.push(startTime + t * 1000);
+        return { times, stepSec: step };
+    }
+
+    // Flattens `{ time, servingId, sinrDb, throughputMbps, satellites: [...] }`
+    // samples into one row per satellite; SINR and throughput belong to the
+    // serving satellite only
+    static timeSeriesRows(samples) {
+        const rows = [];
+        samples.forEach(sample => sample.satellites.forEach(sat => {
+            const serving = sat.id === sample.servingId;
+            rows.push({
+                ...sat,
+                time: sample.time,
+                satelliteId: sat.id,
+                servingId: sample.servingId,
+                sinrDb: serving ? sample.sinrDb : null,
+                throughputMbps: serving ? sample.throughputMbps : null
+            });
+        }));
+        return rows;
+    }
+
+    static handoverRows(events) {
+        return events.map(event => ({ ...event, time: new Date(event.timeMs).toISOString() }));
+    }
+
+    static pngFromCanvas(canvas) {
+        return canvas.toDataURL('image/png');
+    }
+
+    static svgFromCanvas(canvas, title = '') {
+        const escape = ResultExport.escapeHtml;
+        return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${canvas.width}" height="${canvas.height}" viewBox="0 0 ${canvas.width} ${canvas.height}">\n` +
+            (title ? `  <title>${escape(title)}</title>\n` : '') +
+            `  <rect width="100%" height="100%" fill="#ffffff"/>\n` +
+            `  <image width="${canvas.width}" height="${canvas.height}" xlink:href="${ResultExport.pngFromCanvas(canvas)}"/>\n` +
+            '</svg>\n';
+    }
+
+    // Heading of the card or page a canvas sits in, used as chart title
+    static chartTitle(canvas) {
+        const card = canvas.closest('.performance-card, .chart-container, .analysis-section, .page-content');
+        const heading = card && card.querySelector('h2, h3');
+        return heading ? heading.textContent.trim() : canvas.id;
+    }
+
+    static downloadChart(canvas, format, timeMs) {
+        const fileName = ResultExport.fileName(canvas.id, timeMs, format);
+        if (format === 'svg') {
+            ResultExport.download(ResultExport.svgFromCanvas(canvas, ResultExport.chartTitle(canvas)), fileName, 'image/svg+xml');
+        } else {
+            canvas.toBlob(blob => ResultExport.download(blob, fileName));
+        }
+    }
+
+    // PNG/SVG buttons under every canvas in `root`; `stampTime` gives the
+    // instant the file names are stamped with
+    static attachChartButtons(root = document, stampTime = () => Date.now()) {
+        root.querySelectorAll('canvas[id]').forEach(canvas => {
+            if (canvas.nextElementSibling && canvas.nextElementSibling.classList.contains('chart-export')) return;
+            const bar = document.createElement('div');
+            bar.className = 'chart-export';
+            ['png', 'svg'].forEach(format => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'control-btn';
+                button.textContent = format.toUpperCase();
+                button.title = `Save this chart as ${format.toUpperCase()}`;
+                button.addEventListener('click', () => ResultExport.downloadChart(canvas, format, stampTime()));
+                bar.appendChild(button);
+            });
+            canvas.insertAdjacentElement('afterend', bar);
+        });
+    }
+
+    // A canvas nobody has drawn on yet is fully transparent
+    static isBlank(canvas) {
+        if (!canvas.width || !canvas.height) return true;
+        const data = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] !== 0) return false;
+        }
+        return true;
+    }
+
+    static escapeHtml(value) {
+        return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' })[c]);
+    }
+
+    static htmlTable(headers, rows) {
+        const escape = ResultExport.escapeHtml;
+        return `<table><thead><tr>${headers.map(h => `<th>${escape(h)}</th>`).join('')}</tr></thead>` +
+            `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escape(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+    }
+
+    // Self-contained printable document; `sections` are { title, rows: [[label, value]] },
+    // `tables` are { title, headers, rows } and `charts` are { title, dataUrl }
+    static reportHtml({ title, generatedAt, sections = [], tables = [], charts = [] }) {
+        const escape = ResultExport.escapeHtml;
+        const body = [
+            `<h1>${escape(title)}</h1>`,
+            `<p class="meta">Generated ${escape(new Date(generatedAt).toISOString())} <button onclick="window.print()">Print</button></p>`,
+            ...sections.map(s => `<section><h2>${escape(s.title)}</h2>${ResultExport.htmlTable(['Item', 'Value'], s.rows)}</section>`),
+            ...charts.map(c => `<section class="chart"><h2>${escape(c.title)}</h2><img src="${c.dataUrl}" alt="${escape(c.title)}"></section>`),
+            ...tables.map(t => `<section><h2>${escape(t.title)}</h2>${t.rows.length > 0 ? ResultExport.htmlTable(t.headers, t.rows) : '<p>None</p>'}</section>`)
+        ].join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escape(title)}</title>
+<style>
+    body { font-family: Arial, sans-serif; color: #222; margin: 2rem; }
+    h1 { color: #1e3c72; }
+    h2 { font-size: 1.1rem; color: #2a5298; border-bottom: 1px solid #ccc; padding-bottom: 0.2rem; }
+    table { border-collapse: collapse; font-size: 0.85rem; margin-bottom: 1rem; }
+    th, td { border: 1px solid #ddd; padding: 0.25rem 0.5rem; text-align: left; }
+    th { background: #f0f3f8; }
+    img { max-width: 100%; border: 1px solid #e0e0e0; }
+    .meta { color: #666; }
+    section { page-break-inside: avoid; }
+    @media print { button { display: none; } }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+    }
+}
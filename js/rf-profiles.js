@@ -0,0 +1,127 @@
+// Editable RF profiles for the handheld, the ground station and each satellite
+// payload. Values come from the parameter panel; blank payload fields fall back
+// to the TR 38.821 defaults for the satellite's altitude class and band.
+
+// TR 38.821 Table 6.1.1.1-1 (Set-1) satellite parameters; the receiver noise
+// temperature is only used to express the uplink noise floor in dBm
+const PAYLOAD_DEFAULTS = {
+    S: {
+        LEO600: { eirpDensityDbwMhz: 34, gOverTDbK: 1.1, systemTemperatureK: 500 },
+        LEO1200: { eirpDensityDbwMhz: 40, gOverTDbK: 1.1, systemTemperatureK: 500 },
+        GEO: { eirpDensityDbwMhz: 59, gOverTDbK: 19, systemTemperatureK: 500 }
+    },
+    Ka: {
+        LEO600: { eirpDensityDbwMhz: 4, gOverTDbK: 13, systemTemperatureK: 700 },
+        LEO1200: { eirpDensityDbwMhz: 10, gOverTDbK: 13, systemTemperatureK: 700 },
+        GEO: { eirpDensityDbwMhz: 40, gOverTDbK: 28, systemTemperatureK: 700 }
+    }
+};
+
+// NR UE power classes (TS 38.101-1)
+const UE_POWER_CLASSES = {
+    '1': 31,
+    '1.5': 29,
+    '2': 26,
+    '3': 23
+};
+
+// Handheld per TR 38.821 Table 6.1.1.1-2, transmitting on a 360 kHz allocation;
+// power class, antenna gain and noise figure come from the panel
+const HANDHELD_DEFAULTS = {
+    antennaTemperatureK: 290,
+    polarizationLossDb: 3,
+    requiredSnrDb: -5,
+    uplinkBandwidthMHz: 0.36
+};
+
+// Ground station presets: a gateway-class dish and the TR 38.821 VSAT
+const GROUND_STATION_PRESETS = {
+    gateway: { txPowerDbm: 40, dishDiameterM: 2.4, dishEfficiency: 0.6, noiseFigureDb: 1.0, antennaTemperatureK: 80 },
+    vsat: { txPowerDbm: 33, dishDiameterM: 0.6, dishEfficiency: 0.65, noiseFigureDb: 1.2, antennaTemperatureK: 150 }
+};
+
+const PAYLOAD_ANTENNA_PATTERNS = ['bessel', 'gaussian', 'isotropic'];
+
+// Spot-beam antenna aperture diameters (m) of the TR 38.821 Set-1 and Set-2
+// satellite parameter sets; the beamwidth follows from the carrier wavelength
+const PAYLOAD_APERTURES = {
+    'set-1': {
+        S: { LEO600: 2, LEO1200: 2, GEO: 22 },
+        Ka: { LEO600: 0.5, LEO1200: 0.5, GEO: 5 }
+    },
+    'set-2': {
+        S: { LEO600: 1, LEO1200: 1, GEO: 12 },
+        Ka: { LEO600: 0.2, LEO1200: 0.2, GEO: 2 }
+    }
+};
+
+const FREQUENCY_REUSE_FACTORS = [1, 3, 4];
+
+class RfProfiles {
+    static band(frequencyMHz) {
+        return frequencyMHz < 6000 ? 'S' : 'Ka';
+    }
+
+    // Maps presets and SGP4 objects onto the TR 38.821 altitude classes
+    static payloadClass(altitudeKm) {
+        if (altitudeKm > 20000) return 'GEO';
+        if (altitudeKm > 900) return 'LEO1200';
+        return 'LEO600';
+    }
+
+    static handheld(params) {
+        const powerClass = params['ue-power-class'];
+
+        return {
+            ...HANDHELD_DEFAULTS,
+            powerClass,
+            txPowerDbm: UE_POWER_CLASSES[powerClass],
+            antennaGainDbi: params['ue-antenna-gain'],
+            noiseFigureDb: params['ue-noise-figure']
+        };
+    }
+
+    // The dish fields start from the selected preset; a G/T entry overrides the
+    // one computed from dish and noise figure
+    static groundStation(params) {
+        return {
+            txPowerDbm: params['gs-tx-power'],
+            dishDiameterM: params['gs-dish-diameter'],
+            dishEfficiency: params['gs-dish-efficiency'],
+            noiseFigureDb: params['gs-noise-figure'],
+            antennaTemperatureK: GROUND_STATION_PRESETS[params['gs-profile']].antennaTemperatureK,
+            gOverTOverrideDbK: params['gs-gt'],
+            polarizationLossDb: 0,
+            requiredSnrDb: 0
+        };
+    }
+
+    static terminals(params) {
+        return {
+            'handheld-device': RfProfiles.handheld(params),
+            'ground-station': RfProfiles.groundStation(params)
+        };
+    }
+
+    static payloadDefaults(altitudeKm, frequencyMHz) {
+        return PAYLOAD_DEFAULTS[RfProfiles.band(frequencyMHz)][RfProfiles.payloadClass(altitudeKm)];
+    }
+
+    // Payload of one satellite slot; blank fields use the TR 38.821 defaults
+    static payload(params, sat, frequencyMHz) {
+        const defaults = RfProfiles.payloadDefaults(sat.orbit.altitudeKm, frequencyMHz);
+        const field = (key) => params[`sat${sat.id}-${key}`];
+        const beamSet = params['beam-set'];
+
+        return {
+            ...defaults,
+            eirpDensityDbwMhz: field('eirp-density') !== null ? field('eirp-density') : defaults.eirpDensityDbwMhz,
+            gOverTDbK: field('gt') !== null ? field('gt') : defaults.gOverTDbK,
+            antennaPattern: field('antenna-pattern'),
+            beamCount: field('beam-count'),
+            beamSet,
+            apertureM: PAYLOAD_APERTURES[beamSet][RfProfiles.band(frequencyMHz)][RfProfiles.payloadClass(sat.orbit.altitudeKm)],
+            reuseFactor: params['reuse-factor']
+        };
+    }
+}
@@ -0,0 +1,211 @@
+// Named scenarios: complete parameter sets kept in localStorage and exchanged as
+// versioned JSON documents. Built-in presets cover the TR 38.821 calibration
+// cases; a preset only lists what differs from the panel defaults. Slots
+// assigned to imported TLE/OMM objects carry those element sets along, keyed
+// by catalog id, so a scenario reproduces its orbits on another machine.
+
+const SCENARIO_FORMAT = 'nr-ntn-scenario';
+const SCENARIO_VERSION = 2;
+const MAX_SCENARIO_NAME = 80;
+
+// TR 38.821 Table 6.1.1.1-1: S-band 2 GHz / 30 MHz with handhelds, Ka-band
+// 20 GHz / 400 MHz with VSATs; Set-1 apertures and reuse 3 throughout
+const PRESET_BANDS = {
+    S: { frequency: '2000', bandwidth: '30', scs: '15', 'beam-set': 'set-1', 'reuse-factor': '3' },
+    Ka: {
+        frequency: '20000',
+        bandwidth: '400',
+        scs: '120',
+        'beam-set': 'set-1',
+        'reuse-factor': '3',
+        'gs-profile': 'vsat',
+        'gs-dish-diameter': String(GROUND_STATION_PRESETS.vsat.dishDiameterM),
+        'gs-dish-efficiency': String(GROUND_STATION_PRESETS.vsat.dishEfficiency),
+        'gs-noise-figure': String(GROUND_STATION_PRESETS.vsat.noiseFigureDb),
+        'gs-tx-power': String(GROUND_STATION_PRESETS.vsat.txPowerDbm)
+    }
+};
+
+const SCENARIO_PRESETS = [
+    { id: 'preset-leo600-s', name: 'TR 38.821 LEO-600, S-band', parameters: { 'altitude-model': 'LE600', ...PRESET_BANDS.S } },
+    { id: 'preset-leo600-ka', name: 'TR 38.821 LEO-600, Ka-band', parameters: { 'altitude-model': 'LE600', ...PRESET_BANDS.Ka } },
+    { id: 'preset-leo1200-s', name: 'TR 38.821 LEO-1200, S-band', parameters: { 'altitude-model': 'LEO1200', ...PRESET_BANDS.S } },
+    { id: 'preset-leo1200-ka', name: 'TR 38.821 LEO-1200, Ka-band', parameters: { 'altitude-model': 'LEO1200', ...PRESET_BANDS.Ka } },
+    { id: 'preset-geo-s', name: 'TR 38.821 GEO, S-band', parameters: { 'altitude-model': 'GEO', ...PRESET_BANDS.S } },
+    { id: 'preset-geo-ka', name: 'TR 38.821 GEO, Ka-band', parameters: { 'altitude-model': 'GEO', ...PRESET_BANDS.Ka } }
+].map(preset => ({ ...preset, builtIn: true }));
+
+// Upgrades a document from version N to N + 1
+const SCENARIO_MIGRATIONS = {
+    // Version 0: the bare parameter object the panel used to keep in localStorage
+    0: doc => ({ format: SCENARIO_FORMAT, version: 1, name: 'Imported parameters', parameters: doc }),
+    // Version 1: no orbital elements; slots must refer to objects already in the catalog
+    1: doc => ({ ...doc, version: 2, elements: {} })
+};
+
+class ScenarioLibrary {
+    static load() {
+        if (ScenarioLibrary.cache === undefined) {
+            try {
+                ScenarioLibrary.cache = JSON.parse(localStorage.getItem(ScenarioLibrary.STORAGE_KEY)) || {};
+            } catch (e) {
+                ScenarioLibrary.cache = {};
+            }
+        }
+        return ScenarioLibrary.cache;
+    }
+
+    static save(scenarios) {
+        ScenarioLibrary.cache = scenarios;
+        localStorage.setItem(ScenarioLibrary.STORAGE_KEY, JSON.stringify(scenarios));
+    }
+
+    static list() {
+        const saved = Object.values(ScenarioLibrary.load()).sort((a, b) => a.name.localeCompare(b.name));
+        return [...SCENARIO_PRESETS, ...saved];
+    }
+
+    static get(id) {
+        return SCENARIO_PRESETS.find(p => p.id === id) || ScenarioLibrary.load()[id] || null;
+    }
+
+    // Names stay unique so the picker and exported file names are unambiguous
+    static uniqueName(name, exceptId = null) {
+        const base = String(name || '').trim().slice(0, MAX_SCENARIO_NAME) || 'Untitled scenario';
+        const taken = new Set(ScenarioLibrary.list().filter(s => s.id !== exceptId).map(s => s.name));
+        if (!taken.has(base)) return base;
+        let n = 2;
+        while (taken.has(`${base} (${n})`)) n++;
+        return `${base} (${n})`;
+    }
+
+    static create(name, parameters, elements = {}) {
+        const now = new Date().toISOString();
+        const scenario = {
+            id: `scenario-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            name: ScenarioLibrary.uniqueName(name),
+            parameters: { ...parameters },
+            elements: { ...elements },
+            createdAt: now,
+            updatedAt: now
+        };
+        ScenarioLibrary.save({ ...ScenarioLibrary.load(), [scenario.id]: scenario });
+        return scenario;
+    }
+
+    static duplicate(id) {
+        const source = ScenarioLibrary.get(id);
+        if (!source) throw new Error('Scenario not found');
+        return ScenarioLibrary.create(`${source.name} copy`, source.parameters, source.elements);
+    }
+
+    static rename(id, name) {
+        const scenarios = ScenarioLibrary.load();
+        if (!scenarios[id]) throw new Error('Built-in presets cannot be renamed');
+        const renamed = { ...scenarios[id], name: ScenarioLibrary.uniqueName(name, id), updatedAt: new Date().toISOString() };
+        ScenarioLibrary.save({ ...scenarios, [id]: renamed });
+        return renamed;
+    }
+
+    static update(id, parameters, elements = {}) {
+        const scenarios = ScenarioLibrary.load();
+        if (!scenarios[id]) throw new Error('Built-in presets cannot be overwritten');
+        const updated = { ...scenarios[id], parameters: { ...parameters }, elements: { ...elements }, updatedAt: new Date().toISOString() };
+        ScenarioLibrary.save({ ...scenarios, [id]: updated });
+        return updated;
+    }
+
+    static remove(id) {
+        const scenarios = { ...ScenarioLibrary.load() };
+        if (!scenarios[id]) throw new Error('Built-in presets cannot be deleted');
+        delete scenarios[id];
+        ScenarioLibrary.save(scenarios);
+    }
+
+    // Keys whose values differ, with `defaults` standing in for keys a side leaves out
+    static diff(a, b, defaults = {}) {
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+        const value = (params, key) => key in params ? String(params[key]) : String(defaults[key] !== undefined ? defaults[key] : '');
+        return [...keys]
+            .filter(key => value(a, key) !== value(b, key))
+            .sort()
+            .map(key => ({ key, from: value(a, key), to: value(b, key) }));
+    }
+
+    // Catalog ids the slots of a parameter set are assigned to
+    static elementSources(parameters) {
+        const ids = Object.keys(parameters)
+            .filter(key => /^sat\d+-source$/.test(key))
+            .map(key => String(parameters[key]))
+            .filter(id => id !== '' && id !== 'preset');
+        return [...new Set(ids)];
+    }
+
+    // Element sets a parameter set refers to; throws when one is in neither
+    // `catalog` nor the scenario, since its slot would silently become a preset
+    static referencedElements(parameters, catalog) {
+        const elements = {};
+        const missing = [];
+        ScenarioLibrary.elementSources(parameters).forEach(id => {
+            if (catalog[id]) elements[id] = catalog[id];
+            else missing.push(id);
+        });
+        if (missing.length > 0) throw new Error(`Orbital elements not found for ${missing.join(', ')}; import them first`);
+        return elements;
+    }
+
+    // Elements saved with the scenario take precedence over newer catalog entries
+    static toDocument(scenario, catalog = {}) {
+        return {
+            format: SCENARIO_FORMAT,
+            version: SCENARIO_VERSION,
+            name: scenario.name,
+            exportedAt: new Date().toISOString(),
+            parameters: { ...scenario.parameters },
+            elements: ScenarioLibrary.referencedElements(scenario.parameters, { ...catalog, ...(scenario.elements || {}) })
+        };
+    }
+
+    // Parses, migrates and validates an exported document; throws with a
+    // user-facing message when the file is not a usable scenario
+    static fromDocument(text) {
+        let doc;
+        try {
+            doc = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Scenario file is not valid JSON');
+        }
+        if (!doc || typeof doc !== 'object' || Array.isArray(doc)) throw new Error('Scenario file must contain a JSON object');
+
+        let version = doc.format === SCENARIO_FORMAT ? doc.version : 0;
+        if (!Number.isInteger(version) || version < 0) throw new Error(`Unsupported scenario version: ${doc.version}`);
+        if (version > SCENARIO_VERSION) throw new Error(`Scenario version ${version} is newer than this tool supports (${SCENARIO_VERSION})`);
+        while (version < SCENARIO_VERSION) {
+            doc = SCENARIO_MIGRATIONS[version](doc);
+            version = doc.version;
+        }
+
+        if (typeof doc.name !== 'string' || !doc.name.trim()) throw new Error('Scenario name is missing');
+        if (!doc.parameters || typeof doc.parameters !== 'object' || Array.isArray(doc.parameters)) {
+            throw new Error('Scenario parameters must be an object');
+        }
+        const invalid = Object.keys(doc.parameters).filter(key => !['string', 'number', 'boolean'].includes(typeof doc.parameters[key]));
+        if (invalid.length > 0) throw new Error(`Scenario parameters must be plain values: ${invalid.join(', ')}`);
+
+        const parameters = {};
+        Object.keys(doc.parameters).forEach(key => { parameters[key] = String(doc.parameters[key]); });
+
+        if (!doc.elements || typeof doc.elements !== 'object' || Array.isArray(doc.elements)) {
+            throw new Error('Scenario elements must be an object');
+        }
+        const elements = {};
+        Object.keys(doc.elements).forEach(id => {
+            const entry = doc.elements[id];
+            if (!entry || typeof entry !== 'object' || !isFinite(entry.epochMs)) throw new Error(`Scenario elements: ${id} is not an element set`);
+            elements[id] = { ...OrbitalElementsParser.normalise({ ...entry, name: String(entry.name || id) }), id };
+        });
+        return { name: doc.name.trim(), parameters, elements };
+    }
+}
+
+ScenarioLibrary.STORAGE_KEY = 'ntn-scenarios';
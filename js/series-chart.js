@@ -0,0 +1,115 @@
+// Time-series line chart shared by the impairment pages and the detail pages:
+// one line per satellite while it is above the horizon, an optional
+// requirement line and a cursor at the current simulation time.
+//
+// `chart` is { value(point), digits, zeroBased, limit(point), limitLabel } and
+// `cache` is { start, durationMs, series } as built from DopplerDelay.series.
+
+const SERIES_COLORS = ['#ff6b6b', '#4ecdc4', '#45b7d1', '#96ceb4'];
+
+class SeriesChart {
+    static draw(canvas, chart, cache, current, timeMs) {
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        const left = 60;
+        const top = 15;
+        const width = canvas.width - left - 10;
+        const height = canvas.height - top - 25;
+        const colors = SERIES_COLORS;
+
+        // Value range over the visible samples, including any requirement line
+        const values = [];
+        cache.series.forEach(s => s.points.forEach(p => {
+            const v = chart.value(p);
+            if (p.visible && v !== null && isFinite(v)) values.push(v);
+        }));
+        const limit = chart.limit ? chart.limit(cache.series[0].points[0]) : null;
+        if (limit !== null) values.push(limit);
+        if (values.length === 0) {
+            ctx.fillStyle = '#666';
+            ctx.font = '14px Arial';
+            ctx.fillText('No satellite above the horizon in the simulation window', left, canvas.height / 2);
+            return;
+        }
+
+        let min = Math.min(...values, chart.zeroBased ? 0 : Infinity);
+        let max = Math.max(...values);
+        if (max - min < 1e-9) {
+            min -= 1;
+            max += 1;
+        }
+        const toX = (timeMs) => left + (timeMs - cache.start) / cache.durationMs * width;
+        const toY = (v) => top + (max - v) / (max - min) * height;
+
+        // Grid with value labels
+        ctx.strokeStyle = '#e0e0e0';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = '#666';
+        ctx.font = '11px Arial';
+        for (let i = 0; i <= 4; i++) {
+            const v = min + (max - min) * i / 4;
+            ctx.beginPath();
+            ctx.moveTo(left, toY(v));
+            ctx.lineTo(left + width, toY(v));
+            ctx.stroke();
+            ctx.fillText(v.toFixed(chart.digits), 5, toY(v) + 4);
+        }
+        ctx.fillText('0', left, canvas.height - 5);
+        ctx.fillText(`${Math.round(cache.durationMs / 60000)} min`, left + width - 40, canvas.height - 5);
+
+        if (limit !== null) {
+            ctx.strokeStyle = '#f44336';
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.moveTo(left, toY(limit));
+            ctx.lineTo(left + width, toY(limit));
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = '#f44336';
+            ctx.fillText(chart.limitLabel, left + 5, toY(limit) - 4);
+        }
+
+        // One line per satellite while it is above the horizon
+        cache.series.forEach((s, index) => {
+            ctx.strokeStyle = colors[index % colors.length];
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            let penDown = false;
+            s.points.forEach(p => {
+                const v = chart.value(p);
+                if (!p.visible || v === null) {
+                    penDown = false;
+                } else if (!penDown) {
+                    ctx.moveTo(toX(p.timeMs), toY(v));
+                    penDown = true;
+                } else {
+                    ctx.lineTo(toX(p.timeMs), toY(v));
+                }
+            });
+            ctx.stroke();
+
+            ctx.fillStyle = colors[index % colors.length];
+            ctx.fillText(s.source === 'preset' ? `Sat ${s.id}` : `Sat ${s.id}: ${s.name}`, left + width - 140, top + 12 + index * 14);
+        });
+
+        // Current-time cursor and live values
+        const x = toX(timeMs);
+        ctx.strokeStyle = '#333';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, top);
+        ctx.lineTo(x, top + height);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        current.forEach((p, index) => {
+            const v = chart.value(p);
+            if (!p.visible || v === null) return;
+            ctx.fillStyle = colors[index % colors.length];
+            ctx.beginPath();
+            ctx.arc(x, toY(v), 5, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+    }
+}
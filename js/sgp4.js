@@ -0,0 +1,265 @@
+// SGP4 propagation of mean orbital elements (TLE / OMM), after Vallado et al.,
+// "Revisiting Spacetrack Report #3" (AIAA 2006-6753), WGS-72 constants.
+// Output positions are TEME, which the rest of the tool treats as ECI.
+// Deep-space objects (period >= 225 min) use the near-Earth secular model
+// only; lunar-solar and resonance terms (SDP4) are not modelled, and such
+// imports are flagged in the import status and the satellite panel.
+
+const SGP4_CONSTANTS = (() => {
+    const mu = 398600.8;
+    const radiusKm = 6378.135;
+    const xke = 60.0 / Math.sqrt(radiusKm * radiusKm * radiusKm / mu);
+    const j2 = 0.001082616;
+    const j3 = -0.00000253881;
+    const j4 = -0.00000165597;
+    return { mu, radiusKm, xke, j2, j3, j4, j3oj2: j3 / j2, vkmpersec: radiusKm * xke / 60.0 };
+})();
+
+class Sgp4 {
+    static init(elements) {
+        const { radiusKm, xke, j2, j3oj2, j4 } = SGP4_CONSTANTS;
+        const x2o3 = 2 / 3;
+        const twoPi = 2 * Math.PI;
+
+        const rec = {
+            epochMs: elements.epochMs,
+            bstar: elements.bstar || 0,
+            ecco: elements.eccentricity,
+            inclo: elements.inclinationDeg * DEG,
+            nodeo: elements.raanDeg * DEG,
+            argpo: elements.argPerigeeDeg * DEG,
+            mo: elements.meanAnomalyDeg * DEG,
+            error: null
+        };
+        const noKozai = elements.meanMotionRevDay * twoPi / 1440;
+
+        // Recover the un-Kozai'd mean motion and semi-major axis
+        const eccsq = rec.ecco * rec.ecco;
+        const omeosq = 1 - eccsq;
+        const rteosq = Math.sqrt(omeosq);
+        const cosio = Math.cos(rec.inclo);
+        const cosio2 = cosio * cosio;
+        const ak = Math.pow(xke / noKozai, x2o3);
+        const d1 = 0.75 * j2 * (3 * cosio2 - 1) / (rteosq * omeosq);
+        let del = d1 / (ak * ak);
+        const adel = ak * (1 - del * del - del * (1 / 3 + 134 * del * del / 81));
+        del = d1 / (adel * adel);
+        rec.no = noKozai / (1 + del);
+
+        const ao = Math.pow(xke / rec.no, x2o3);
+        const sinio = Math.sin(rec.inclo);
+        const po = ao * omeosq;
+        const con42 = 1 - 5 * cosio2;
+        rec.con41 = -con42 - cosio2 - cosio2;
+        const posq = po * po;
+        const rp = ao * (1 - rec.ecco);
+
+        rec.ao = ao;
+        rec.deepSpace = twoPi / rec.no >= 225;
+        rec.isimp = rp < 220 / radiusKm + 1 || rec.deepSpace ? 1 : 0;
+
+        let sfour = 78 / radiusKm + 1;
+        let qzms24 = Math.pow((120 - 78) / radiusKm, 4);
+        const perige = (rp - 1) * radiusKm;
+        if (perige < 156) {
+            sfour = perige < 98 ? 20 : perige - 78;
+            qzms24 = Math.pow((120 - sfour) / radiusKm, 4);
+            sfour = sfour / radiusKm + 1;
+        }
+
+        const pinvsq = 1 / posq;
+        const tsi = 1 / (ao - sfour);
+        rec.eta = ao * rec.ecco * tsi;
+        const etasq = rec.eta * rec.eta;
+        const eeta = rec.ecco * rec.eta;
+        const psisq = Math.abs(1 - etasq);
+        const coef = qzms24 * Math.pow(tsi, 4);
+        const coef1 = coef / Math.pow(psisq, 3.5);
+        const cc2 = coef1 * rec.no * (ao * (1 + 1.5 * etasq + eeta * (4 + etasq)) +
+            0.375 * j2 * tsi / psisq * rec.con41 * (8 + 3 * etasq * (8 + etasq)));
+        rec.cc1 = rec.bstar * cc2;
+        const cc3 = rec.ecco > 1e-4 ? -2 * coef * tsi * j3oj2 * rec.no * sinio / rec.ecco : 0;
+        rec.x1mth2 = 1 - cosio2;
+        rec.cc4 = 2 * rec.no * coef1 * ao * omeosq * (rec.eta * (2 + 0.5 * etasq) + rec.ecco * (0.5 + 2 * etasq) -
+            j2 * tsi / (ao * psisq) * (-3 * rec.con41 * (1 - 2 * eeta + etasq * (1.5 - 0.5 * eeta)) +
+            0.75 * rec.x1mth2 * (2 * etasq - eeta * (1 + etasq)) * Math.cos(2 * rec.argpo)));
+        rec.cc5 = 2 * coef1 * ao * omeosq * (1 + 2.75 * (etasq + eeta) + eeta * etasq);
+
+        const cosio4 = cosio2 * cosio2;
+        const temp1 = 1.5 * j2 * pinvsq * rec.no;
+        const temp2 = 0.5 * temp1 * j2 * pinvsq;
+        const temp3 = -0.46875 * j4 * pinvsq * pinvsq * rec.no;
+        rec.mdot = rec.no + 0.5 * temp1 * rteosq * rec.con41 + 0.0625 * temp2 * rteosq * (13 - 78 * cosio2 + 137 * cosio4);
+        rec.argpdot = -0.5 * temp1 * con42 + 0.0625 * temp2 * (7 - 114 * cosio2 + 395 * cosio4) +
+            temp3 * (3 - 36 * cosio2 + 49 * cosio4);
+        const xhdot1 = -temp1 * cosio;
+        rec.nodedot = xhdot1 + (0.5 * temp2 * (4 - 19 * cosio2) + 2 * temp3 * (3 - 7 * cosio2)) * cosio;
+        rec.omgcof = rec.bstar * cc3 * Math.cos(rec.argpo);
+        rec.xmcof = rec.ecco > 1e-4 ? -x2o3 * coef * rec.bstar / eeta : 0;
+        rec.nodecf = 3.5 * omeosq * xhdot1 * rec.cc1;
+        rec.t2cof = 1.5 * rec.cc1;
+        rec.xlcof = -0.25 * j3oj2 * sinio * (3 + 5 * cosio) / (Math.abs(cosio + 1) > 1.5e-12 ? 1 + cosio : 1.5e-12);
+        rec.aycof = -0.5 * j3oj2 * sinio;
+        rec.delmo = Math.pow(1 + rec.eta * Math.cos(rec.mo), 3);
+        rec.sinmao = Math.sin(rec.mo);
+        rec.x7thm1 = 7 * cosio2 - 1;
+
+        if (rec.isimp !== 1) {
+            const cc1sq = rec.cc1 * rec.cc1;
+            rec.d2 = 4 * ao * tsi * cc1sq;
+            const temp = rec.d2 * tsi * rec.cc1 / 3;
+            rec.d3 = (17 * ao + sfour) * temp;
+            rec.d4 = 0.5 * temp * ao * tsi * (221 * ao + 31 * sfour) * rec.cc1;
+            rec.t3cof = rec.d2 + 2 * cc1sq;
+            rec.t4cof = 0.25 * (3 * rec.d3 + rec.cc1 * (12 * rec.d2 + 10 * cc1sq));
+            rec.t5cof = 0.2 * (3 * rec.d4 + 12 * rec.cc1 * rec.d3 + 6 * rec.d2 * rec.d2 + 15 * cc1sq * (2 * rec.d2 + cc1sq));
+        }
+
+        return rec;
+    }
+
+    // Position (km) and velocity (km/s) in TEME, tsince minutes from the element epoch
+    static propagate(rec, tsince) {
+        const { radiusKm, xke, j2, vkmpersec } = SGP4_CONSTANTS;
+        const twoPi = 2 * Math.PI;
+
+        const xmdf = rec.mo + rec.mdot * tsince;
+        const argpdf = rec.argpo + rec.argpdot * tsince;
+        const nodedf = rec.nodeo + rec.nodedot * tsince;
+        let argpm = argpdf;
+        let mm = xmdf;
+        const t2 = tsince * tsince;
+        let nodem = nodedf + rec.nodecf * t2;
+        let tempa = 1 - rec.cc1 * tsince;
+        let tempe = rec.bstar * rec.cc4 * tsince;
+        let templ = rec.t2cof * t2;
+
+        if (rec.isimp !== 1) {
+            const delomg = rec.omgcof * tsince;
+            const delm = rec.xmcof * (Math.pow(1 + rec.eta * Math.cos(xmdf), 3) - rec.delmo);
+            mm = xmdf + delomg + delm;
+            argpm = argpdf - delomg - delm;
+            const t3 = t2 * tsince;
+            const t4 = t3 * tsince;
+            tempa = tempa - rec.d2 * t2 - rec.d3 * t3 - rec.d4 * t4;
+            tempe = tempe + rec.bstar * rec.cc5 * (Math.sin(mm) - rec.sinmao);
+            templ = templ + rec.t3cof * t3 + t4 * (rec.t4cof + tsince * rec.t5cof);
+        }
+
+        const am = Math.pow(xke / rec.no, 2 / 3) * tempa * tempa;
+        const nm = xke / Math.pow(am, 1.5);
+        let em = rec.ecco - tempe;
+        if (em >= 1 || em < -0.001) {
+            throw new Error('SGP4: eccentricity out of range');
+        }
+        if (em < 1e-6) em = 1e-6;
+
+        mm = mm + rec.no * templ;
+        const xlm = mm + argpm + nodem;
+        nodem = OrbitMath.wrapTwoPi(nodem);
+        argpm = OrbitMath.wrapTwoPi(argpm);
+        mm = OrbitMath.wrapTwoPi(OrbitMath.wrapTwoPi(xlm) - argpm - nodem);
+
+        const sinip = Math.sin(rec.inclo);
+        const cosip = Math.cos(rec.inclo);
+
+        // Long-period periodics
+        const axnl = em * Math.cos(argpm);
+        let temp = 1 / (am * (1 - em * em));
+        const aynl = em * Math.sin(argpm) + temp * rec.aycof;
+        const xl = mm + argpm + nodem + temp * rec.xlcof * axnl;
+
+        // Solve Kepler's equation
+        const u = OrbitMath.wrapTwoPi(xl - nodem);
+        let eo1 = u;
+        let tem5 = 9999.9;
+        let sineo1 = 0;
+        let coseo1 = 0;
+        for (let ktr = 1; Math.abs(tem5) >= 1e-12 && ktr <= 10; ktr++) {
+            sineo1 = Math.sin(eo1);
+            coseo1 = Math.cos(eo1);
+            tem5 = 1 - coseo1 * axnl - sineo1 * aynl;
+            tem5 = (u - aynl * coseo1 + axnl * sineo1 - eo1) / tem5;
+            if (Math.abs(tem5) >= 0.95) tem5 = tem5 > 0 ? 0.95 : -0.95;
+            eo1 += tem5;
+        }
+
+        // Short-period periodics
+        const ecose = axnl * coseo1 + aynl * sineo1;
+        const esine = axnl * sineo1 - aynl * coseo1;
+        const el2 = axnl * axnl + aynl * aynl;
+        const pl = am * (1 - el2);
+        if (pl < 0) {
+            throw new Error('SGP4: semi-latus rectum negative');
+        }
+
+        const rl = am * (1 - ecose);
+        const rdotl = Math.sqrt(am) * esine / rl;
+        const rvdotl = Math.sqrt(pl) / rl;
+        const betal = Math.sqrt(1 - el2);
+        temp = esine / (1 + betal);
+        const sinu = am / rl * (sineo1 - aynl - axnl * temp);
+        const cosu = am / rl * (coseo1 - axnl + aynl * temp);
+        let su = Math.atan2(sinu, cosu);
+        const sin2u = (cosu + cosu) * sinu;
+        const cos2u = 1 - 2 * sinu * sinu;
+        temp = 1 / pl;
+        const temp1 = 0.5 * j2 * temp;
+        const temp2 = temp1 * temp;
+
+        const mrt = rl * (1 - 1.5 * temp2 * betal * rec.con41) + 0.5 * temp1 * rec.x1mth2 * cos2u;
+        su = su - 0.25 * temp2 * rec.x7thm1 * sin2u;
+        const xnode = nodem + 1.5 * temp2 * cosip * sin2u;
+        const xinc = rec.inclo + 1.5 * temp2 * cosip * sinip * cos2u;
+        const mvt = rdotl - nm * temp1 * rec.x1mth2 * sin2u / xke;
+        const rvdot = rvdotl + nm * temp1 * (rec.x1mth2 * cos2u + 1.5 * rec.con41) / xke;
+
+        if (mrt < 1) {
+            throw new Error('SGP4: satellite has decayed');
+        }
+
+        const sinsu = Math.sin(su), cossu = Math.cos(su);
+        const snod = Math.sin(xnode), cnod = Math.cos(xnode);
+        const sini = Math.sin(xinc), cosi = Math.cos(xinc);
+        const xmx = -snod * cosi;
+        const xmy = cnod * cosi;
+        const ux = xmx * sinsu + cnod * cossu;
+        const uy = xmy * sinsu + snod * cossu;
+        const uz = sini * sinsu;
+        const vx = xmx * cossu - cnod * sinsu;
+        const vy = xmy * cossu - snod * sinsu;
+        const vz = sini * cossu;
+
+        return {
+            r: [mrt * ux * radiusKm, mrt * uy * radiusKm, mrt * uz * radiusKm],
+            v: [(mvt * ux + rvdot * vx) * vkmpersec, (mvt * uy + rvdot * vy) * vkmpersec, (mvt * uz + rvdot * vz) * vkmpersec],
+            argLatDeg: OrbitMath.wrapTwoPi(su) / DEG
+        };
+    }
+}
+
+// Adapter exposing the same interface as CircularOrbit
+class Sgp4Orbit {
+    constructor(elements) {
+        this.elements = elements;
+        this.record = Sgp4.init(elements);
+        this.epoch = elements.epochMs;
+        this.inclinationDeg = elements.inclinationDeg;
+
+        const semiMajorAxisKm = this.record.ao * SGP4_CONSTANTS.radiusKm;
+        this.semiMajorAxisKm = semiMajorAxisKm;
+        this.perigeeKm = semiMajorAxisKm * (1 - elements.eccentricity) - EARTH.radiusKm;
+        this.apogeeKm = semiMajorAxisKm * (1 + elements.eccentricity) - EARTH.radiusKm;
+        this.altitudeKm = semiMajorAxisKm - EARTH.radiusKm;
+        this.deepSpace = this.record.deepSpace;
+    }
+
+    get periodMinutes() {
+        return 2 * Math.PI / this.record.no;
+    }
+
+    stateAt(timeMs) {
+        const state = Sgp4.propagate(this.record, (timeMs - this.epoch) / 60000);
+        return { ...state, ascending: state.v[2] >= 0 };
+    }
+}
@@ -0,0 +1,122 @@
+// Central simulation clock shared by every view. Time advances in discrete
+// steps of `stepSec` and always sits on the step grid from the epoch (or at
+// the window end), so views can cache per-step results; while playing, one
+// step is taken every BASE_TICK_MS / speed of wall-clock time.
+
+const BASE_TICK_MS = 500;
+
+class SimulationClock {
+    constructor({ epoch = DEFAULT_EPOCH, durationSec = 7200, stepSec = 10, speed = 1 } = {}) {
+        this.epoch = epoch;
+        this.durationSec = durationSec;
+        this.stepSec = stepSec;
+        this.speed = speed;
+        this.currentTime = epoch;
+        this.running = false;
+        this.timer = null;
+        this.subscribers = [];
+    }
+
+    get endTime() {
+        return this.epoch + this.durationSec * 1000;
+    }
+
+    get elapsedSec() {
+        return (this.currentTime - this.epoch) / 1000;
+    }
+
+    subscribe(callback) {
+        this.subscribers.push(callback);
+        return () => {
+            this.subscribers = this.subscribers.filter(cb => cb !== callback);
+        };
+    }
+
+    notify(reason) {
+        this.subscribers.forEach(callback => callback(this.currentTime, reason, this));
+    }
+
+    // Applies a new window/step; the current offset is kept when it still fits
+    configure({ epoch = this.epoch, durationSec = this.durationSec, stepSec = this.stepSec }) {
+        const offset = this.currentTime - this.epoch;
+        const changed = epoch !== this.epoch || durationSec !== this.durationSec || stepSec !== this.stepSec;
+
+        this.epoch = epoch;
+        this.durationSec = Math.max(1, durationSec);
+        this.stepSec = Math.max(1, stepSec);
+        this.currentTime = this.snap(epoch + offset);
+
+        if (changed) this.notify('configure');
+    }
+
+    play() {
+        if (this.running) return;
+        if (this.currentTime >= this.endTime) {
+            this.currentTime = this.epoch;
+        }
+        this.running = true;
+        this.startTimer();
+        this.notify('play');
+    }
+
+    pause() {
+        if (!this.running) return;
+        this.running = false;
+        this.stopTimer();
+        this.notify('pause');
+    }
+
+    reset() {
+        this.running = false;
+        this.stopTimer();
+        this.currentTime = this.epoch;
+        this.notify('reset');
+    }
+
+    step(count = 1) {
+        this.advance(count * this.stepSec * 1000, 'step');
+    }
+
+    seek(timeMs) {
+        this.currentTime = this.snap(timeMs);
+        this.notify('seek');
+    }
+
+    // Nearest step of the window to `timeMs`
+    snap(timeMs) {
+        const stepMs = this.stepSec * 1000;
+        const snapped = this.epoch + Math.round((timeMs - this.epoch) / stepMs) * stepMs;
+        return Math.min(this.endTime, Math.max(this.epoch, snapped));
+    }
+
+    setSpeed(speed) {
+        this.speed = Math.max(0.1, speed);
+        if (this.running) {
+            this.stopTimer();
+            this.startTimer();
+        }
+    }
+
+    advance(deltaMs, reason) {
+        const next = Math.min(this.endTime, Math.max(this.epoch, this.currentTime + deltaMs));
+        this.currentTime = next;
+        this.notify(reason);
+
+        if (this.running && next >= this.endTime) {
+            this.pause();
+        }
+    }
+
+    startTimer() {
+        this.timer = setInterval(() => {
+            this.advance(this.stepSec * 1000, 'tick');
+        }, BASE_TICK_MS / this.speed);
+    }
+
+    stopTimer() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
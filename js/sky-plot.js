@@ -0,0 +1,156 @@
+// Polar sky plot of a ground site: azimuth clockwise from north at the top,
+// elevation from the horizon (outer ring) to the zenith (centre). Pass tracks
+// carry time ticks, and the shaded rim is the site's mask and terrain profile.
+//
+// Passes are also described by the README's 20°–160° pass angle: the elevation
+// while the satellite approaches (rising half), and 180° minus the elevation
+// once it has culminated, so 90° is the zenith pass and 160° is 20° elevation
+// on the setting side.
+
+const SKY_PLOT_TICK_MIN = 5; // minutes between time ticks on the tracks
+const SKY_PLOT_LABEL_EVERY = 3; // every third tick carries a UTC label
+const SKY_PLOT_PASS_LIMITS = [20, 160];
+
+class SkyPlot {
+    static passAngle(look) {
+        return look.rangeRateKmS <= 0 ? look.elevation : 180 - look.elevation;
+    }
+
+    // Look angles of every satellite from one asset over a window, split into
+    // passes above the horizon
+    static tracks(propagator, asset, start, durationMs, stepMs) {
+        return propagator.satellites.map((sat, index) => {
+            const passes = [];
+            let current = null;
+            for (let t = start; t <= start + durationMs; t += stepMs) {
+                const look = propagator.getSatelliteState(index, t).look[asset];
+                if (look.elevation < 0) {
+                    current = null;
+                    continue;
+                }
+                if (!current) {
+                    current = [];
+                    passes.push(current);
+                }
+                current.push({ timeMs: t, azimuth: look.azimuth, elevation: look.elevation });
+            }
+            return { id: sat.id, name: sat.name, source: sat.source, passes };
+        });
+    }
+
+    constructor(canvas, margin = 30) {
+        this.canvas = canvas;
+        this.cx = canvas.width / 2;
+        this.cy = canvas.height / 2;
+        this.radius = Math.min(canvas.width, canvas.height) / 2 - margin;
+    }
+
+    project(azimuthDeg, elevationDeg) {
+        const r = this.radius * (90 - Math.max(0, Math.min(90, elevationDeg))) / 90;
+        const a = azimuthDeg * DEG;
+        return { x: this.cx + r * Math.sin(a), y: this.cy - r * Math.cos(a) };
+    }
+
+    drawGrid(ctx) {
+        ctx.strokeStyle = '#d0d0d0';
+        ctx.fillStyle = '#888';
+        ctx.lineWidth = 1;
+        ctx.font = '10px Arial';
+        [0, 30, 60].forEach(elevation => {
+            ctx.beginPath();
+            ctx.arc(this.cx, this.cy, this.radius * (90 - elevation) / 90, 0, 2 * Math.PI);
+            ctx.stroke();
+            ctx.fillText(`${elevation}°`, this.cx + 3, this.cy - this.radius * (90 - elevation) / 90 + 11);
+        });
+        for (let az = 0; az < 360; az += 30) {
+            const edge = this.project(az, 0);
+            ctx.beginPath();
+            ctx.moveTo(this.cx, this.cy);
+            ctx.lineTo(edge.x, edge.y);
+            ctx.stroke();
+        }
+
+        // The 20° ring bounds the README's 20°–160° pass-angle range
+        ctx.strokeStyle = '#9e9e9e';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.arc(this.cx, this.cy, this.radius * (90 - SKY_PLOT_PASS_LIMITS[0]) / 90, 0, 2 * Math.PI);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = '#333';
+        ctx.font = 'bold 12px Arial';
+        ctx.textAlign = 'center';
+        [['N', 0], ['E', 90], ['S', 180], ['W', 270]].forEach(([label, az]) => {
+            const p = this.project(az, -1);
+            const offset = this.project(az, 0);
+            ctx.fillText(label, p.x + (offset.x - this.cx) * 0.08, p.y + (offset.y - this.cy) * 0.08 + 4);
+        });
+        ctx.textAlign = 'left';
+    }
+
+    // Shaded band between the horizon and the usable elevation at each azimuth
+    drawMask(ctx, maskAt) {
+        ctx.fillStyle = 'rgba(120, 120, 120, 0.25)';
+        ctx.strokeStyle = 'rgba(90, 90, 90, 0.6)';
+        ctx.beginPath();
+        for (let az = 0; az <= 360; az += 2) {
+            const p = this.project(az, maskAt(az));
+            if (az === 0) ctx.moveTo(p.x, p.y);
+            else ctx.lineTo(p.x, p.y);
+        }
+        ctx.closePath();
+        ctx.stroke();
+        ctx.moveTo(this.cx + this.radius, this.cy);
+        ctx.arc(this.cx, this.cy, this.radius, 0, 2 * Math.PI, true);
+        ctx.fill('evenodd');
+    }
+
+    // Pass tracks with a tick every SKY_PLOT_TICK_MIN minutes after `start`
+    drawTracks(ctx, tracks, colors, start) {
+        const tickMs = SKY_PLOT_TICK_MIN * 60000;
+        ctx.font = '9px Arial';
+        tracks.forEach((track, index) => {
+            const color = colors[index % colors.length];
+            track.passes.forEach(pass => {
+                ctx.strokeStyle = color;
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                pass.forEach((point, i) => {
+                    const p = this.project(point.azimuth, point.elevation);
+                    if (i === 0) ctx.moveTo(p.x, p.y);
+                    else ctx.lineTo(p.x, p.y);
+                });
+                ctx.stroke();
+
+                ctx.fillStyle = color;
+                pass.forEach((point, i) => {
+                    if (i === 0 || Math.floor((point.timeMs - start) / tickMs) === Math.floor((pass[i - 1].timeMs - start) / tickMs)) return;
+                    const p = this.project(point.azimuth, point.elevation);
+                    ctx.fillRect(p.x - 2, p.y - 2, 4, 4);
+                    const tick = Math.floor((point.timeMs - start) / tickMs);
+                    if (tick % SKY_PLOT_LABEL_EVERY === 0) {
+                        ctx.fillText(new Date(start + tick * tickMs).toISOString().slice(11, 16), p.x + 4, p.y - 3);
+                    }
+                });
+            });
+        });
+    }
+
+    // Live satellite positions labelled with their pass angle
+    drawMarkers(ctx, looks, colors) {
+        ctx.font = 'bold 11px Arial';
+        looks.forEach(({ id, look }, index) => {
+            if (look.elevation < 0) return;
+            const p = this.project(look.azimuth, look.elevation);
+            ctx.fillStyle = colors[index % colors.length];
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 6, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.stroke();
+            ctx.fillText(`S${id} ${SkyPlot.passAngle(look).toFixed(0)}°`, p.x + 8, p.y + 4);
+        });
+    }
+}
@@ -0,0 +1,29 @@
+// Web Worker running parameter sweeps off the UI thread. Receives
+// { jobs, catalog } and posts one 'result' message per job, then 'done'.
+
+importScripts(
+    'orbit.js',
+    'sgp4.js',
+    'orbital-elements.js',
+    'rf-profiles.js',
+    'itu-propagation.js',
+    'link-budget.js',
+    'beams.js',
+    'throughput.js',
+    'end-to-end.js',
+    'handover.js',
+    'doppler-delay.js',
+    'parameter-sweep.js'
+);
+
+self.onmessage = (e) => {
+    const { jobs, catalog } = e.data;
+    jobs.forEach((job, index) => {
+        try {
+            self.postMessage({ type: 'result', index, kpis: ParameterSweep.evaluate(job.params, catalog) });
+        } catch (err) {
+            self.postMessage({ type: 'result', index, error: err.message });
+        }
+    });
+    self.postMessage({ type: 'done' });
+};
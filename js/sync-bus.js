@@ -0,0 +1,51 @@
+// Cross-window synchronisation over a BroadcastChannel. The main window
+// publishes its raw parameter set and the simulation clock; detail windows
+// follow it and may push parameter edits and clock commands back, which the
+// main window validates and re-publishes. Without BroadcastChannel every
+// window simply keeps the query-string snapshot it was opened with.
+//
+// Messages: { type, from, role, ...payload }
+//   main   → 'parameters' { params }, 'clock' { currentTime, epoch, durationSec,
+//            stepSec, running, reason }, 'rejected' { to, key, message }, 'closed'
+//   detail → 'hello', 'set-parameters' { params }, 'clock-command' { action, timeMs, steps }
+
+const SYNC_CHANNEL = 'nr-ntn-sync';
+const SYNC_CLOCK_ACTIONS = ['play', 'pause', 'reset', 'step', 'seek'];
+
+class SyncBus {
+    constructor(role, channelName = SYNC_CHANNEL) {
+        this.role = role;
+        this.id = `${role}-${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`;
+        this.handlers = new Map();
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(channelName) : null;
+        if (this.channel) {
+            this.channel.onmessage = (e) => this.dispatch(e.data);
+        }
+    }
+
+    get available() {
+        return this.channel !== null;
+    }
+
+    on(type, callback) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, []);
+        }
+        this.handlers.get(type).push(callback);
+    }
+
+    post(type, payload = {}) {
+        if (!this.channel) return;
+        this.channel.postMessage({ ...payload, type, from: this.id, role: this.role });
+    }
+
+    dispatch(message) {
+        if (!message || typeof message !== 'object') return;
+        (this.handlers.get(message.type) || []).forEach(callback => callback(message));
+    }
+
+    close() {
+        if (this.channel) this.channel.close();
+        this.channel = null;
+    }
+}
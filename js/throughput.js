@@ -0,0 +1,181 @@
+// Downlink throughput from SINR: link adaptation over the TS 38.214 CQI and MCS
+// tables, the TS 38.306 approximate peak data rate, and HARQ. With a gNB on the
+// ground every HARQ process waits a full satellite round trip for its ACK, so
+// Rel-15's 16 processes stall a LEO/GEO link; Rel-17 NTN raises the limit to 32
+// or lets HARQ feedback be disabled and run open loop.
+
+// TS 38.214 Table 5.2.2.1-2 (CQI table 1): modulation order, code rate x 1024,
+// with the SINR reaching 10% BLER on an AWGN channel
+const NR_CQI_TABLE = [
+    { cqi: 1, qm: 2, rate: 78, sinrDb: -6.7 },
+    { cqi: 2, qm: 2, rate: 120, sinrDb: -4.7 },
+    { cqi: 3, qm: 2, rate: 193, sinrDb: -2.3 },
+    { cqi: 4, qm: 2, rate: 308, sinrDb: 0.2 },
+    { cqi: 5, qm: 2, rate: 449, sinrDb: 2.4 },
+    { cqi: 6, qm: 2, rate: 602, sinrDb: 4.3 },
+    { cqi: 7, qm: 4, rate: 378, sinrDb: 5.9 },
+    { cqi: 8, qm: 4, rate: 490, sinrDb: 8.1 },
+    { cqi: 9, qm: 4, rate: 616, sinrDb: 10.3 },
+    { cqi: 10, qm: 6, rate: 466, sinrDb: 11.7 },
+    { cqi: 11, qm: 6, rate: 567, sinrDb: 14.1 },
+    { cqi: 12, qm: 6, rate: 666, sinrDb: 16.3 },
+    { cqi: 13, qm: 6, rate: 772, sinrDb: 18.7 },
+    { cqi: 14, qm: 6, rate: 873, sinrDb: 21.0 },
+    { cqi: 15, qm: 6, rate: 948, sinrDb: 22.7 }
+];
+
+// TS 38.214 Table 5.1.3.1-1 (MCS table 1, up to 64QAM): [modulation order, code rate x 1024]
+const NR_MCS_TABLE = [
+    [2, 120], [2, 157], [2, 193], [2, 251], [2, 308], [2, 379], [2, 449], [2, 526], [2, 602], [2, 679],
+    [4, 340], [4, 378], [4, 434], [4, 490], [4, 553], [4, 616], [4, 658],
+    [6, 438], [6, 466], [6, 517], [6, 567], [6, 616], [6, 666], [6, 719], [6, 772], [6, 822], [6, 873], [6, 910], [6, 948]
+];
+
+// Maximum transmission bandwidth N_RB by frequency range, SCS (kHz) and channel
+// bandwidth (MHz): TS 38.101-1 Table 5.3.2-1 (FR1), TS 38.101-2 Table 5.3.2-1 (FR2)
+const NR_MAX_RB = {
+    FR1: {
+        15: { 5: 25, 10: 52, 15: 79, 20: 106, 25: 133, 30: 160, 40: 216, 50: 270 },
+        30: { 5: 11, 10: 24, 15: 38, 20: 51, 25: 65, 30: 78, 40: 106, 50: 133, 60: 162, 70: 189, 80: 217, 90: 245, 100: 273 },
+        60: { 10: 11, 15: 18, 20: 24, 25: 31, 30: 38, 40: 51, 50: 65, 60: 79, 70: 93, 80: 107, 90: 121, 100: 135 }
+    },
+    FR2: {
+        60: { 50: 66, 100: 132, 200: 264 },
+        120: { 50: 32, 100: 66, 200: 132, 400: 264 }
+    }
+};
+
+const NR_SCS_OPTIONS = [15, 30, 60, 120];
+
+const DL_OVERHEAD = { FR1: 0.14, FR2: 0.18 }; // TS 38.306 §4.1.2 x_Oh
+const HARQ_PROCESSING_MS = 3; // UE decoding, ACK preparation and gNB rescheduling
+const BLER_SLOPE_PER_DB = 2; // logistic BLER curve steepness around the MCS threshold
+const BLER_TARGETS = { harq: 0.1, openLoop: 0.01 };
+
+class Throughput {
+    // Blank SCS and overhead follow the frequency range
+    static options(params) {
+        const bandwidthMHz = params.bandwidth;
+        const frequencyRange = Throughput.frequencyRange(params.frequency);
+        const scsKhz = params.scs !== null ? params.scs : Throughput.defaultScsKhz(frequencyRange);
+        const harqProcesses = params['harq-processes'] === 'disabled' ? 0 : params['harq-processes'];
+
+        return {
+            frequencyRange,
+            scsKhz,
+            numerology: Math.log2(scsKhz / 15),
+            bandwidthMHz,
+            prbs: Throughput.prbCount(bandwidthMHz, scsKhz, frequencyRange),
+            overhead: params['dl-overhead'] !== null ? params['dl-overhead'] : DL_OVERHEAD[frequencyRange],
+            layers: params['mimo-layers'],
+            harqProcesses,
+            maxTransmissions: params['harq-max-tx'],
+            targetBler: harqProcesses > 0 ? BLER_TARGETS.harq : BLER_TARGETS.openLoop
+        };
+    }
+
+    // The S-band scenarios sit in FR1, the Ka-band ones are treated as FR2
+    static frequencyRange(frequencyMHz) {
+        return RfProfiles.band(frequencyMHz) === 'Ka' ? 'FR2' : 'FR1';
+    }
+
+    static defaultScsKhz(frequencyRange) {
+        return frequencyRange === 'FR2' ? 120 : 15;
+    }
+
+    // Channel bandwidths (MHz) defined for the SCS in that frequency range
+    static channelBandwidths(frequencyRange, scsKhz) {
+        return Object.keys(NR_MAX_RB[frequencyRange][scsKhz] || {}).map(Number);
+    }
+
+    // Tabulated N_RB, or ~95% spectrum utilisation for bandwidths outside the tables
+    static prbCount(bandwidthMHz, scsKhz, frequencyRange = 'FR1') {
+        const table = NR_MAX_RB[frequencyRange][scsKhz] || {};
+        if (table[bandwidthMHz]) return table[bandwidthMHz];
+        return Math.max(1, Math.min(275, Math.floor(bandwidthMHz * 1000 * 0.95 / (12 * scsKhz))));
+    }
+
+    static efficiency(qm, rate) {
+        return qm * rate / 1024;
+    }
+
+    // Highest CQI whose 10% BLER threshold the SINR reaches (0 = out of range)
+    static cqiFor(sinrDb) {
+        const entry = NR_CQI_TABLE.filter(e => sinrDb >= e.sinrDb).pop();
+        return entry ? entry.cqi : 0;
+    }
+
+    // 10% BLER SINR of an MCS, interpolated on spectral efficiency between CQI points
+    static mcsThresholdDb(mcs) {
+        const [qm, rate] = NR_MCS_TABLE[mcs];
+        const efficiency = Throughput.efficiency(qm, rate);
+        const points = NR_CQI_TABLE.map(e => ({ efficiency: Throughput.efficiency(e.qm, e.rate), sinrDb: e.sinrDb }));
+        const upper = points.findIndex(p => p.efficiency >= efficiency);
+        if (upper <= 0) return upper === 0 ? points[0].sinrDb : points[points.length - 1].sinrDb;
+        const a = points[upper - 1];
+        const b = points[upper];
+        return a.sinrDb + (efficiency - a.efficiency) / (b.efficiency - a.efficiency) * (b.sinrDb - a.sinrDb);
+    }
+
+    // Logistic BLER curve passing through 10% at the threshold
+    static bler(sinrDb, thresholdDb) {
+        return 1 / (1 + 9 * Math.exp(BLER_SLOPE_PER_DB * (sinrDb - thresholdDb)));
+    }
+
+    // Link adaptation: highest MCS meeting the BLER target, MCS 0 below that
+    static selectMcs(sinrDb, targetBler) {
+        let mcs = 0;
+        NR_MCS_TABLE.forEach((entry, index) => {
+            if (Throughput.bler(sinrDb, Throughput.mcsThresholdDb(index)) <= targetBler) mcs = index;
+        });
+        return mcs;
+    }
+
+    // Retransmission and stop-and-wait stalling losses of the HARQ configuration
+    static harq(bler, rttMs, options) {
+        if (options.harqProcesses === 0) {
+            return { processesNeeded: 0, stallFactor: 1, meanTransmissions: 1, residualBler: bler, efficiency: 1 - bler };
+        }
+
+        const slotMs = 1 / 2 ** options.numerology;
+        const processesNeeded = Math.ceil((slotMs + rttMs + HARQ_PROCESSING_MS) / slotMs);
+        const stallFactor = Math.min(1, options.harqProcesses / processesNeeded);
+        let meanTransmissions = 0;
+        for (let k = 0; k < options.maxTransmissions; k++) meanTransmissions += bler ** k;
+        const residualBler = bler ** options.maxTransmissions;
+
+        return {
+            processesNeeded,
+            stallFactor,
+            meanTransmissions,
+            residualBler,
+            efficiency: stallFactor * (1 - residualBler) / meanTransmissions
+        };
+    }
+
+    // Delivered rate at the given SINR and HARQ round trip
+    static compute(sinrDb, rttMs, options) {
+        const cqi = Throughput.cqiFor(sinrDb);
+        const mcs = Throughput.selectMcs(sinrDb, options.targetBler);
+        const [qm, rate] = NR_MCS_TABLE[mcs];
+        const bler = Throughput.bler(sinrDb, Throughput.mcsThresholdDb(mcs));
+        const harq = Throughput.harq(bler, rttMs, options);
+
+        // TS 38.306 §4.1.2 with scaling factor 1: one slot of 14 symbols per 1/2^μ ms
+        const symbolsPerSec = 14 * 2 ** options.numerology * 1000;
+        const peakMbps = options.layers * Throughput.efficiency(qm, rate) * 12 * options.prbs * symbolsPerSec * (1 - options.overhead) / 1e6;
+
+        return {
+            sinrDb,
+            cqi,
+            mcs,
+            qm,
+            codeRate: rate / 1024,
+            bler,
+            rttMs,
+            harq,
+            peakMbps,
+            throughputMbps: cqi > 0 ? peakMbps * harq.efficiency : 0
+        };
+    }
+}
@@ -0,0 +1,66 @@
+// Alerts of the link monitor. Run with `node --test tests/`; the script is
+// loaded as the page loads it, without a build step or dependencies.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'js', 'link-monitor.js'), 'utf8'), context);
+const LinkMonitor = vm.runInContext('LinkMonitor', context);
+
+const THRESHOLDS = { latencyMs: 50, marginDb: 0 };
+
+const sample = (timeMs, latencyMs, marginDb, satelliteId = 1) => ({
+    timeMs,
+    satelliteId: latencyMs === null ? null : satelliteId,
+    latencyMs,
+    marginDb,
+    rrcState: latencyMs === null ? 'idle' : 'connected'
+});
+
+// Arrays from the script's context are compared as lists made in this one
+const alerts = (events) => Array.from(events).filter(e => e.level !== 'info').map(e => `${e.timeMs} ${e.kpi}`);
+
+test('a first sample already past the thresholds raises both alerts', () => {
+    const events = LinkMonitor.events([sample(0, 80, -3), sample(10, 80, -3)], THRESHOLDS);
+    assert.deepStrictEqual(alerts(events), ['0 latency', '0 margin']);
+});
+
+test('a first sample within the thresholds raises nothing', () => {
+    const events = LinkMonitor.events([sample(0, 30, 5), sample(10, 30, 5)], THRESHOLDS);
+    assert.strictEqual(events.length, 0);
+});
+
+test('the first sample after an outage raises the alert when already past a threshold', () => {
+    const samples = [sample(0, 80, -3), sample(10, null, null), sample(20, 80, -3)];
+    const events = LinkMonitor.events(samples, THRESHOLDS);
+    assert.deepStrictEqual(alerts(events), ['0 latency', '0 margin', '10 serving', '10 rrc', '20 latency', '20 margin']);
+});
+
+test('crossing a threshold between samples still raises one alert and its recovery', () => {
+    const samples = [sample(0, 30, 5), sample(10, 80, -3), sample(20, 90, -4), sample(30, 30, 5)];
+    const events = LinkMonitor.events(samples, THRESHOLDS);
+    assert.deepStrictEqual(Array.from(events, e => `${e.timeMs} ${e.kpi} ${e.level}`),
+        ['10 latency warning', '10 margin error', '30 latency info', '30 margin info']);
+});
+
+test('a KPI that recovers during an outage logs its return below the threshold', () => {
+    const samples = [sample(0, 80, -3), sample(10, null, null), sample(20, 30, 5)];
+    const events = LinkMonitor.events(samples, THRESHOLDS).filter(e => e.kpi === 'latency' || e.kpi === 'margin');
+    assert.deepStrictEqual(Array.from(events, e => `${e.timeMs} ${e.kpi} ${e.level}`),
+        ['0 latency warning', '0 margin error', '20 latency info', '20 margin info']);
+});
+
+test('the sample before a sliding window keeps an ongoing alert from repeating', () => {
+    const window = [sample(10, 80, -3), sample(20, 80, -3)];
+    assert.strictEqual(LinkMonitor.events(window, THRESHOLDS, sample(0, 80, -3)).length, 0);
+    assert.deepStrictEqual(alerts(LinkMonitor.events(window, THRESHOLDS, sample(0, 30, 5))), ['10 latency', '10 margin']);
+});
+
+test('serving and RRC changes need a previous sample', () => {
+    const events = LinkMonitor.events([sample(0, 30, 5)], THRESHOLDS);
+    assert.strictEqual(events.length, 0);
+});
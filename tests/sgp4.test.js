@@ -0,0 +1,48 @@
+// SGP4 against the Vallado et al. (AIAA 2006-6753) reference vectors. Run
+// with `node --test tests/`; the scripts are loaded in page order, without a
+// build step or dependencies.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = vm.createContext({});
+['orbit.js', 'orbital-elements.js', 'sgp4.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8'), context);
+});
+const OrbitalElementsParser = vm.runInContext('OrbitalElementsParser', context);
+const Sgp4 = vm.runInContext('Sgp4', context);
+
+// Satellite 00005 of the verification set (tcppver.out, WGS-72)
+const TLE_00005 = [
+    '1 00005U 58002B   00179.78495062  .00000023  00000-0  28098-4 0  4753',
+    '2 00005  34.2682 348.7242 1859667 331.7664  19.3264 10.82419157413667'
+];
+const REFERENCE_00005 = [
+    { tsince: 0, r: [7022.46529266, -1400.08296755, 0.03995155], v: [1.893841015, 6.405893759, 4.534807250] },
+    { tsince: 360, r: [-7154.03120202, -3783.17682504, -3536.19412294], v: [4.741887409, -4.151817765, -2.093935425] },
+    { tsince: 720, r: [-7134.59340119, 6531.68641334, 3260.27186483], v: [-4.113793027, -2.911922039, -2.557327851] }
+];
+
+const assertClose = (actual, expected, tolerance, label) => {
+    expected.forEach((value, i) => {
+        assert.ok(Math.abs(actual[i] - value) <= tolerance, `${label}[${i}] = ${actual[i]}, expected ${value}`);
+    });
+};
+
+test('the parsed 00005 elements are near-Earth', () => {
+    const record = Sgp4.init(OrbitalElementsParser.parseTleLines(...TLE_00005));
+    assert.strictEqual(record.error, null);
+    assert.strictEqual(record.deepSpace, false);
+});
+
+test('00005 matches the reference position and velocity over 12 hours', () => {
+    const record = Sgp4.init(OrbitalElementsParser.parseTleLines(...TLE_00005));
+    REFERENCE_00005.forEach(({ tsince, r, v }) => {
+        const state = Sgp4.propagate(record, tsince);
+        assertClose(state.r, r, 1e-3, `r at ${tsince} min`);
+        assertClose(state.v, v, 1e-6, `v at ${tsince} min`);
+    });
+});
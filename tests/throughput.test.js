@@ -0,0 +1,41 @@
+// CQI and MCS link adaptation of the throughput model. Run with
+// `node --test tests/`; the script is loaded as the page loads it, without a
+// build step or dependencies.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'js', 'throughput.js'), 'utf8'), context);
+const Throughput = vm.runInContext('Throughput', context);
+const NR_MCS_TABLE = vm.runInContext('NR_MCS_TABLE', context);
+const BLER_TARGETS = vm.runInContext('BLER_TARGETS', context);
+
+test('the CQI is the highest one whose threshold the SINR reaches', () => {
+    assert.strictEqual(Throughput.cqiFor(-6.71), 0);
+    assert.strictEqual(Throughput.cqiFor(-6.7), 1);
+    assert.strictEqual(Throughput.cqiFor(10.3), 9);
+    assert.strictEqual(Throughput.cqiFor(40), 15);
+});
+
+// MCS 17 (64QAM) is slightly less efficient than MCS 16 (16QAM) in the table
+// itself, so the thresholds follow the spectral efficiency, not the index
+test('an MCS with the rate of a CQI entry takes its threshold, and thresholds rise with the efficiency', () => {
+    assert.ok(Math.abs(Throughput.mcsThresholdDb(4) - 0.2) < 1e-9);
+    assert.ok(Math.abs(Throughput.mcsThresholdDb(NR_MCS_TABLE.length - 1) - 22.7) < 1e-9);
+    for (let mcs = 1; mcs < NR_MCS_TABLE.length; mcs++) {
+        const gain = Throughput.efficiency(...NR_MCS_TABLE[mcs]) - Throughput.efficiency(...NR_MCS_TABLE[mcs - 1]);
+        const step = Throughput.mcsThresholdDb(mcs) - Throughput.mcsThresholdDb(mcs - 1);
+        assert.strictEqual(Math.sign(step), Math.sign(gain), `MCS ${mcs}`);
+    }
+});
+
+test('link adaptation picks the highest MCS meeting the BLER target', () => {
+    assert.strictEqual(Throughput.selectMcs(0.3, BLER_TARGETS.harq), 4);
+    assert.strictEqual(Throughput.selectMcs(-20, BLER_TARGETS.harq), 0);
+    assert.strictEqual(Throughput.selectMcs(40, BLER_TARGETS.harq), NR_MCS_TABLE.length - 1);
+    assert.ok(Throughput.selectMcs(10, BLER_TARGETS.openLoop) < Throughput.selectMcs(10, BLER_TARGETS.harq));
+});